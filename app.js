@@ -4,6 +4,8 @@ const cors = require('cors');
 const connectDB = require('./config/db');
 const { logConfig, getCorsConfig, PORT } = require('./config/server');
 const { initializeSocket } = require('./socket');
+const { startTranslationRetryWorker } = require('./utils/progressiveTranslation');
+const { startRetranslationJobWorker } = require('./utils/retranslationJob');
 
 // Log important configurations on startup
 logConfig();
@@ -25,7 +27,13 @@ app.use(express.json());
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/chat', require('./routes/chat'));
+app.use('/api/rooms', require('./routes/rooms'));
 app.use('/api/translator', require('./routes/translator'));
+app.use('/api/glossary', require('./routes/glossary'));
+app.use('/api/vocabulary', require('./routes/vocabulary'));
+app.use('/api/usage', require('./routes/usage'));
+app.use('/api/translation-profiles', require('./routes/translationProfiles'));
+app.use('/api/v1/languages', require('./routes/languages'));
 
 // Connect to database and start server
 connectDB()
@@ -34,6 +42,12 @@ connectDB()
       console.log(`Server is running on port ${PORT}`);
       console.log(`Access it at http://localhost:${PORT}`);
     });
+    
+    // Retry message translations that failed or were interrupted by a restart
+    startTranslationRetryWorker();
+    
+    // Finish language-change backfills interrupted by a restart, here or on another instance
+    startRetranslationJobWorker();
   })
   .catch(err => {
     console.error('Failed to connect to MongoDB:', err);
@@ -0,0 +1,114 @@
+// Static language data shared by the speech modules and the language registry
+
+// Language code to Azure Speech recognition locale
+const speechRecognitionLocales = {
+  'en': 'en-US',
+  'hi': 'hi-IN',
+  'es': 'es-ES',
+  'fr': 'fr-FR',
+  'de': 'de-DE',
+  'it': 'it-IT',
+  'ja': 'ja-JP',
+  'ko': 'ko-KR',
+  'pt': 'pt-BR',
+  'ru': 'ru-RU',
+  'zh': 'zh-CN',
+  'pa': 'pa-IN',
+  // Indian languages
+  'mr': 'mr-IN',  // Marathi
+  'bn': 'bn-IN',  // Bengali
+  'gu': 'gu-IN',  // Gujarati
+  'kn': 'kn-IN',  // Kannada
+  'ml': 'ml-IN',  // Malayalam
+  'or': 'or-IN',  // Odia/Oriya
+  'ta': 'ta-IN',  // Tamil
+  'te': 'te-IN',  // Telugu
+  'ur': 'ur-IN',  // Urdu
+  'as': 'as-IN',  // Assamese
+  'sa': 'sa-IN',  // Sanskrit
+  'sd': 'sd-IN',  // Sindhi
+  'ne': 'ne-NP',  // Nepali
+  'si': 'si-LK',  // Sinhala
+  'kok': 'kok-IN', // Konkani
+  'doi': 'doi-IN', // Dogri
+  'mai': 'mai-IN', // Maithili
+  'bho': 'bho-IN', // Bhojpuri
+};
+
+// Language code to Azure neural voice used for speech synthesis
+const speechSynthesisVoices = {
+  'en': 'en-US-JennyNeural',
+  'hi': 'hi-IN-SwaraNeural',
+  'es': 'es-ES-ElviraNeural',
+  'fr': 'fr-FR-DeniseNeural',
+  'de': 'de-DE-KatjaNeural',
+  'it': 'it-IT-ElsaNeural',
+  'ja': 'ja-JP-NanamiNeural',
+  'ko': 'ko-KR-SunHiNeural',
+  'pt': 'pt-BR-FranciscaNeural',
+  'ru': 'ru-RU-SvetlanaNeural',
+  'zh': 'zh-CN-XiaoxiaoNeural',
+  'ar': 'ar-SA-ZariyahNeural',
+  'cs': 'cs-CZ-VlastaNeural',
+  'da': 'da-DK-ChristelNeural',
+  'nl': 'nl-NL-ColetteNeural',
+  'fi': 'fi-FI-NooraNeural',
+  'el': 'el-GR-AthinaNeural',
+  'he': 'he-IL-HilaNeural',
+  'hu': 'hu-HU-NoemiNeural',
+  'id': 'id-ID-GadisNeural',
+  'ms': 'ms-MY-YasminNeural',
+  'nb': 'nb-NO-IselinNeural',
+  'pl': 'pl-PL-ZofiaNeural',
+  'ro': 'ro-RO-AlinaNeural',
+  'sk': 'sk-SK-ViktoriaNeural',
+  'sl': 'sl-SI-PetraNeural',
+  'sv': 'sv-SE-SofieNeural',
+  'th': 'th-TH-AcharaNeural',
+  'tr': 'tr-TR-EmelNeural',
+  'uk': 'uk-UA-PolinaNeural',
+  'vi': 'vi-VN-HoaiMyNeural',
+  'af': 'af-ZA-AdriNeural',
+  'bg': 'bg-BG-KalinaNeural',
+  'fil': 'fil-PH-BlessicaNeural',
+  'ca': 'ca-ES-AlbaNeural',
+  'cy': 'cy-GB-NiaNeural',
+  // Indian languages
+  'bn': 'bn-IN-TanishaaNeural',   // Bengali
+  'gu': 'gu-IN-DhwaniNeural',     // Gujarati
+  'kn': 'kn-IN-SapnaNeural',      // Kannada
+  'ml': 'ml-IN-SobhanaNeural',    // Malayalam
+  'mr': 'mr-IN-AarohiNeural',     // Marathi
+  'or': 'or-IN-SwaraNeural',      // Odia
+  'pa': 'pa-IN-VaaniNeural',      // Punjabi
+  'sa': 'sa-IN-ShrutiNeural',     // Sanskrit
+  'ur': 'ur-IN-GulNeural',        // Urdu
+  'ta': 'ta-IN-PallaviNeural',    // Tamil
+  'te': 'te-IN-ShrutiNeural',     // Telugu
+  'as': 'as-IN-DiptiNeural',      // Assamese
+  'brx': 'brx-IN-KamalNeural',    // Bodo
+  'doi': 'doi-IN-PreetamNeural',  // Dogri
+  'gom': 'gom-IN-AnamikaNeural',  // Konkani (Goan)
+  'kok': 'kok-IN-JasmineNeural',  // Konkani
+  'kas': 'kas-IN-RafikaNeural',   // Kashmiri
+  'sd': 'sd-IN-KalpenNeural',     // Sindhi
+  'si': 'si-LK-ThiliniNeural',    // Sinhala
+  'ne': 'ne-NP-HemkalaNeural',    // Nepali
+  'mai': 'mai-IN-ShiwaniNeural',  // Maithili
+  'mni': 'mni-IN-OinaNeural',     // Manipuri
+};
+
+// Names of languages that only have speech support under these codes
+const speechOnlyLanguageNames = {
+  'zh': { name: 'Chinese', nativeName: '中文', dir: 'ltr' },
+  'sa': { name: 'Sanskrit', nativeName: 'संस्कृतम्', dir: 'ltr' },
+  'kok': { name: 'Konkani', nativeName: 'कोंकणी', dir: 'ltr' },
+  'bho': { name: 'Bhojpuri', nativeName: 'भोजपुरी', dir: 'ltr' },
+  'kas': { name: 'Kashmiri', nativeName: 'کٲشُر', dir: 'rtl' }
+};
+
+module.exports = {
+  speechRecognitionLocales,
+  speechSynthesisVoices,
+  speechOnlyLanguageNames
+};
@@ -0,0 +1,19 @@
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Chat message behaviour
+const messagesConfig = {
+  // How long after sending a message its sender may still edit it (ms); 0 means no limit
+  editWindow: parseInt(process.env.MESSAGE_EDIT_WINDOW || 900000),
+
+  // Messages missed while offline are pushed on reconnect in batches of this size,
+  // up to maxMessages per connection; the rest follows on the next one
+  sync: {
+    batchSize: parseInt(process.env.MESSAGE_SYNC_BATCH_SIZE || 50),
+    maxMessages: parseInt(process.env.MESSAGE_SYNC_MAX_MESSAGES || 1000)
+  }
+};
+
+module.exports = messagesConfig;
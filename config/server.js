@@ -3,6 +3,8 @@ const dotenv = require('dotenv');
 // Load environment variables
 dotenv.config();
 
+const { providerChain } = require('./translation');
+
 // Log important configurations on startup
 const logConfig = () => {
   console.log('Environment Configuration:');
@@ -10,6 +12,7 @@ const logConfig = () => {
   console.log('PORT:', process.env.PORT || 2000);
   console.log('MongoDB:', process.env.MONGO_URI ? 'Configured' : 'Not Configured');
   console.log('Azure Translator:', process.env.AZURE_TRANSLATOR_KEY ? 'Configured' : 'Not Configured');
+  console.log('Translation Providers:', providerChain.join(' -> '));
   console.log('Azure Speech:', process.env.AZURE_SPEECH_KEY ? 'Configured' : 'Not Configured');
 };
 
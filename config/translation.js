@@ -0,0 +1,106 @@
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Translation provider configuration
+const translationConfig = {
+  // Ordered failover chain of 'azure', 'google', 'free' and 'local', e.g. "azure,google,free".
+  // Defaults to the single provider in TRANSLATION_PROVIDER.
+  providerChain: (process.env.TRANSLATION_PROVIDERS || process.env.TRANSLATION_PROVIDER || 'azure')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean),
+
+  // Bounded retries per provider before failing over to the next one
+  retry: {
+    maxRetries: parseInt(process.env.TRANSLATION_MAX_RETRIES || 2),
+    baseDelay: parseInt(process.env.TRANSLATION_RETRY_BASE_DELAY || 500),
+    maxDelay: parseInt(process.env.TRANSLATION_RETRY_MAX_DELAY || 5000)
+  },
+
+  // Per-provider circuit breaker
+  circuitBreaker: {
+    threshold: parseInt(process.env.TRANSLATION_BREAKER_THRESHOLD || 5),
+    cooldown: parseInt(process.env.TRANSLATION_BREAKER_COOLDOWN || 30000)
+  },
+
+  // Central scheduler in front of the providers. The token bucket defaults to the
+  // Azure S1 limit of 40M characters per hour; F0 allows about 33,300 per minute.
+  // Set the rate to 0 to disable rate limiting.
+  scheduler: {
+    charsPerMinute: parseInt(process.env.TRANSLATION_RATE_LIMIT_CHARS_PER_MINUTE || 666000),
+    burst: parseInt(process.env.TRANSLATION_RATE_LIMIT_BURST || 0),
+    maxConcurrent: parseInt(process.env.TRANSLATION_MAX_CONCURRENT || 10),
+    maxQueueSize: parseInt(process.env.TRANSLATION_MAX_QUEUE_SIZE || 1000)
+  },
+
+  // Messages are delivered before they are translated; failed translations are
+  // retried in the background with exponential backoff
+  delivery: {
+    maxAttempts: parseInt(process.env.TRANSLATION_DELIVERY_MAX_ATTEMPTS || 5),
+    retryBaseDelay: parseInt(process.env.TRANSLATION_DELIVERY_RETRY_DELAY || 30000),
+    sweepInterval: parseInt(process.env.TRANSLATION_DELIVERY_SWEEP_INTERVAL || 30000),
+    sweepBatchSize: parseInt(process.env.TRANSLATION_DELIVERY_SWEEP_BATCH || 20)
+  },
+
+  // Characters one chat history request may send to the provider when translating on demand
+  historyCharacterBudget: parseInt(process.env.HISTORY_TRANSLATION_CHAR_BUDGET || 20000),
+
+  // Backfill after a user changes language: how many recent conversations, how many
+  // messages of each, and how many messages are translated per batch
+  retranslation: {
+    conversations: parseInt(process.env.RETRANSLATION_CONVERSATIONS || 20),
+    messagesPerConversation: parseInt(process.env.RETRANSLATION_MESSAGES_PER_CONVERSATION || 100),
+    batchSize: parseInt(process.env.RETRANSLATION_BATCH_SIZE || 25),
+    // How long a job stays with its instance without progress before another may take it over (ms)
+    lease: parseInt(process.env.RETRANSLATION_JOB_LEASE || 300000)
+  },
+
+  // How long the language catalog built from the provider's live list is reused,
+  // and how soon a failed refresh is retried while the cached or offline copy is served
+  languageCatalog: {
+    ttl: parseInt(process.env.LANGUAGE_CATALOG_TTL || 21600000),
+    retryDelay: parseInt(process.env.LANGUAGE_CATALOG_RETRY_DELAY || 300000)
+  },
+
+  // Two-level translation cache: in-process LRU in front of the shared MongoDB collection
+  cache: {
+    memoryMaxSize: parseInt(process.env.TRANSLATION_CACHE_MAX_SIZE || 5000),
+    memoryTtl: parseInt(process.env.TRANSLATION_CACHE_TTL || 3600000),
+    persistentTtlDays: parseInt(process.env.TRANSLATION_MEMORY_TTL_DAYS || 30)
+  },
+
+  // Detections below this confidence are flagged as "language uncertain"
+  detectionConfidenceThreshold: parseFloat(process.env.LANGUAGE_DETECTION_THRESHOLD || 0.6),
+
+  // Terms never translated for anyone, e.g. the product name
+  globalDoNotTranslate: (process.env.GLOSSARY_GLOBAL_TERMS || 'Vani')
+    .split(',')
+    .map(term => term.trim())
+    .filter(Boolean),
+
+  // How long glossaries are cached per process (ms). Edits clear the cache of the
+  // instance that made them only; other instances pick them up after this long.
+  glossaryCacheTtl: parseInt(process.env.GLOSSARY_CACHE_TTL || 60000),
+
+  azure: {
+    key: process.env.AZURE_TRANSLATOR_KEY,
+    region: process.env.AZURE_TRANSLATOR_REGION,
+    endpoint: process.env.AZURE_TRANSLATOR_ENDPOINT || 'https://api.cognitive.microsofttranslator.com',
+    timeout: parseInt(process.env.AZURE_TRANSLATOR_TIMEOUT || 10000)
+  },
+
+  google: {
+    projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
+    apiKey: process.env.GOOGLE_TRANSLATE_API_KEY,
+    keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS
+  },
+
+  local: {
+    // Optional path to a JSON dictionary: { "<lang>": { "<phrase>": "<translation>" } }
+    dictionaryPath: process.env.LOCAL_TRANSLATION_DICTIONARY
+  }
+};
+
+module.exports = translationConfig;
@@ -0,0 +1,30 @@
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Reads a quota limit; 0 or unset means unlimited
+const limit = (name) => parseInt(process.env[name] || 0);
+
+// Per-user consumption quotas. Periods are calendar days and months in UTC.
+const usageConfig = {
+  quotas: {
+    // Characters sent to a translation provider (cache hits are free)
+    translation: {
+      daily: limit('USAGE_TRANSLATION_DAILY_CHARS'),
+      monthly: limit('USAGE_TRANSLATION_MONTHLY_CHARS')
+    },
+    // Seconds of audio transcribed
+    stt: {
+      daily: limit('USAGE_STT_DAILY_SECONDS'),
+      monthly: limit('USAGE_STT_MONTHLY_SECONDS')
+    },
+    // Characters synthesized to speech
+    tts: {
+      daily: limit('USAGE_TTS_DAILY_CHARS'),
+      monthly: limit('USAGE_TTS_MONTHLY_CHARS')
+    }
+  }
+};
+
+module.exports = usageConfig;
@@ -1,6 +1,8 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { startRetranslationJob, getRetranslationJob, serializeJob } = require('../utils/retranslationJob');
+const { getTranslationLanguages } = require('../utils/languageRegistry');
 
 const register = async (req, res) => {
   const { username, mobileNumber, password } = req.body;
@@ -64,7 +66,8 @@ const login = async (req, res) => {
         id: user._id,
         username: user.username,
         status: user.status,
-        preferredLanguage: user.preferredLanguage
+        preferredLanguage: user.preferredLanguage,
+        scriptPreference: user.scriptPreference
       }
     });
   } catch (err) {
@@ -126,10 +129,69 @@ const updateLanguage = async (req, res) => {
             return res.status(400).json({ error: 'Language is required' });
         }
         
-        // Update user's language preference
-        const user = await User.findByIdAndUpdate(
+        // Update user's language preference, keeping the previous one to see whether it changed
+        const previous = await User.findByIdAndUpdate(
             req.user.userId,
             { preferredLanguage: language },
+            { new: false }
+        );
+        
+        if (!previous) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        // Backfill recent conversations into the new language in the background
+        let job = null;
+        if (previous.preferredLanguage !== language) {
+            job = await startRetranslationJob(req.user.userId, language);
+        }
+        
+        res.json({
+            message: 'Language preference updated',
+            language,
+            retranslationJob: job ? serializeJob(job) : null
+        });
+    } catch (err) {
+        console.error('Error updating language preference:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+// Report progress of the re-translation job started by a language change
+const getRetranslationStatus = async (req, res) => {
+    try {
+        const job = await getRetranslationJob(req.user.userId, req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ error: 'Re-translation job not found' });
+        }
+        res.json(serializeJob(job));
+    } catch (err) {
+        console.error('Error getting re-translation job:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+// Maximum number of additional languages a user can list as understood
+const MAX_UNDERSTOOD_LANGUAGES = 10;
+
+// Set the ranked list of other languages the user reads without translation
+const updateUnderstoodLanguages = async (req, res) => {
+    try {
+        const { languages } = req.body;
+        
+        if (!Array.isArray(languages) || languages.some(language => typeof language !== 'string' || !language.trim())) {
+            return res.status(400).json({ error: 'Languages must be an array of language codes' });
+        }
+        
+        // Keep the first occurrence of each language so the ranking is preserved
+        const understoodLanguages = [...new Set(languages.map(language => language.trim()))];
+        if (understoodLanguages.length > MAX_UNDERSTOOD_LANGUAGES) {
+            return res.status(400).json({ error: `At most ${MAX_UNDERSTOOD_LANGUAGES} languages can be listed` });
+        }
+        
+        const user = await User.findByIdAndUpdate(
+            req.user.userId,
+            { understoodLanguages },
             { new: true }
         );
         
@@ -137,18 +199,73 @@ const updateLanguage = async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
         
-        res.json({ message: 'Language preference updated', language: user.preferredLanguage });
+        res.json({
+            message: 'Understood languages updated',
+            preferredLanguage: user.preferredLanguage,
+            understoodLanguages: user.understoodLanguages
+        });
     } catch (err) {
-        console.error('Error updating language preference:', err);
+        console.error('Error updating understood languages:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+// Update which script the user wants to read messages in
+const updateScriptPreference = async (req, res) => {
+    try {
+        const { scriptPreference } = req.body;
+        
+        if (!['native', 'latin'].includes(scriptPreference)) {
+            return res.status(400).json({ error: 'Script preference must be "native" or "latin"' });
+        }
+        
+        const user = await User.findByIdAndUpdate(
+            req.user.userId,
+            { scriptPreference },
+            { new: true }
+        );
+        
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        res.json({ message: 'Script preference updated', scriptPreference: user.scriptPreference });
+    } catch (err) {
+        console.error('Error updating script preference:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+};
+
+// Turn read receipts on or off; with them off, senders only see that messages were delivered
+const updateReadReceipts = async (req, res) => {
+    try {
+        const { readReceipts } = req.body;
+        
+        if (typeof readReceipts !== 'boolean') {
+            return res.status(400).json({ error: 'readReceipts must be true or false' });
+        }
+        
+        const user = await User.findByIdAndUpdate(
+            req.user.userId,
+            { readReceipts },
+            { new: true }
+        );
+        
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        res.json({ message: 'Read receipts updated', readReceipts: user.readReceipts });
+    } catch (err) {
+        console.error('Error updating read receipts:', err);
         res.status(500).json({ error: 'Server error' });
     }
 };
 
-// Get supported languages
+// Get supported translation languages (legacy map format)
 const getSupportedLanguages = async (req, res) => {
   try {
-    const { getSupportedLanguages } = require('../utils/translator');
-    const languages = await getSupportedLanguages();
+    const languages = await getTranslationLanguages();
     res.json(languages);
   } catch (err) {
     console.error('Error getting supported languages:', err);
@@ -156,4 +273,4 @@ const getSupportedLanguages = async (req, res) => {
   }
 };
 
-module.exports = { register, login, getMe, getUsers, updateLanguage, getSupportedLanguages };
\ No newline at end of file
+module.exports = { register, login, getMe, getUsers, updateLanguage, getRetranslationStatus, updateUnderstoodLanguages, updateScriptPreference, updateReadReceipts, getSupportedLanguages };
\ No newline at end of file
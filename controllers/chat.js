@@ -1,15 +1,30 @@
+const mongoose = require('mongoose');
 const Chat = require('../models/Chat');
 const User = require('../models/User');
-const { translateText } = require('../utils/translator');
+const { translateTextWithProvider, resolveMessageLanguage } = require('../utils/translator');
+const { normalizeIncomingMessage, buildRomanizations } = require('../utils/transliterator');
+const { markTranslationsPending, translateInBackground } = require('../utils/progressiveTranslation');
+const { translateHistory } = require('../utils/historyTranslator');
+const { getReadingPreferences, getTranslationTargets } = require('../utils/conversationSettings');
+const { isRoomMember, getRoomMemberIds, listUserRooms, serializeRoom } = require('../utils/rooms');
+const { editMessage: editChatMessage, deleteMessage: deleteChatMessage } = require('../utils/messageEdits');
+const { createReceipts, markDelivered, markRead, getMessageReceipts } = require('../utils/messageReceipts');
+const { renderHistoryMessage } = require('../utils/messageSync');
+const { historyCharacterBudget } = require('../config/translation');
 
-// Get chat history between two users or in a room
+// Get chat history between two users or in a room.
+// With ?translate=true, missing translations into the reader's language are
+// produced server-side within a character budget (?budget=<chars>).
 const getChatHistory = async (req, res) => {
   try {
-    const { userId, roomId } = req.query;
+    const { userId, roomId, translate, budget } = req.query;
     let query = {};
     
     if (roomId) {
-      // Group chat
+      // Group chat, readable by its members
+      if (!(await isRoomMember(roomId, req.user.userId))) {
+        return res.status(403).json({ error: 'Not a member of this room' });
+      }
       query = { room: roomId };
     } else if (userId) {
       // Direct message between two users
@@ -24,29 +39,53 @@ const getChatHistory = async (req, res) => {
       return res.status(400).json({ error: 'Either userId or roomId is required' });
     }
     
-    // Get current user's preferred language
+    // Get current user's language and script, with their settings for this conversation
     const currentUser = await User.findById(req.user.userId);
-    const preferredLanguage = currentUser.preferredLanguage || 'en';
+    const preferences = (await getReadingPreferences([currentUser], {
+      room: roomId,
+      sender: req.user.userId,
+      receiver: userId
+    })).get(currentUser._id.toString());
+    const { language, understoodLanguages, displayMode } = preferences;
     
     const messages = await Chat.find(query)
       .sort({ timestamp: 1 })
       .populate('sender', 'username preferredLanguage')
       .populate('receiver', 'username preferredLanguage');
     
-    // Check if messages need translation
-    const messagesWithTranslation = messages.map(message => {
-      const messageObj = message.toObject();
-      
-      // If the message has a translation in the user's preferred language, use it
-      if (preferredLanguage !== 'en' && messageObj.translations && messageObj.translations.has(preferredLanguage)) {
-        messageObj.content = messageObj.translations.get(preferredLanguage);
-      } else if (preferredLanguage !== messageObj.originalLanguage) {
-        // Mark for translation if not in user's preferred language
-        messageObj.needsTranslation = true;
-      }
-      
-      return messageObj;
-    });
+    // Loading the history delivers whatever had not reached the reader yet
+    const undelivered = messages
+      .filter(message => message.receipts.some(receipt => receipt.user.toString() === req.user.userId && !receipt.deliveredAt))
+      .map(message => message._id.toString());
+    if (undelivered.length > 0) {
+      markDelivered(req.user.userId, undelivered.slice(-500)).catch(err => {
+        console.error('Failed to mark history as delivered:', err.message);
+      });
+    }
+    
+    let historyTranslation = null;
+    if (translate === 'true' && displayMode !== 'original') {
+      historyTranslation = await translateHistory(messages, language, {
+        userId: req.user.userId,
+        budget: Math.min(parseInt(budget) || historyCharacterBudget, historyCharacterBudget),
+        understoodLanguages
+      });
+    }
+    
+    // Pick each message's rendering and flag those still lacking the reader's language;
+    // deleted messages only show where they were. Senders see the receipts of their own messages.
+    const messagesWithTranslation = messages.map(message => renderHistoryMessage(message, preferences, req.user.userId));
+    
+    if (historyTranslation) {
+      const { translated, characters, untranslated, error } = historyTranslation;
+      return res.json({
+        messages: messagesWithTranslation,
+        translated,
+        characters,
+        untranslated,
+        ...(error && { warning: error })
+      });
+    }
     
     res.json(messagesWithTranslation);
   } catch (err) {
@@ -66,7 +105,14 @@ const saveMessage = async (req, res) => {
     
     // Get sender's preferred language
     const sender = await User.findById(req.user.userId);
-    const originalLanguage = sender.preferredLanguage || 'en';
+    
+    // Detect the language the message is actually written in
+    const senderLanguage = sender.preferredLanguage || 'en';
+    const detection = await resolveMessageLanguage(content, senderLanguage);
+    
+    // Convert romanized input ("kaise ho") to native script before translating
+    const normalized = await normalizeIncomingMessage(content, detection, senderLanguage);
+    const originalLanguage = normalized.language;
     
     // Create new message
     const newMessage = new Chat({
@@ -74,57 +120,64 @@ const saveMessage = async (req, res) => {
       originalContent: content,
       content: content, // Initially, content is the same as originalContent
       originalLanguage,
+      detectedLanguage: detection.detectedLanguage,
+      languageConfidence: detection.confidence,
+      languageUncertain: detection.uncertain && !normalized.isRomanized,
+      normalizedContent: normalized.isRomanized ? normalized.text : undefined,
+      isRomanized: normalized.isRomanized,
       timestamp: new Date(),
-      translations: new Map() // Initialize empty translations Map
+      translations: new Map(), // Initialize empty translations Map
+      translationProviders: new Map()
     });
     
+    // Languages the message still has to be translated into
+    let targetLanguages = [];
+    
     // Set room or receiver
     if (roomId) {
+      const memberIds = await getRoomMemberIds(roomId);
+      if (!memberIds.includes(req.user.userId)) {
+        return res.status(403).json({ error: 'Not a member of this room' });
+      }
       newMessage.room = roomId;
       newMessage.isGroupMessage = true;
       
-      // Get all users in the room with their language preferences
-      const roomUsers = await Chat.find({ room: roomId })
-        .distinct('sender')
-        .then(senderIds => User.find({ _id: { $in: senderIds } }).select('preferredLanguage'));
+      // Get the other members of the room with their language preferences
+      const roomUsers = await User.find({ _id: { $in: memberIds.filter(id => id !== req.user.userId) } })
+        .select('preferredLanguage understoodLanguages scriptPreference');
+      newMessage.receipts = createReceipts(roomUsers.map(roomUser => roomUser._id));
       
-      // Translate message for each unique language
-      for (const user of roomUsers) {
-        const userLang = user.preferredLanguage;
-        if (userLang && userLang !== originalLanguage && !newMessage.translations.has(userLang)) {
-          try {
-            const translated = await translateText(content, userLang);
-            newMessage.translations.set(userLang, translated);
-          } catch (err) {
-            console.error(`Failed to translate to ${userLang}:`, err);
-            // Continue with other translations even if one fails
-          }
-        }
-      }
+      const preferences = await getReadingPreferences(roomUsers, newMessage);
+      targetLanguages = getTranslationTargets(preferences, originalLanguage);
     } else if (receiverId) {
       newMessage.receiver = receiverId;
       
-      // Get receiver's language preference
+      // Get receiver's language preference, with their settings for this conversation
       const receiver = await User.findById(receiverId);
-      if (receiver && receiver.preferredLanguage && receiver.preferredLanguage !== originalLanguage) {
-        try {
-          // Translate the message to receiver's language
-          const translated = await translateText(content, receiver.preferredLanguage);
-          newMessage.translations.set(receiver.preferredLanguage, translated);
-        } catch (err) {
-          console.error(`Failed to translate to ${receiver.preferredLanguage}:`, err);
-          // Continue even if translation fails
-        }
+      if (receiver) {
+        newMessage.receipts = createReceipts([receiver._id]);
+        const preferences = await getReadingPreferences([receiver], newMessage);
+        targetLanguages = getTranslationTargets(preferences, originalLanguage);
       }
     } else {
       return res.status(400).json({ error: 'Either receiverId or roomId is required' });
     }
     
+    // Keep the original language entry alongside the translations and add Latin renderings
+    newMessage.translations.set(originalLanguage, normalized.text);
+    newMessage.romanizations = await buildRomanizations(newMessage.translations);
+    
+    // The message is stored right away; translations follow through 'messageTranslated' events
+    markTranslationsPending(newMessage, targetLanguages);
     await newMessage.save();
     
     const populatedMessage = await Chat.findById(newMessage._id)
       .populate('sender', 'username preferredLanguage')
       .populate('receiver', 'username preferredLanguage');
+    
+    if (newMessage.translationStatus === 'pending') {
+      translateInBackground(newMessage);
+    }
       
     res.status(201).json(populatedMessage);
   } catch (err) {
@@ -138,12 +191,21 @@ const translateMessage = async (req, res) => {
   try {
     const { messageId, targetLanguage } = req.body;
     
-    if (!messageId || !targetLanguage) {
+    if (!messageId || typeof targetLanguage !== 'string' || !targetLanguage) {
       return res.status(400).json({ error: 'Message ID and target language are required' });
     }
     
-    const message = await Chat.findById(messageId);
-    if (!message) {
+    const message = mongoose.Types.ObjectId.isValid(messageId) ? await Chat.findById(messageId) : null;
+    if (!message || message.deletedAt) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    
+    // Only the room's members or the two participants may read (and be billed for) a message
+    const userId = req.user.userId;
+    const canView = message.room
+      ? await isRoomMember(message.room, userId)
+      : message.sender.toString() === userId || message.receiver?.toString() === userId;
+    if (!canView) {
       return res.status(404).json({ error: 'Message not found' });
     }
     
@@ -155,23 +217,40 @@ const translateMessage = async (req, res) => {
       });
     }
     
-    // Handle legacy messages without originalContent field
-    const textToTranslate = message.originalContent || message.content;
+    // Same source as background translation: the native-script form of romanized input,
+    // auto-detected when the detection was uncertain; legacy messages only have content
+    const textToTranslate = message.normalizedContent || message.originalContent || message.content;
+    const sourceLanguage = message.languageUncertain ? null : (message.originalLanguage || null);
     
     // If no content to translate, return an error
     if (!textToTranslate) {
       return res.status(400).json({ error: 'No content to translate' });
     }
     
+    // Only save onto the text that was translated: an edit or delete meanwhile wins
+    message.$where = { editedAt: message.editedAt || null, deletedAt: null };
+    
     // Translate the message
-    const translatedText = await translateText(textToTranslate, targetLanguage);
+    const { text: translatedText, provider, glossaryHits } = await translateTextWithProvider(textToTranslate, sourceLanguage, targetLanguage, {
+      userId: message.sender.toString(),
+      roomId: message.room,
+      billedUserId: req.user.userId
+    });
     
     // Update message with new translation
     if (!message.translations) {
       message.translations = new Map();
     }
+    if (!message.translationProviders) {
+      message.translationProviders = new Map();
+    }
     
     message.translations.set(targetLanguage, translatedText);
+    message.translationProviders.set(targetLanguage, provider);
+    message.glossaryHits.push(...glossaryHits);
+    (await buildRomanizations(new Map([[targetLanguage, translatedText]]))).forEach((romanized, language) => {
+      message.romanizations.set(language, romanized);
+    });
     
     // Handle legacy messages by setting originalContent if it doesn't exist
     if (!message.originalContent && message.content) {
@@ -181,23 +260,96 @@ const translateMessage = async (req, res) => {
     
     await message.save();
     
-    res.json({ messageId, translation: translatedText });
+    res.json({ messageId, translation: translatedText, provider });
   } catch (err) {
+    if (err.name === 'DocumentNotFoundError') {
+      return res.status(409).json({ error: 'Message was edited or deleted while translating' });
+    }
+    if (err.code === 'QUOTA_EXCEEDED') {
+      return res.status(429).json({ error: err.message, code: err.code, ...err.details });
+    }
     console.error('Error translating message:', err);
     res.status(500).json({ error: 'Failed to translate message' });
   }
 };
 
-// Get all chat rooms/groups a user is part of
+// Edit one of the current user's messages within the edit window
+const editMessage = async (req, res) => {
+  try {
+    const message = await editChatMessage({
+      messageId: req.params.messageId,
+      text: req.body.content,
+      userId: req.user.userId
+    });
+    res.json(message);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error editing message:', err);
+    res.status(500).json({ error: 'Failed to edit message' });
+  }
+};
+
+// Delete a message for everyone (its sender or a room admin)
+const deleteMessage = async (req, res) => {
+  try {
+    res.json(await deleteChatMessage({ messageId: req.params.messageId, userId: req.user.userId }));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error deleting message:', err);
+    res.status(500).json({ error: 'Failed to delete message' });
+  }
+};
+
+// Acknowledge that messages reached the current user's device
+const acknowledgeDelivery = async (req, res) => {
+  try {
+    res.json({ delivered: await markDelivered(req.user.userId, req.body.messageIds) });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error acknowledging delivery:', err);
+    res.status(500).json({ error: 'Failed to acknowledge delivery' });
+  }
+};
+
+// Report how far the current user has read a room or direct conversation
+const reportReadPosition = async (req, res) => {
+  try {
+    const { roomId, userId, messageId } = req.body;
+    res.json({ read: await markRead(req.user.userId, { roomId, partnerId: userId, messageId }) });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error reporting read position:', err);
+    res.status(500).json({ error: 'Failed to report read position' });
+  }
+};
+
+// Who received and read one of the current user's messages
+const getReceipts = async (req, res) => {
+  try {
+    res.json(await getMessageReceipts(req.params.messageId, req.user.userId));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error getting message receipts:', err);
+    res.status(500).json({ error: 'Failed to get message receipts' });
+  }
+};
+
+// Get all chat rooms/groups a user is a member of
 const getUserRooms = async (req, res) => {
   try {
-    const userRooms = await Chat.find({ 
-      sender: req.user.userId, 
-      room: { $exists: true, $ne: null } 
-    })
-    .distinct('room');
+    const userRooms = await listUserRooms(req.user.userId);
     
-    res.json(userRooms);
+    res.json(userRooms.map(serializeRoom));
   } catch (err) {
     console.error('Error getting user rooms:', err);
     res.status(500).json({ error: 'Failed to get user rooms' });
@@ -208,5 +360,10 @@ module.exports = {
   getChatHistory,
   saveMessage,
   translateMessage,
+  editMessage,
+  deleteMessage,
+  acknowledgeDelivery,
+  reportReadPosition,
+  getReceipts,
   getUserRooms
 }; 
\ No newline at end of file
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { isRoomMember } = require('../utils/rooms');
+const {
+  DISPLAY_MODES,
+  getConversationSetting,
+  listConversationSettings,
+  saveConversationSetting,
+  deleteConversationSetting
+} = require('../utils/conversationSettings');
+
+const MAX_LANGUAGE_CODE_LENGTH = 20;
+
+/**
+ * Reads the conversation a request targets: ?roomId=/?userId= or the same fields in the body
+ * @param {Object} source - req.query or req.body
+ * @returns {{roomId?: string, partnerId?: string}|null} - null when neither or both are given
+ */
+const getConversation = ({ roomId, userId }) => {
+  if (Boolean(roomId) === Boolean(userId)) {
+    return null;
+  }
+  return roomId ? { roomId: String(roomId) } : { partnerId: String(userId) };
+};
+
+/**
+ * Answers 400/404 when the conversation of a request is invalid
+ * @param {Object} res - Express response
+ * @param {Object|null} conversation
+ * @param {string} userId - Current user, who must be a member of a room
+ * @returns {Promise<boolean>} - Whether a response was sent
+ */
+const rejectInvalidConversation = async (res, conversation, userId) => {
+  if (!conversation) {
+    res.status(400).json({ error: 'Either userId or roomId is required' });
+    return true;
+  }
+  if (conversation.roomId && !(await isRoomMember(conversation.roomId, userId))) {
+    res.status(404).json({ error: 'Room not found' });
+    return true;
+  }
+  if (conversation.partnerId) {
+    if (!mongoose.Types.ObjectId.isValid(conversation.partnerId) || !(await User.exists({ _id: conversation.partnerId }))) {
+      res.status(404).json({ error: 'User not found' });
+      return true;
+    }
+  }
+  return false;
+};
+
+// Get the current user's setting for a conversation, or all of their settings
+const getSettings = async (req, res) => {
+  try {
+    if (!req.query.roomId && !req.query.userId) {
+      return res.json(await listConversationSettings(req.user.userId));
+    }
+
+    const conversation = getConversation(req.query);
+    if (await rejectInvalidConversation(res, conversation, req.user.userId)) {
+      return;
+    }
+
+    const setting = await getConversationSetting(req.user.userId, conversation);
+    // Conversations without a setting use the user's defaults
+    res.json(setting || { displayMode: 'translate', language: null });
+  } catch (err) {
+    console.error('Error getting conversation settings:', err);
+    res.status(500).json({ error: 'Failed to get conversation settings' });
+  }
+};
+
+// Set the display mode and/or language override of a conversation
+const updateSettings = async (req, res) => {
+  try {
+    const { displayMode, language } = req.body;
+    const conversation = getConversation(req.body);
+    if (await rejectInvalidConversation(res, conversation, req.user.userId)) {
+      return;
+    }
+
+    if (displayMode === undefined && language === undefined) {
+      return res.status(400).json({ error: 'displayMode or language is required' });
+    }
+    if (displayMode !== undefined && !DISPLAY_MODES.includes(displayMode)) {
+      return res.status(400).json({ error: `displayMode must be one of: ${DISPLAY_MODES.join(', ')}` });
+    }
+    if (language !== undefined && language !== null
+      && (typeof language !== 'string' || !language.trim() || language.length > MAX_LANGUAGE_CODE_LENGTH)) {
+      return res.status(400).json({ error: 'language must be a language code, or null to remove the override' });
+    }
+
+    const setting = await saveConversationSetting(req.user.userId, conversation, {
+      displayMode,
+      language: typeof language === 'string' ? language.trim() : language
+    });
+    res.json(setting);
+  } catch (err) {
+    console.error('Error updating conversation settings:', err);
+    res.status(500).json({ error: 'Failed to update conversation settings' });
+  }
+};
+
+// Remove a conversation's setting so the user's defaults apply again
+const resetSettings = async (req, res) => {
+  try {
+    const conversation = getConversation(req.query);
+    if (!conversation) {
+      return res.status(400).json({ error: 'Either userId or roomId is required' });
+    }
+
+    const deleted = await deleteConversationSetting(req.user.userId, conversation);
+    if (!deleted) {
+      return res.status(404).json({ error: 'No settings for this conversation' });
+    }
+    res.json({ message: 'Conversation settings reset' });
+  } catch (err) {
+    console.error('Error resetting conversation settings:', err);
+    res.status(500).json({ error: 'Failed to reset conversation settings' });
+  }
+};
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  resetSettings
+};
@@ -0,0 +1,86 @@
+const {
+  suggestCorrection,
+  reviewCorrection,
+  getPendingCorrections,
+  getMessageCorrections
+} = require('../utils/translationCorrections');
+
+/**
+ * Answers with the status of a correction error, or 500 for unexpected ones
+ * @param {Object} res - Express response
+ * @param {Error} err
+ * @param {string} fallbackMessage
+ */
+const sendCorrectionError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`${fallbackMessage}:`, err);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+// Suggest a corrected translation of a message
+const createCorrection = async (req, res) => {
+  try {
+    const { language, text, addToGlossary } = req.body;
+    const correction = await suggestCorrection({
+      messageId: req.params.messageId,
+      language,
+      text,
+      addToGlossary: addToGlossary === true,
+      userId: req.user.userId
+    });
+    res.status(201).json(correction);
+  } catch (err) {
+    sendCorrectionError(res, err, 'Failed to suggest correction');
+  }
+};
+
+// List the corrections suggested for a message
+const listMessageCorrections = async (req, res) => {
+  try {
+    res.json(await getMessageCorrections(req.params.messageId, req.user.userId));
+  } catch (err) {
+    sendCorrectionError(res, err, 'Failed to get corrections');
+  }
+};
+
+// List corrections waiting for the current user's review
+const listPendingCorrections = async (req, res) => {
+  try {
+    res.json(await getPendingCorrections(req.user.userId));
+  } catch (err) {
+    sendCorrectionError(res, err, 'Failed to get pending corrections');
+  }
+};
+
+// Accept a correction, adding a short message to the glossary if the body asks for it
+const acceptCorrection = async (req, res) => {
+  try {
+    res.json(await reviewCorrection({
+      correctionId: req.params.id,
+      accept: true,
+      addToGlossary: req.body?.addToGlossary === true,
+      userId: req.user.userId
+    }));
+  } catch (err) {
+    sendCorrectionError(res, err, 'Failed to accept correction');
+  }
+};
+
+// Reject a correction
+const rejectCorrection = async (req, res) => {
+  try {
+    res.json(await reviewCorrection({ correctionId: req.params.id, accept: false, userId: req.user.userId }));
+  } catch (err) {
+    sendCorrectionError(res, err, 'Failed to reject correction');
+  }
+};
+
+module.exports = {
+  createCorrection,
+  listMessageCorrections,
+  listPendingCorrections,
+  acceptCorrection,
+  rejectCorrection
+};
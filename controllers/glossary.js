@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const Glossary = require('../models/Glossary');
+const { invalidateGlossary } = require('../utils/glossary');
+const { isRoomMember, isRoomAdmin } = require('../utils/rooms');
+
+/**
+ * Checks whether a user may manage a room's glossary (is an owner or admin of the room)
+ * @param {string} userId
+ * @param {string} roomId
+ * @returns {Promise<boolean>}
+ */
+const canManageRoom = async (userId, roomId) => isRoomAdmin(roomId, userId);
+
+/**
+ * Checks whether a user may change an existing glossary entry
+ * @param {Object} entry - Glossary entry
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+const canEditEntry = async (entry, userId) => {
+  if (entry.scope === 'user') {
+    return entry.owner.toString() === userId;
+  }
+  return canManageRoom(userId, entry.room);
+};
+
+/**
+ * Checks that translations from a request map language codes to texts
+ * @param {*} translations
+ * @returns {boolean}
+ */
+const isTranslationMap = (translations) => translations !== null
+  && typeof translations === 'object'
+  && !Array.isArray(translations)
+  && Object.values(translations).every(text => typeof text === 'string');
+
+/**
+ * Loads a glossary entry by the ID in a request
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+const findEntry = async (id) => (mongoose.Types.ObjectId.isValid(id) ? Glossary.findById(id) : null);
+
+// List glossary entries for the current user or for a room
+const getGlossary = async (req, res) => {
+  try {
+    const { roomId } = req.query;
+    if (roomId !== undefined && typeof roomId !== 'string') {
+      return res.status(400).json({ error: 'roomId must be a string' });
+    }
+    
+    let query;
+    if (roomId) {
+      // Every member can see the room's terms; only admins change them
+      if (!(await isRoomMember(roomId, req.user.userId))) {
+        return res.status(403).json({ error: 'Not a member of this room' });
+      }
+      query = { scope: 'room', room: roomId };
+    } else {
+      query = { scope: 'user', owner: req.user.userId };
+    }
+    
+    const entries = await Glossary.find(query).sort({ term: 1 });
+    res.json(entries);
+  } catch (err) {
+    console.error('Error getting glossary:', err);
+    res.status(500).json({ error: 'Failed to get glossary' });
+  }
+};
+
+// Add a glossary entry
+const createGlossaryEntry = async (req, res) => {
+  try {
+    const { term, roomId, doNotTranslate, translations, caseSensitive } = req.body;
+    
+    if (typeof term !== 'string' || !term.trim()) {
+      return res.status(400).json({ error: 'Term is required' });
+    }
+    
+    if (roomId !== undefined && typeof roomId !== 'string') {
+      return res.status(400).json({ error: 'roomId must be a string' });
+    }
+    
+    if (translations !== undefined && !isTranslationMap(translations)) {
+      return res.status(400).json({ error: 'translations must map language codes to texts' });
+    }
+    
+    if (!doNotTranslate && (!translations || Object.keys(translations).length === 0)) {
+      return res.status(400).json({ error: 'Either doNotTranslate or at least one translation is required' });
+    }
+    
+    if (roomId && !(await canManageRoom(req.user.userId, roomId))) {
+      return res.status(403).json({ error: 'Only room admins can change the room glossary' });
+    }
+    
+    const entry = new Glossary({
+      scope: roomId ? 'room' : 'user',
+      owner: roomId ? undefined : req.user.userId,
+      room: roomId,
+      term: term.trim(),
+      caseSensitive: Boolean(caseSensitive),
+      doNotTranslate: Boolean(doNotTranslate),
+      translations: new Map(Object.entries(translations || {})),
+      createdBy: req.user.userId
+    });
+    
+    await entry.save();
+    invalidateGlossary();
+    
+    res.status(201).json(entry);
+  } catch (err) {
+    console.error('Error creating glossary entry:', err);
+    res.status(500).json({ error: 'Failed to create glossary entry' });
+  }
+};
+
+// Update a glossary entry
+const updateGlossaryEntry = async (req, res) => {
+  try {
+    const entry = await findEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Glossary entry not found' });
+    }
+    
+    if (!(await canEditEntry(entry, req.user.userId))) {
+      return res.status(403).json({ error: 'Not allowed to edit this glossary entry' });
+    }
+    
+    const { term, doNotTranslate, translations, caseSensitive } = req.body;
+    if (term !== undefined) {
+      if (typeof term !== 'string' || !term.trim()) {
+        return res.status(400).json({ error: 'Term cannot be empty' });
+      }
+      entry.term = term.trim();
+    }
+    if (translations !== undefined && translations !== null && !isTranslationMap(translations)) {
+      return res.status(400).json({ error: 'translations must map language codes to texts' });
+    }
+    if (doNotTranslate !== undefined) {
+      entry.doNotTranslate = Boolean(doNotTranslate);
+    }
+    if (caseSensitive !== undefined) {
+      entry.caseSensitive = Boolean(caseSensitive);
+    }
+    if (translations !== undefined) {
+      entry.translations = new Map(Object.entries(translations || {}));
+    }
+    
+    await entry.save();
+    invalidateGlossary();
+    
+    res.json(entry);
+  } catch (err) {
+    console.error('Error updating glossary entry:', err);
+    res.status(500).json({ error: 'Failed to update glossary entry' });
+  }
+};
+
+// Delete a glossary entry
+const deleteGlossaryEntry = async (req, res) => {
+  try {
+    const entry = await findEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Glossary entry not found' });
+    }
+    
+    if (!(await canEditEntry(entry, req.user.userId))) {
+      return res.status(403).json({ error: 'Not allowed to delete this glossary entry' });
+    }
+    
+    await entry.deleteOne();
+    invalidateGlossary();
+    
+    res.json({ message: 'Glossary entry deleted' });
+  } catch (err) {
+    console.error('Error deleting glossary entry:', err);
+    res.status(500).json({ error: 'Failed to delete glossary entry' });
+  }
+};
+
+module.exports = {
+  getGlossary,
+  createGlossaryEntry,
+  updateGlossaryEntry,
+  deleteGlossaryEntry
+};
@@ -0,0 +1,19 @@
+const { getLanguageCatalog } = require('../utils/languageRegistry');
+
+// Language catalog with per-language capabilities. The ETag is the catalog
+// version, so clients revalidating with If-None-Match get a 304 until it changes.
+const getLanguages = async (req, res) => {
+  try {
+    const catalog = await getLanguageCatalog();
+    res.set('ETag', `"${catalog.version}"`);
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json(catalog);
+  } catch (err) {
+    console.error('Error getting language catalog:', err);
+    res.status(500).json({ error: 'Failed to get language catalog' });
+  }
+};
+
+module.exports = {
+  getLanguages
+};
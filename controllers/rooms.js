@@ -0,0 +1,227 @@
+const {
+  serializeRoom,
+  createRoom: createRoomForUser,
+  listUserRooms,
+  getRoomForMember,
+  updateRoom: updateRoomDetails,
+  addMember: addRoomMember,
+  leaveRoom: leaveRoomForUser,
+  removeMember: removeRoomMember,
+  setMemberRole
+} = require('../utils/rooms');
+const {
+  serializeInvite,
+  serializeJoinRequest,
+  createInvite: createRoomInvite,
+  listInvites: listRoomInvites,
+  revokeInvite: revokeRoomInvite,
+  redeemInvite: redeemRoomInvite,
+  enterRoom,
+  listJoinRequests: listRoomJoinRequests,
+  reviewJoinRequest
+} = require('../utils/roomInvites');
+
+/**
+ * Answers with the status of a room error, or 500 for unexpected ones
+ * @param {Object} res - Express response
+ * @param {Error} err
+ * @param {string} fallbackMessage
+ */
+const sendRoomError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`${fallbackMessage}:`, err);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+// Create a room owned by the current user, optionally with initial members
+const createRoom = async (req, res) => {
+  try {
+    const { name, description, avatar, isPrivate, requireApproval, memberIds } = req.body;
+    const room = await createRoomForUser({ name, description, avatar, isPrivate, requireApproval, memberIds }, req.user.userId);
+    res.status(201).json(serializeRoom(room));
+  } catch (err) {
+    sendRoomError(res, err, 'Failed to create room');
+  }
+};
+
+// List the rooms the current user is a member of
+const listRooms = async (req, res) => {
+  try {
+    const rooms = await listUserRooms(req.user.userId);
+    res.json(rooms.map(serializeRoom));
+  } catch (err) {
+    sendRoomError(res, err, 'Failed to get rooms');
+  }
+};
+
+// Get a room's details and members
+const getRoom = async (req, res) => {
+  try {
+    const room = await getRoomForMember(req.params.roomId, req.user.userId);
+    res.json(serializeRoom(room));
+  } catch (err) {
+    sendRoomError(res, err, 'Failed to get room');
+  }
+};
+
+// Change a room's name, description, avatar, privacy or approval mode (admins only)
+const updateRoom = async (req, res) => {
+  try {
+    const { name, description, avatar, isPrivate, requireApproval } = req.body;
+    const room = await updateRoomDetails(req.params.roomId, { name, description, avatar, isPrivate, requireApproval }, req.user.userId);
+    res.json(serializeRoom(room));
+  } catch (err) {
+    sendRoomError(res, err, 'Failed to update room');
+  }
+};
+
+// Join a room: public rooms directly, private ones with an invite token or,
+// in approval-queue mode, through a join request (answered with 202)
+const joinRoom = async (req, res) => {
+  try {
+    const { inviteToken, message } = req.body;
+    const { status, room, request } = await enterRoom(req.params.roomId, req.user.userId, { inviteToken, message });
+    if (status === 'pending') {
+      return res.status(202).json({ status, request: serializeJoinRequest(request) });
+    }
+    res.json(serializeRoom(room));
+  } catch (err) {
+    sendRoomError(res, err, 'Failed to join room');
+  }
+};
+
+// Join the room of an invite link
+const redeemInvite = async (req, res) => {
+  try {
+    const room = await redeemRoomInvite(req.params.token, req.user.userId);
+    res.json(serializeRoom(room));
+  } catch (err) {
+    sendRoomError(res, err, 'Failed to redeem invite');
+  }
+};
+
+// Create an expiring, optionally usage-limited invite link (admins only)
+const createInvite = async (req, res) => {
+  try {
+    const { expiresIn, maxUses } = req.body;
+    const invite = await createRoomInvite(req.params.roomId, { expiresIn, maxUses }, req.user.userId);
+    res.status(201).json(serializeInvite(invite));
+  } catch (err) {
+    sendRoomError(res, err, 'Failed to create invite');
+  }
+};
+
+// List a room's invite links (admins only)
+const listInvites = async (req, res) => {
+  try {
+    const invites = await listRoomInvites(req.params.roomId, req.user.userId);
+    res.json(invites.map(serializeInvite));
+  } catch (err) {
+    sendRoomError(res, err, 'Failed to get invites');
+  }
+};
+
+// Revoke an invite link (admins only)
+const revokeInvite = async (req, res) => {
+  try {
+    const invite = await revokeRoomInvite(req.params.roomId, req.params.inviteId, req.user.userId);
+    res.json(serializeInvite(invite));
+  } catch (err) {
+    sendRoomError(res, err, 'Failed to revoke invite');
+  }
+};
+
+// List pending join requests (admins only)
+const listJoinRequests = async (req, res) => {
+  try {
+    const requests = await listRoomJoinRequests(req.params.roomId, req.user.userId);
+    res.json(requests.map(serializeJoinRequest));
+  } catch (err) {
+    sendRoomError(res, err, 'Failed to get join requests');
+  }
+};
+
+// Approve a join request (admins only)
+const approveJoinRequest = async (req, res) => {
+  try {
+    const request = await reviewJoinRequest({ requestId: req.params.requestId, approve: true, userId: req.user.userId });
+    res.json(serializeJoinRequest(request));
+  } catch (err) {
+    sendRoomError(res, err, 'Failed to approve join request');
+  }
+};
+
+// Deny a join request (admins only)
+const denyJoinRequest = async (req, res) => {
+  try {
+    const request = await reviewJoinRequest({ requestId: req.params.requestId, approve: false, userId: req.user.userId });
+    res.json(serializeJoinRequest(request));
+  } catch (err) {
+    sendRoomError(res, err, 'Failed to deny join request');
+  }
+};
+
+// Leave a room
+const leaveRoom = async (req, res) => {
+  try {
+    await leaveRoomForUser(req.params.roomId, req.user.userId);
+    res.json({ message: 'Left the room' });
+  } catch (err) {
+    sendRoomError(res, err, 'Failed to leave room');
+  }
+};
+
+// Add a user to a room (admins only)
+const addMember = async (req, res) => {
+  try {
+    const { userId } = req.body;
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    const room = await addRoomMember(req.params.roomId, String(userId), req.user.userId);
+    res.status(201).json(serializeRoom(room));
+  } catch (err) {
+    sendRoomError(res, err, 'Failed to add member');
+  }
+};
+
+// Remove a member from a room (admins only)
+const removeMember = async (req, res) => {
+  try {
+    const room = await removeRoomMember(req.params.roomId, req.params.userId, req.user.userId);
+    res.json(serializeRoom(room));
+  } catch (err) {
+    sendRoomError(res, err, 'Failed to remove member');
+  }
+};
+
+// Promote a member to admin or demote an admin (owner only)
+const updateMemberRole = async (req, res) => {
+  try {
+    const room = await setMemberRole(req.params.roomId, req.params.userId, req.body.role, req.user.userId);
+    res.json(serializeRoom(room));
+  } catch (err) {
+    sendRoomError(res, err, 'Failed to change member role');
+  }
+};
+
+module.exports = {
+  createRoom,
+  listRooms,
+  getRoom,
+  updateRoom,
+  joinRoom,
+  redeemInvite,
+  leaveRoom,
+  addMember,
+  removeMember,
+  updateMemberRole,
+  createInvite,
+  listInvites,
+  revokeInvite,
+  listJoinRequests,
+  approveJoinRequest,
+  denyJoinRequest
+};
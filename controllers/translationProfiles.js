@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { isRoomMember, isRoomAdmin } = require('../utils/rooms');
+const {
+  PROFANITY_ACTIONS,
+  PROFANITY_MARKERS,
+  invalidateTranslationProfiles,
+  getTranslationProfile,
+  saveTranslationProfile,
+  deleteTranslationProfile
+} = require('../utils/translationProfile');
+
+// Custom Translator categories are IDs such as "<workspace-id>-MEDICAL"
+const CATEGORY_REGEX = /^[\w-]{1,100}$/;
+const MAX_ORGANIZATION_LENGTH = 100;
+
+/**
+ * Reads the room or organisation a request targets: ?roomId=/?organization= or the same fields in the body
+ * @param {Object} source - req.query or req.body
+ * @returns {{roomId?: string, organization?: string}|null} - null when neither, both or an invalid name is given
+ */
+const getTarget = ({ roomId, organization }) => {
+  if (Boolean(roomId) === Boolean(organization)) {
+    return null;
+  }
+  if (roomId) {
+    return { roomId: String(roomId) };
+  }
+  const name = String(organization).trim();
+  return name && name.length <= MAX_ORGANIZATION_LENGTH ? { organization: name } : null;
+};
+
+/**
+ * Checks whether a user may configure a target. Room profiles are managed by
+ * the room's owner and admins, organisation profiles by platform admins.
+ * @param {Object} user - req.user
+ * @param {Object} target - { roomId } or { organization }
+ * @returns {Promise<boolean>}
+ */
+const canManageTarget = async (user, target) => {
+  if (target.organization) {
+    return user.role === 'admin';
+  }
+  return isRoomAdmin(target.roomId, user.userId);
+};
+
+/**
+ * Checks whether a user may see a target's profile: room members, and platform
+ * admins and members of the organisation
+ * @param {Object} user - req.user
+ * @param {Object} target - { roomId } or { organization }
+ * @returns {Promise<boolean>}
+ */
+const canViewTarget = async (user, target) => {
+  if (target.roomId) {
+    return isRoomMember(target.roomId, user.userId);
+  }
+  return user.role === 'admin' || Boolean(await User.exists({ _id: user.userId, organization: target.organization }));
+};
+
+// Get the translation profile of a room or an organisation
+const getProfile = async (req, res) => {
+  try {
+    const target = getTarget(req.query);
+    if (!target) {
+      return res.status(400).json({ error: 'Either roomId or organization is required' });
+    }
+    if (!(await canViewTarget(req.user, target))) {
+      return res.status(403).json({ error: 'Not allowed to view this translation profile' });
+    }
+
+    const profile = await getTranslationProfile(target);
+    // Targets without a profile use the general model without filtering
+    res.json(profile || { category: 'general', profanityAction: 'NoAction', profanityMarker: 'Asterisk' });
+  } catch (err) {
+    console.error('Error getting translation profile:', err);
+    res.status(500).json({ error: 'Failed to get translation profile' });
+  }
+};
+
+// Set the category and/or profanity handling of a room or an organisation
+const updateProfile = async (req, res) => {
+  try {
+    const { category, profanityAction, profanityMarker } = req.body;
+    const target = getTarget(req.body);
+    if (!target) {
+      return res.status(400).json({ error: 'Either roomId or organization is required' });
+    }
+
+    if (category === undefined && profanityAction === undefined && profanityMarker === undefined) {
+      return res.status(400).json({ error: 'category, profanityAction or profanityMarker is required' });
+    }
+    if (category !== undefined && (typeof category !== 'string' || !CATEGORY_REGEX.test(category.trim()))) {
+      return res.status(400).json({ error: 'category must be a Custom Translator category ID or "general"' });
+    }
+    if (profanityAction !== undefined && !PROFANITY_ACTIONS.includes(profanityAction)) {
+      return res.status(400).json({ error: `profanityAction must be one of: ${PROFANITY_ACTIONS.join(', ')}` });
+    }
+    if (profanityMarker !== undefined && !PROFANITY_MARKERS.includes(profanityMarker)) {
+      return res.status(400).json({ error: `profanityMarker must be one of: ${PROFANITY_MARKERS.join(', ')}` });
+    }
+
+    if (!(await canManageTarget(req.user, target))) {
+      return res.status(403).json({ error: 'Not allowed to change this translation profile' });
+    }
+
+    const profile = await saveTranslationProfile(target, {
+      category: typeof category === 'string' ? category.trim() : category,
+      profanityAction,
+      profanityMarker
+    }, req.user.userId);
+    res.json(profile);
+  } catch (err) {
+    console.error('Error updating translation profile:', err);
+    res.status(500).json({ error: 'Failed to update translation profile' });
+  }
+};
+
+// Remove the profile of a room or an organisation
+const resetProfile = async (req, res) => {
+  try {
+    const target = getTarget(req.query);
+    if (!target) {
+      return res.status(400).json({ error: 'Either roomId or organization is required' });
+    }
+    if (!(await canManageTarget(req.user, target))) {
+      return res.status(403).json({ error: 'Not allowed to change this translation profile' });
+    }
+
+    const deleted = await deleteTranslationProfile(target);
+    if (!deleted) {
+      return res.status(404).json({ error: 'No translation profile for this target' });
+    }
+    res.json({ message: 'Translation profile reset' });
+  } catch (err) {
+    console.error('Error resetting translation profile:', err);
+    res.status(500).json({ error: 'Failed to reset translation profile' });
+  }
+};
+
+// Assign a user to an organisation, or remove them from theirs with organization: null (admins only)
+const setUserOrganization = async (req, res) => {
+  try {
+    const { organization } = req.body;
+    if (organization !== null && (typeof organization !== 'string' || !organization.trim() || organization.length > MAX_ORGANIZATION_LENGTH)) {
+      return res.status(400).json({ error: 'organization must be a name, or null to remove the user from their organisation' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const update = organization === null
+      ? { $unset: { organization: '' } }
+      : { $set: { organization: organization.trim() } };
+    const user = await User.findByIdAndUpdate(req.params.userId, update, { new: true }).select('username organization');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    invalidateTranslationProfiles();
+    res.json({ userId: user._id, username: user.username, organization: user.organization || null });
+  } catch (err) {
+    console.error('Error updating user organisation:', err);
+    res.status(500).json({ error: 'Failed to update user organisation' });
+  }
+};
+
+module.exports = {
+  getProfile,
+  updateProfile,
+  resetProfile,
+  setUserOrganization
+};
@@ -1,60 +1,113 @@
-const axios = require('axios');
+const { translateText, detectLanguage } = require('../utils/translator');
+const { getTranslationLanguages } = require('../utils/languageRegistry');
+const { transliterate, getNativeScript } = require('../utils/transliterator');
+const { lookupWord } = require('../utils/dictionary');
+const { isRoomMember } = require('../utils/rooms');
 
-const AZURE_TRANSLATOR_KEY = process.env.AZURE_TRANSLATOR_KEY;
-const AZURE_TRANSLATOR_REGION = process.env.AZURE_TRANSLATOR_REGION;
-const AZURE_TRANSLATOR_ENDPOINT = 'https://api.cognitive.microsofttranslator.com';
+// Dictionary lookups are for words and short phrases, not sentences
+const MAX_LOOKUP_LENGTH = 100;
 
-// Get supported languages from Azure Translator
+// Get the languages text can be translated into; see /api/v1/languages for the full catalog
 exports.getLanguages = async (req, res) => {
     try {
-        const response = await axios.get(`${AZURE_TRANSLATOR_ENDPOINT}/languages?api-version=3.0`, {
-            headers: {
-                'Ocp-Apim-Subscription-Key': AZURE_TRANSLATOR_KEY,
-                'Ocp-Apim-Subscription-Region': AZURE_TRANSLATOR_REGION
-            }
-        });
-
-        // Filter and format the languages
-        const languages = {};
-        Object.entries(response.data.translation).forEach(([code, details]) => {
-            languages[code] = {
-                name: details.name,
-                nativeName: details.nativeName,
-                dir: details.dir
-            };
-        });
-
+        const languages = await getTranslationLanguages();
         res.json(languages);
     } catch (error) {
-        console.error('Error fetching languages from Azure:', error);
-        res.status(500).json({ error: 'Failed to fetch languages from Azure Translator' });
+        console.error('Error fetching supported languages:', error);
+        res.status(500).json({ error: 'Failed to fetch supported languages' });
     }
 };
 
-// Translate text using Azure Translator
+// Translate text through the shared translation layer
 exports.translateText = async (req, res) => {
     try {
-        const { text, targetLanguage } = req.body;
+        const { text, targetLanguage, sourceLanguage, roomId } = req.body;
 
-        if (!text || !targetLanguage) {
+        if (typeof text !== 'string' || !text || typeof targetLanguage !== 'string' || !targetLanguage) {
             return res.status(400).json({ error: 'Text and target language are required' });
         }
+        if ((sourceLanguage && typeof sourceLanguage !== 'string') || (roomId !== undefined && typeof roomId !== 'string')) {
+            return res.status(400).json({ error: 'sourceLanguage and roomId must be strings' });
+        }
+        // The room's glossary applies only for its members
+        if (roomId && !(await isRoomMember(roomId, req.user.userId))) {
+            return res.status(403).json({ error: 'Not a member of this room' });
+        }
 
-        const response = await axios.post(
-            `${AZURE_TRANSLATOR_ENDPOINT}/translate?api-version=3.0&to=${targetLanguage}`,
-            [{ text }],
-            {
-                headers: {
-                    'Ocp-Apim-Subscription-Key': AZURE_TRANSLATOR_KEY,
-                    'Ocp-Apim-Subscription-Region': AZURE_TRANSLATOR_REGION,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        const translated = await translateText(text, sourceLanguage || null, targetLanguage, {
+            userId: req.user.userId,
+            roomId
+        });
 
-        res.json(response.data[0].translations[0]);
+        res.json({ text: translated, to: targetLanguage });
     } catch (error) {
+        if (error.code === 'QUOTA_EXCEEDED') {
+            return res.status(429).json({ error: error.message, code: error.code, ...error.details });
+        }
         console.error('Error translating text:', error);
         res.status(500).json({ error: 'Failed to translate text' });
     }
-}; 
\ No newline at end of file
+};
+
+
+// Convert text between native script and Latin script of one language
+exports.transliterateText = async (req, res) => {
+    try {
+        const { text, language, toScript } = req.body;
+
+        if (!text || !language || !['native', 'latin'].includes(toScript)) {
+            return res.status(400).json({ error: 'Text, language and toScript ("native" or "latin") are required' });
+        }
+
+        const nativeScript = getNativeScript(language);
+        if (!nativeScript) {
+            return res.status(400).json({ error: `Transliteration is not supported for ${language}` });
+        }
+
+        const [fromScript, targetScript] = toScript === 'native' ? ['Latn', nativeScript] : [nativeScript, 'Latn'];
+        const converted = await transliterate(text, language, fromScript, targetScript);
+
+        res.json({ text: converted, script: targetScript });
+    } catch (error) {
+        console.error('Error transliterating text:', error);
+        res.status(500).json({ error: 'Failed to transliterate text' });
+    }
+};
+
+// Look up meanings, alternative translations and example sentences of a word
+exports.lookupWord = async (req, res) => {
+    try {
+        const { word, to, from: requestedFrom } = req.query;
+
+        // Repeated query parameters arrive as arrays
+        if (typeof word !== 'string' || !word.trim() || typeof to !== 'string' || !to) {
+            return res.status(400).json({ error: 'Word and target language are required' });
+        }
+        if (requestedFrom !== undefined && typeof requestedFrom !== 'string') {
+            return res.status(400).json({ error: 'Source language must be a single language code' });
+        }
+        if (word.trim().length > MAX_LOOKUP_LENGTH) {
+            return res.status(400).json({ error: `Word must be at most ${MAX_LOOKUP_LENGTH} characters` });
+        }
+
+        const from = requestedFrom || (await detectLanguage(word.trim())).language;
+        if (!from) {
+            return res.status(400).json({ error: 'Could not detect the source language, please provide it' });
+        }
+        if (from === to) {
+            return res.status(400).json({ error: 'Source and target language must differ' });
+        }
+
+        const result = await lookupWord(word, from, to, { userId: req.user.userId });
+        res.json(result);
+    } catch (error) {
+        if (error.code === 'QUOTA_EXCEEDED') {
+            return res.status(429).json({ error: error.message, code: error.code, ...error.details });
+        }
+        console.error('Error looking up word:', error);
+        if (error.code === 'TRANSLATION_UNAVAILABLE' || error.code === 'TRANSLATION_BUSY') {
+            return res.status(503).json({ error: 'Dictionary lookup is currently unavailable' });
+        }
+        res.status(500).json({ error: 'Failed to look up word' });
+    }
+};
@@ -0,0 +1,35 @@
+const { getUsageSummary, getUsageReport } = require('../utils/usageMeter');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Current user's consumption against their daily and monthly quotas
+const getMyUsage = async (req, res) => {
+  try {
+    res.json(await getUsageSummary(req.user.userId));
+  } catch (err) {
+    console.error('Error getting usage:', err);
+    res.status(500).json({ error: 'Failed to get usage' });
+  }
+};
+
+// Consumption by user, language pair and provider (?from=&to=, ISO dates, default last 30 days)
+const getReport = async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * DAY_MS);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({ error: 'from and to must be valid dates with from before to' });
+    }
+
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 100, 1000));
+    res.json(await getUsageReport({ from, to, limit }));
+  } catch (err) {
+    console.error('Error building usage report:', err);
+    res.status(500).json({ error: 'Failed to build usage report' });
+  }
+};
+
+module.exports = {
+  getMyUsage,
+  getReport
+};
@@ -0,0 +1,407 @@
+const mongoose = require('mongoose');
+const VocabularyEntry = require('../models/VocabularyEntry');
+const VocabularyReview = require('../models/VocabularyReview');
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const { translateText } = require('../utils/translator');
+const { textToSpeech } = require('../utils/textToSpeechModule');
+const { checkQuota, recordUsage } = require('../utils/usageMeter');
+const { initialSchedule, applyReview } = require('../utils/spacedRepetition');
+const { createLruCache } = require('../utils/lruCache');
+const { isRoomMember } = require('../utils/rooms');
+
+// Synthesized audio per entry side; generated on demand, kept briefly for replays
+const audioCache = createLruCache({ max: 200, ttl: 60 * 60 * 1000 });
+
+const DEFAULT_SESSION_SIZE = 20;
+const MAX_SESSION_SIZE = 100;
+const QUIZ_DISTRACTORS = 3;
+
+/**
+ * Parses a ?limit= query value for review and quiz sessions
+ * @param {string} value
+ * @returns {number}
+ */
+const parseSessionSize = (value) => {
+  const limit = parseInt(value, 10);
+  if (!limit || limit < 1) {
+    return DEFAULT_SESSION_SIZE;
+  }
+  return Math.min(limit, MAX_SESSION_SIZE);
+};
+
+/**
+ * Checks that request fields are strings when present
+ * @param {Object} fields - Field values by name
+ * @returns {string|null} - Name of the first field that is not a string
+ */
+const findNonString = (fields) => Object.keys(fields)
+  .find(name => fields[name] !== undefined && typeof fields[name] !== 'string') || null;
+
+const normalizeAnswer = (text) => (text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Creates a vocabulary entry and schedules its first review
+ * @param {Object} fields - VocabularyEntry fields
+ * @returns {Promise<{entry: Object, review: Object}|{existing: Object}>}
+ */
+const createEntry = async (fields) => {
+  const normalizedText = fields.text.trim().toLowerCase();
+  const existing = await VocabularyEntry.findOne({
+    user: fields.user,
+    sourceLanguage: fields.sourceLanguage,
+    targetLanguage: fields.targetLanguage,
+    normalizedText
+  });
+  if (existing) {
+    return { existing };
+  }
+
+  const entry = await VocabularyEntry.create({ ...fields, text: fields.text.trim(), normalizedText });
+  const review = await VocabularyReview.create({ user: fields.user, entry: entry._id, ...initialSchedule() });
+  return { entry, review };
+};
+
+/**
+ * Loads the user's entries due for review, soonest first
+ * @param {string} userId
+ * @param {number} limit
+ * @returns {Promise<Array<{entry: Object, review: Object}>>}
+ */
+const loadDueEntries = async (userId, limit) => {
+  const reviews = await VocabularyReview.find({ user: userId, dueAt: { $lte: new Date() } })
+    .sort({ dueAt: 1 })
+    .limit(limit)
+    .populate('entry');
+  return reviews
+    .filter(review => review.entry)
+    .map(review => ({ entry: review.entry, review }));
+};
+
+/**
+ * Records a review and reschedules the entry
+ * @param {Object} review - VocabularyReview document
+ * @param {number} quality - Recall quality 0-5
+ * @returns {Promise<Object>} - Updated review
+ */
+const recordReview = async (review, quality) => {
+  const now = new Date();
+  const { easeFactor, interval, repetitions, lapses } = review;
+  Object.assign(review, applyReview({ easeFactor, interval, repetitions, lapses }, quality, now), {
+    lastReviewedAt: now,
+    lastQuality: quality,
+    reviewCount: review.reviewCount + 1
+  });
+  await review.save();
+  return review;
+};
+
+// Put a list in random order (Fisher-Yates)
+const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// List the current user's saved words, newest first, optionally for one language pair
+const getVocabulary = async (req, res) => {
+  try {
+    const { sourceLanguage, targetLanguage } = req.query;
+
+    const query = { user: req.user.userId };
+    if (sourceLanguage) {
+      query.sourceLanguage = sourceLanguage;
+    }
+    if (targetLanguage) {
+      query.targetLanguage = targetLanguage;
+    }
+
+    const entries = await VocabularyEntry.find(query).sort({ createdAt: -1 }).lean();
+    const reviews = await VocabularyReview.find({ entry: { $in: entries.map(entry => entry._id) } }).lean();
+    const reviewByEntry = new Map(reviews.map(review => [review.entry.toString(), review]));
+
+    res.json(entries.map(entry => ({ ...entry, review: reviewByEntry.get(entry._id.toString()) || null })));
+  } catch (err) {
+    console.error('Error getting vocabulary:', err);
+    res.status(500).json({ error: 'Failed to get vocabulary' });
+  }
+};
+
+// Save a word (usually from a dictionary lookup) to the current user's vocabulary
+const addVocabularyEntry = async (req, res) => {
+  try {
+    const { text, translation, sourceLanguage, targetLanguage, partOfSpeech, alternatives, notes } = req.body;
+
+    const invalid = findNonString({ text, translation, sourceLanguage, targetLanguage, partOfSpeech, notes });
+    if (invalid) {
+      return res.status(400).json({ error: `${invalid} must be a string` });
+    }
+    if (!text || !text.trim() || !translation || !sourceLanguage || !targetLanguage) {
+      return res.status(400).json({ error: 'Text, translation, sourceLanguage and targetLanguage are required' });
+    }
+
+    const { existing, entry, review } = await createEntry({
+      user: req.user.userId,
+      text,
+      sourceLanguage,
+      targetLanguage,
+      translation,
+      partOfSpeech,
+      alternatives: Array.isArray(alternatives) ? alternatives : [],
+      notes
+    });
+    if (existing) {
+      return res.status(409).json({ error: 'Word is already in your vocabulary', entry: existing });
+    }
+
+    res.status(201).json({ ...entry.toObject(), review });
+  } catch (err) {
+    console.error('Error saving vocabulary entry:', err);
+    res.status(500).json({ error: 'Failed to save vocabulary entry' });
+  }
+};
+
+// Save a word or phrase from a chat message, with the message and its translation as context
+const addFromMessage = async (req, res) => {
+  try {
+    const { messageId, text, notes } = req.body;
+
+    if (!messageId || !mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({ error: 'A valid message ID is required' });
+    }
+    const invalid = findNonString({ text, targetLanguage: req.body.targetLanguage, notes });
+    if (invalid) {
+      return res.status(400).json({ error: `${invalid} must be a string` });
+    }
+
+    const message = await Chat.findById(messageId);
+    if (!message || message.deletedAt) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    // Room messages are visible to the room's members, direct messages to their two participants
+    const userId = req.user.userId;
+    const canView = message.room
+      ? await isRoomMember(message.room, userId)
+      : message.sender.toString() === userId || message.receiver?.toString() === userId;
+    if (!canView) {
+      return res.status(403).json({ error: 'Not allowed to access this message' });
+    }
+
+    const user = await User.findById(userId);
+    const targetLanguage = req.body.targetLanguage || user.preferredLanguage || 'en';
+    const sourceLanguage = message.originalLanguage;
+    if (sourceLanguage === targetLanguage) {
+      return res.status(400).json({ error: 'Message is already in the target language' });
+    }
+
+    const messageText = message.normalizedContent || message.originalContent;
+    const phrase = (text || messageText).trim();
+    if (!phrase) {
+      return res.status(400).json({ error: 'Text cannot be empty' });
+    }
+    if (text && !messageText.toLowerCase().includes(phrase.toLowerCase())
+      && !message.originalContent.toLowerCase().includes(phrase.toLowerCase())) {
+      return res.status(400).json({ error: 'Text must be part of the message' });
+    }
+
+    // The message's glossary context applies, the current user pays
+    const context = { userId: message.sender.toString(), roomId: message.room, billedUserId: userId };
+    let messageTranslation = message.translations.get(targetLanguage);
+    if (!messageTranslation) {
+      messageTranslation = await translateText(messageText, sourceLanguage, targetLanguage, context);
+    }
+    const translation = phrase === messageText
+      ? messageTranslation
+      : await translateText(phrase, sourceLanguage, targetLanguage, context);
+
+    const { existing, entry, review } = await createEntry({
+      user: userId,
+      text: phrase,
+      sourceLanguage,
+      targetLanguage,
+      translation,
+      notes,
+      message: message._id,
+      messageText: message.originalContent,
+      messageTranslation
+    });
+    if (existing) {
+      return res.status(409).json({ error: 'Word is already in your vocabulary', entry: existing });
+    }
+
+    res.status(201).json({ ...entry.toObject(), review });
+  } catch (err) {
+    if (err.code === 'QUOTA_EXCEEDED') {
+      return res.status(429).json({ error: err.message, code: err.code, ...err.details });
+    }
+    console.error('Error saving vocabulary entry from message:', err);
+    res.status(500).json({ error: 'Failed to save vocabulary entry' });
+  }
+};
+
+// Remove a word from the current user's vocabulary
+const deleteVocabularyEntry = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Vocabulary entry not found' });
+    }
+    const entry = await VocabularyEntry.findOneAndDelete({ _id: req.params.id, user: req.user.userId });
+    if (!entry) {
+      return res.status(404).json({ error: 'Vocabulary entry not found' });
+    }
+    await VocabularyReview.deleteOne({ entry: entry._id });
+
+    res.json({ message: 'Vocabulary entry deleted' });
+  } catch (err) {
+    console.error('Error deleting vocabulary entry:', err);
+    res.status(500).json({ error: 'Failed to delete vocabulary entry' });
+  }
+};
+
+// List entries due for review (?limit=)
+const getDueReviews = async (req, res) => {
+  try {
+    const due = await loadDueEntries(req.user.userId, parseSessionSize(req.query.limit));
+    const remaining = await VocabularyReview.countDocuments({ user: req.user.userId, dueAt: { $lte: new Date() } });
+
+    res.json({ remaining, items: due });
+  } catch (err) {
+    console.error('Error getting due reviews:', err);
+    res.status(500).json({ error: 'Failed to get due reviews' });
+  }
+};
+
+// Grade a flashcard review with SM-2 quality 0-5
+const submitReview = async (req, res) => {
+  try {
+    const quality = Number(req.body.quality);
+    if (!Number.isInteger(quality) || quality < 0 || quality > 5) {
+      return res.status(400).json({ error: 'Quality must be an integer from 0 to 5' });
+    }
+
+    const review = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await VocabularyReview.findOne({ entry: req.params.id, user: req.user.userId })
+      : null;
+    if (!review) {
+      return res.status(404).json({ error: 'Vocabulary entry not found' });
+    }
+
+    res.json(await recordReview(review, quality));
+  } catch (err) {
+    console.error('Error submitting review:', err);
+    res.status(500).json({ error: 'Failed to submit review' });
+  }
+};
+
+// Build a multiple-choice quiz from due entries, distractors taken from the user's other words
+const getQuiz = async (req, res) => {
+  try {
+    const due = await loadDueEntries(req.user.userId, parseSessionSize(req.query.limit));
+
+    const questions = await Promise.all(due.map(async ({ entry }) => {
+      const others = await VocabularyEntry.aggregate([
+        { $match: { user: entry.user, targetLanguage: entry.targetLanguage, _id: { $ne: entry._id } } },
+        { $sample: { size: QUIZ_DISTRACTORS * 2 } },
+        { $project: { translation: 1 } }
+      ]);
+      const distractors = [...new Set(others.map(other => other.translation))]
+        .filter(translation => normalizeAnswer(translation) !== normalizeAnswer(entry.translation))
+        .slice(0, QUIZ_DISTRACTORS);
+
+      return {
+        entryId: entry._id,
+        prompt: entry.text,
+        sourceLanguage: entry.sourceLanguage,
+        targetLanguage: entry.targetLanguage,
+        // Without enough other words the question becomes free recall
+        options: distractors.length > 0 ? shuffle([entry.translation, ...distractors]) : null
+      };
+    }));
+
+    res.json({ questions });
+  } catch (err) {
+    console.error('Error building quiz:', err);
+    res.status(500).json({ error: 'Failed to build quiz' });
+  }
+};
+
+// Check a quiz answer and record it as a review
+const answerQuiz = async (req, res) => {
+  try {
+    const { entryId, answer } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(entryId) || typeof answer !== 'string') {
+      return res.status(400).json({ error: 'A valid entry ID and an answer are required' });
+    }
+
+    const entry = await VocabularyEntry.findOne({ _id: entryId, user: req.user.userId });
+    const review = entry && await VocabularyReview.findOne({ entry: entry._id });
+    if (!review) {
+      return res.status(404).json({ error: 'Vocabulary entry not found' });
+    }
+
+    const accepted = [entry.translation, ...entry.alternatives].map(normalizeAnswer);
+    const correct = accepted.includes(normalizeAnswer(answer));
+
+    // A right answer counts as recall with some hesitation, a wrong one as a lapse
+    const updated = await recordReview(review, correct ? 4 : 1);
+
+    res.json({ correct, translation: entry.translation, review: updated });
+  } catch (err) {
+    console.error('Error answering quiz:', err);
+    res.status(500).json({ error: 'Failed to answer quiz' });
+  }
+};
+
+// Speak an entry's text (?side=source) or its translation (?side=translation) as WAV audio
+const getEntryAudio = async (req, res) => {
+  try {
+    const side = req.query.side || 'source';
+    if (!['source', 'translation'].includes(side)) {
+      return res.status(400).json({ error: 'Side must be "source" or "translation"' });
+    }
+
+    const entry = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await VocabularyEntry.findOne({ _id: req.params.id, user: req.user.userId })
+      : null;
+    if (!entry) {
+      return res.status(404).json({ error: 'Vocabulary entry not found' });
+    }
+
+    const text = side === 'source' ? entry.text : entry.translation;
+    const language = side === 'source' ? entry.sourceLanguage : entry.targetLanguage;
+    const cacheKey = `${language}:${text}`;
+
+    let audio = audioCache.get(cacheKey);
+    if (!audio) {
+      await checkQuota(req.user.userId, 'tts', text.length);
+      audio = await textToSpeech(text, language);
+      audioCache.set(cacheKey, audio);
+      recordUsage({ userId: req.user.userId, kind: 'tts', units: text.length, provider: 'azure-speech', targetLanguage: language });
+    }
+
+    res.set('Content-Type', 'audio/wav');
+    res.send(audio);
+  } catch (err) {
+    if (err.code === 'QUOTA_EXCEEDED') {
+      return res.status(429).json({ error: err.message, code: err.code, ...err.details });
+    }
+    console.error('Error generating vocabulary audio:', err);
+    res.status(500).json({ error: 'Failed to generate audio' });
+  }
+};
+
+module.exports = {
+  getVocabulary,
+  addVocabularyEntry,
+  addFromMessage,
+  deleteVocabularyEntry,
+  getDueReviews,
+  submitReview,
+  getQuiz,
+  answerQuiz,
+  getEntryAudio
+};
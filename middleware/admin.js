@@ -0,0 +1,7 @@
+// Must run after the auth middleware, which puts the token's role on req.user
+module.exports = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ msg: 'Admin access required' });
+  }
+  next();
+};
@@ -18,19 +18,87 @@ const chatSchema = new mongoose.Schema({
     type: String, 
     required: true 
   },
+  // Native-script form of romanized input ("kaise ho" -> "कैसे हो"), used as translation source
+  normalizedContent: String,
+  isRomanized: {
+    type: Boolean,
+    default: false
+  },
   originalLanguage: {
     type: String,
     default: 'en'
   },
+  // Result of automatic language detection on the original content
+  detectedLanguage: String,
+  languageConfidence: Number,
+  languageUncertain: {
+    type: Boolean,
+    default: false
+  },
   translations: {
     type: Map,
     of: String,
     default: new Map()
   },
+  // Latin-script rendering of each non-Latin entry of `translations`
+  romanizations: {
+    type: Map,
+    of: String,
+    default: new Map()
+  },
+  // Which translation provider produced each entry of `translations`
+  translationProviders: {
+    type: Map,
+    of: String,
+    default: new Map()
+  },
+  // Messages are delivered before they are translated: 'pending' while languages are
+  // still being translated, 'failed' once retries gave up on some of them
+  translationStatus: {
+    type: String,
+    enum: ['pending', 'complete', 'failed'],
+    default: 'complete'
+  },
+  pendingTranslations: [String],
+  failedTranslations: [String],
+  translationAttempts: {
+    type: Number,
+    default: 0
+  },
+  nextTranslationAttemptAt: Date,
+  // Glossary terms that were protected or replaced while translating, for auditing
+  glossaryHits: [{
+    glossaryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Glossary' },
+    term: String,
+    language: String,
+    replacement: String
+  }],
   timestamp: { 
     type: Date, 
     default: Date.now 
   },
+  // Per recipient: when the message reached one of their devices and when they read it
+  // (sent while neither is set). Read times are only kept for users sharing read receipts.
+  receipts: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    deliveredAt: Date,
+    readAt: Date
+  }],
+  // Earlier versions of an edited message, oldest first
+  editHistory: [{
+    _id: false,
+    originalContent: String,
+    originalLanguage: String,
+    editedAt: Date
+  }],
+  editedAt: Date,
+  // Deleted messages are kept but shown as a "message deleted" tombstone
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   room: { 
     type: String
   },
@@ -40,4 +108,7 @@ const chatSchema = new mongoose.Schema({
   }
 });
 
+// Background retries look up pending messages that are due
+chatSchema.index({ translationStatus: 1, nextTranslationAttemptAt: 1 });
+
 module.exports = mongoose.model('Chat', chatSchema); 
\ No newline at end of file
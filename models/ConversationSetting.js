@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// How one user reads one conversation: a room, or direct messages with a partner
+const conversationSettingSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  room: {
+    type: String
+  },
+  partner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // 'translate' shows the translation, 'original' only the original text,
+  // 'bilingual' the translation with the original beside it
+  displayMode: {
+    type: String,
+    enum: ['translate', 'original', 'bilingual'],
+    default: 'translate'
+  },
+  // Overrides the user's preferredLanguage in this conversation
+  language: {
+    type: String
+  }
+}, { timestamps: true });
+
+conversationSettingSchema.index({ user: 1, room: 1, partner: 1 }, { unique: true });
+
+module.exports = mongoose.model('ConversationSetting', conversationSettingSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const glossarySchema = new mongoose.Schema({
+  // Terms apply to everything a user sends, or to every message in a room
+  scope: {
+    type: String,
+    enum: ['user', 'room'],
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  room: {
+    type: String
+  },
+  term: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  // Keep the term exactly as written in every language
+  doNotTranslate: {
+    type: Boolean,
+    default: false
+  },
+  // Fixed equivalents per target language, e.g. { hi: 'वाणी' }
+  translations: {
+    type: Map,
+    of: String,
+    default: new Map()
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { timestamps: true });
+
+glossarySchema.index({ scope: 1, owner: 1 });
+glossarySchema.index({ scope: 1, room: 1 });
+
+module.exports = mongoose.model('Glossary', glossarySchema);
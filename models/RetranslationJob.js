@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Background backfill of a user's recent conversations into a newly chosen language
+const retranslationJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  language: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  conversations: {
+    type: Number,
+    default: 0
+  },
+  totalMessages: {
+    type: Number,
+    default: 0
+  },
+  processedMessages: {
+    type: Number,
+    default: 0
+  },
+  translatedMessages: {
+    type: Number,
+    default: 0
+  },
+  untranslatedMessages: {
+    type: Number,
+    default: 0
+  },
+  error: String,
+  // Server instance running the job; it renews the lease while it makes progress, and
+  // another instance only takes the job over once the lease has run out
+  owner: String,
+  leaseExpiresAt: Date,
+  startedAt: Date,
+  finishedAt: Date
+}, { timestamps: true });
+
+retranslationJobSchema.index({ user: 1, createdAt: -1 });
+retranslationJobSchema.index({ status: 1 });
+
+module.exports = mongoose.model('RetranslationJob', retranslationJobSchema);
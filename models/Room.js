@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The owner manages admins; admins manage members and the room's details
+  role: {
+    type: String,
+    enum: ['owner', 'admin', 'member'],
+    default: 'member'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A group conversation. The ID is a string because messages, glossaries and
+// settings refer to rooms by the string they used before rooms were stored.
+const roomSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: () => new mongoose.Types.ObjectId().toString()
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // Image URL
+  avatar: {
+    type: String,
+    trim: true
+  },
+  // Private rooms are entered through an admin, an invite link or an approved join request
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  // Approval-queue mode of private rooms: anyone may ask to join and admins decide
+  requireApproval: {
+    type: Boolean,
+    default: false
+  },
+  members: {
+    type: [memberSchema],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+roomSchema.index({ 'members.user': 1 });
+
+module.exports = mongoose.model('Room', roomSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Shareable link that lets whoever holds the token join a room
+const roomInviteSchema = new mongoose.Schema({
+  room: {
+    type: String,
+    ref: 'Room',
+    required: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Unlimited when not set
+  maxUses: {
+    type: Number,
+    min: 1
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: Date
+}, { timestamps: true });
+
+roomInviteSchema.index({ room: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RoomInvite', roomInviteSchema);
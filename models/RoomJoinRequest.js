@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A request to join a private room in approval-queue mode, decided by the room's admins
+const roomJoinRequestSchema = new mongoose.Schema({
+  room: {
+    type: String,
+    ref: 'Room',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Optional note to the admins
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, { timestamps: true });
+
+roomJoinRequestSchema.index({ room: 1, status: 1, createdAt: 1 });
+// One open request per user and room
+roomJoinRequestSchema.index({ room: 1, user: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+
+module.exports = mongoose.model('RoomJoinRequest', roomJoinRequestSchema);
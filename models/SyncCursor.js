@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// How far one device of a user has acknowledged a conversation: a room, or direct
+// messages with a partner. The cursor without a conversation marks when the device
+// started syncing; conversations it never acknowledged are synced from there. It also
+// records whether the device acknowledges at all and since when edits and deletions
+// have been synced to it.
+const syncCursorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Client-chosen ID, stable per device or app install
+  device: {
+    type: String,
+    required: true
+  },
+  room: {
+    type: String
+  },
+  partner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Timestamp and ID of the latest message the device acknowledged; the ID orders
+  // messages sent in the same millisecond
+  lastMessageAt: {
+    type: Date,
+    required: true
+  },
+  lastMessageId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Set on the device's first 'syncAck'; cursors of devices that never acknowledge
+  // move on as soon as messages are pushed to them
+  acknowledges: {
+    type: Boolean,
+    default: false
+  },
+  // Start of the device's last complete sync; messages edited or deleted since are synced again
+  changesSyncedAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+syncCursorSchema.index({ user: 1, device: 1, room: 1, partner: 1 }, { unique: true });
+
+module.exports = mongoose.model('SyncCursor', syncCursorSchema);
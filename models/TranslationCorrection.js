@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A reader's suggested fix for the machine translation of one message into one language
+const translationCorrectionSchema = new mongoose.Schema({
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+  // Sender of the message, who reviews the correction
+  messageSender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  room: String,
+  language: {
+    type: String,
+    required: true
+  },
+  // Translation the suggestion replaces, kept for auditing
+  previousTranslation: String,
+  suggestedTranslation: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  suggestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, { timestamps: true });
+
+translationCorrectionSchema.index({ message: 1, language: 1, status: 1 });
+translationCorrectionSchema.index({ messageSender: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TranslationCorrection', translationCorrectionSchema);
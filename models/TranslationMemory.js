@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const translationMemorySchema = new mongoose.Schema({
+  // `${sourceLanguage}:${targetLanguage}:${textHash}` - unique lookup key
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sourceLanguage: {
+    type: String,
+    default: 'auto'
+  },
+  targetLanguage: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the normalized source text
+  textHash: {
+    type: String,
+    required: true
+  },
+  sourceText: {
+    type: String,
+    required: true
+  },
+  translatedText: {
+    type: String,
+    required: true
+  },
+  provider: String,
+  // Human-approved translation (accepted correction); never replaced by machine output
+  preferred: {
+    type: Boolean,
+    default: false
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Entries are removed by MongoDB once this date has passed; preferred entries have none
+  expiresAt: {
+    type: Date
+  }
+}, { timestamps: true });
+
+translationMemorySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+translationMemorySchema.index({ sourceLanguage: 1, targetLanguage: 1 });
+
+module.exports = mongoose.model('TranslationMemory', translationMemorySchema);
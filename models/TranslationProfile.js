@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Translation settings of a room or an organisation, e.g. a Custom Translator
+// category for medical rooms or profanity filtering for a school
+const translationProfileSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['room', 'organization'],
+    required: true
+  },
+  room: {
+    type: String
+  },
+  organization: {
+    type: String
+  },
+  // Custom Translator deployment to translate with; 'general' is the standard model
+  category: {
+    type: String,
+    trim: true,
+    default: 'general'
+  },
+  // What the provider does with profanity: leave it, mark it or delete it
+  profanityAction: {
+    type: String,
+    enum: ['NoAction', 'Marked', 'Deleted'],
+    default: 'NoAction'
+  },
+  // How marked profanity is shown: replaced by asterisks. Azure's <profanity> tags are
+  // not offered, since messages are plain text.
+  profanityMarker: {
+    type: String,
+    enum: ['Asterisk'],
+    default: 'Asterisk'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+translationProfileSchema.index({ scope: 1, room: 1, organization: 1 }, { unique: true });
+
+module.exports = mongoose.model('TranslationProfile', translationProfileSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Running total of a user's consumption in one day or month, checked against quotas
+const usageCounterSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['translation', 'stt', 'tts'],
+    required: true
+  },
+  period: {
+    type: String,
+    enum: ['daily', 'monthly'],
+    required: true
+  },
+  // '2024-05-17' for daily counters, '2024-05' for monthly ones (UTC)
+  periodKey: {
+    type: String,
+    required: true
+  },
+  units: {
+    type: Number,
+    default: 0
+  },
+  // Counters are removed by MongoDB once their period is well over
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+usageCounterSchema.index({ user: 1, kind: 1, period: 1, periodKey: 1 }, { unique: true });
+usageCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UsageCounter', usageCounterSchema);
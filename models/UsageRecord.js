@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One billable call to a translation or speech service
+const usageRecordSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  room: String,
+  kind: {
+    type: String,
+    enum: ['translation', 'stt', 'tts'],
+    required: true
+  },
+  // Characters for translation and TTS, seconds for STT
+  units: {
+    type: Number,
+    required: true
+  },
+  sourceLanguage: String,
+  targetLanguage: String,
+  provider: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+usageRecordSchema.index({ createdAt: -1 });
+usageRecordSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UsageRecord', usageRecordSchema);
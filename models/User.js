@@ -20,6 +20,34 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: 'en'
   },
+  // Other languages the user reads, most fluent first; messages already in
+  // preferredLanguage or one of these are shown untranslated
+  understoodLanguages: {
+    type: [String],
+    default: []
+  },
+  // Script to read messages in: the language's native script or a romanized (Latin) rendering
+  scriptPreference: {
+    type: String,
+    enum: ['native', 'latin'],
+    default: 'native'
+  },
+  // Whether senders see when this user read their messages; delivery is always reported
+  readReceipts: {
+    type: Boolean,
+    default: true
+  },
+  // Organisation the user belongs to; its translation profile applies to what they send
+  organization: {
+    type: String,
+    trim: true
+  },
+  // Platform role; admins can see usage reports
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   socketId: String,
   status: {
     type: String,
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const vocabularyEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Word or phrase as the user saved it, in the source language
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lowercased text, used to avoid saving the same word twice
+  normalizedText: {
+    type: String,
+    required: true
+  },
+  sourceLanguage: {
+    type: String,
+    required: true
+  },
+  targetLanguage: {
+    type: String,
+    required: true
+  },
+  translation: {
+    type: String,
+    required: true
+  },
+  partOfSpeech: {
+    type: String
+  },
+  // Other translations offered by the dictionary lookup
+  alternatives: [{
+    type: String
+  }],
+  notes: {
+    type: String
+  },
+  // Chat message the entry was saved from, with the message as written and as read
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat'
+  },
+  messageText: String,
+  messageTranslation: String
+}, { timestamps: true });
+
+vocabularyEntrySchema.index({ user: 1, sourceLanguage: 1, targetLanguage: 1, normalizedText: 1 }, { unique: true });
+vocabularyEntrySchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('VocabularyEntry', vocabularyEntrySchema);
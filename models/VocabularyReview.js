@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// SM-2 spaced-repetition state of one vocabulary entry
+const vocabularyReviewSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VocabularyEntry',
+    required: true,
+    unique: true
+  },
+  easeFactor: {
+    type: Number,
+    default: 2.5
+  },
+  // Days until the next review
+  interval: {
+    type: Number,
+    default: 0
+  },
+  // Consecutive successful reviews
+  repetitions: {
+    type: Number,
+    default: 0
+  },
+  // Times the entry was forgotten after being learned
+  lapses: {
+    type: Number,
+    default: 0
+  },
+  dueAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastReviewedAt: Date,
+  lastQuality: Number,
+  reviewCount: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+vocabularyReviewSchema.index({ user: 1, dueAt: 1 });
+
+module.exports = mongoose.model('VocabularyReview', vocabularyReviewSchema);
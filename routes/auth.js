@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, getMe, getUsers, updateLanguage, getSupportedLanguages } = require('../controllers/auth');
+const { register, login, getMe, getUsers, updateLanguage, getRetranslationStatus, updateUnderstoodLanguages, updateScriptPreference, updateReadReceipts, getSupportedLanguages } = require('../controllers/auth');
 const auth = require('../middleware/auth');
 
 // Public routes
@@ -13,5 +13,10 @@ router.get('/me', auth, getMe);
 router.get('/users', auth, getUsers);
 router.put('/language', auth, updateLanguage);
 router.post('/update-language', auth, updateLanguage);
+router.get('/language/jobs/latest', auth, getRetranslationStatus);
+router.get('/language/jobs/:jobId', auth, getRetranslationStatus);
+router.put('/understood-languages', auth, updateUnderstoodLanguages);
+router.put('/script', auth, updateScriptPreference);
+router.put('/read-receipts', auth, updateReadReceipts);
 
 module.exports = router;
\ No newline at end of file
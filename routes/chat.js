@@ -1,7 +1,26 @@
 const express = require('express');
 const router = express.Router();
-const { getChatHistory, saveMessage, getUserRooms, translateMessage } = require('../controllers/chat');
+const {
+  getChatHistory,
+  saveMessage,
+  getUserRooms,
+  translateMessage,
+  editMessage,
+  deleteMessage,
+  acknowledgeDelivery,
+  reportReadPosition,
+  getReceipts
+} = require('../controllers/chat');
+const {
+  createCorrection,
+  listMessageCorrections,
+  listPendingCorrections,
+  acceptCorrection,
+  rejectCorrection
+} = require('../controllers/corrections');
+const { getSettings, updateSettings, resetSettings } = require('../controllers/conversationSettings');
 const { translateText } = require('../utils/translator');
+const { isRoomMember } = require('../utils/rooms');
 const auth = require('../middleware/auth');
 
 // Apply auth middleware to all chat routes
@@ -13,21 +32,57 @@ router.get('/history', getChatHistory);
 // Save a new message
 router.post('/message', saveMessage);
 
+// Edit (within the edit window) or delete a message
+router.put('/messages/:messageId', editMessage);
+router.delete('/messages/:messageId', deleteMessage);
+
+// Delivery and read receipts; also reported over the socket with 'messageDelivered' and 'markRead'
+router.post('/receipts/delivered', acknowledgeDelivery);
+router.post('/receipts/read', reportReadPosition);
+router.get('/messages/:messageId/receipts', getReceipts);
+
 // Get user's rooms/groups
 router.get('/rooms', getUserRooms);
 
+// Per-conversation language override and display mode (translated, original or bilingual)
+router.get('/settings', getSettings);
+router.put('/settings', updateSettings);
+router.delete('/settings', resetSettings);
+
+// Suggest or list corrected translations of a message
+router.post('/messages/:messageId/corrections', createCorrection);
+router.get('/messages/:messageId/corrections', listMessageCorrections);
+
+// Corrections waiting for the current user's review, and the review itself
+router.get('/corrections/pending', listPendingCorrections);
+router.post('/corrections/:id/accept', acceptCorrection);
+router.post('/corrections/:id/reject', rejectCorrection);
+
 // Translate text (for both messages and UI)
 router.post('/translate', async (req, res) => {
   try {
-    const { text, targetLang } = req.body;
+    const { text, targetLang, sourceLang, roomId } = req.body;
     
-    if (!text || !targetLang) {
+    if (typeof text !== 'string' || !text || typeof targetLang !== 'string' || !targetLang) {
       return res.status(400).json({ error: 'Text and target language are required' });
     }
+    if ((sourceLang && typeof sourceLang !== 'string') || (roomId !== undefined && typeof roomId !== 'string')) {
+      return res.status(400).json({ error: 'sourceLang and roomId must be strings' });
+    }
+    // The room's glossary and profile apply only for its members
+    if (roomId && !(await isRoomMember(roomId, req.user.userId))) {
+      return res.status(403).json({ error: 'Not a member of this room' });
+    }
 
-    const translation = await translateText(text, targetLang);
+    const translation = await translateText(text, sourceLang || null, targetLang, {
+      userId: req.user.userId,
+      roomId
+    });
     res.json({ translation });
   } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return res.status(429).json({ error: error.message, code: error.code, ...error.details });
+    }
     console.error('Translation error:', error);
     res.status(500).json({ error: 'Translation failed' });
   }
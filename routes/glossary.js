@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { getGlossary, createGlossaryEntry, updateGlossaryEntry, deleteGlossaryEntry } = require('../controllers/glossary');
+const auth = require('../middleware/auth');
+
+// Apply auth middleware to all glossary routes
+router.use(auth);
+
+// List the current user's glossary, or a room's with ?roomId=
+router.get('/', getGlossary);
+
+// Add a term (room-scoped when roomId is given)
+router.post('/', createGlossaryEntry);
+
+// Update or remove a term
+router.put('/:id', updateGlossaryEntry);
+router.delete('/:id', deleteGlossaryEntry);
+
+module.exports = router;
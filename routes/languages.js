@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { getLanguages } = require('../controllers/languages');
+
+// Public language catalog: names, text direction and available features per language
+router.get('/', getLanguages);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createRoom,
+  listRooms,
+  getRoom,
+  updateRoom,
+  joinRoom,
+  redeemInvite,
+  leaveRoom,
+  addMember,
+  removeMember,
+  updateMemberRole,
+  createInvite,
+  listInvites,
+  revokeInvite,
+  listJoinRequests,
+  approveJoinRequest,
+  denyJoinRequest
+} = require('../controllers/rooms');
+const auth = require('../middleware/auth');
+
+// Apply auth middleware to all room routes
+router.use(auth);
+
+// Create a room, or list the current user's rooms
+router.post('/', createRoom);
+router.get('/', listRooms);
+
+// Join the room of an invite link
+router.post('/invites/:token/redeem', redeemInvite);
+
+// Room details (members) and their changes (admins)
+router.get('/:roomId', getRoom);
+router.put('/:roomId', updateRoom);
+
+// Join a room (public, with { inviteToken }, or as a join request in approval mode) or leave it
+router.post('/:roomId/join', joinRoom);
+router.post('/:roomId/leave', leaveRoom);
+
+// Membership management: admins add and remove members, the owner promotes and demotes
+router.post('/:roomId/members', addMember);
+router.delete('/:roomId/members/:userId', removeMember);
+router.put('/:roomId/members/:userId/role', updateMemberRole);
+
+// Invite links (admins)
+router.post('/:roomId/invites', createInvite);
+router.get('/:roomId/invites', listInvites);
+router.delete('/:roomId/invites/:inviteId', revokeInvite);
+
+// Approval queue of private rooms (admins); also answered over the socket with 'reviewJoinRequest'
+router.get('/:roomId/join-requests', listJoinRequests);
+router.post('/:roomId/join-requests/:requestId/approve', approveJoinRequest);
+router.post('/:roomId/join-requests/:requestId/deny', denyJoinRequest);
+
+module.exports = router;
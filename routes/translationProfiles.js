@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { getProfile, updateProfile, resetProfile, setUserOrganization } = require('../controllers/translationProfiles');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+// Apply auth middleware to all translation profile routes
+router.use(auth);
+
+// Translation category and profanity handling of a room or organisation (?roomId= or ?organization=)
+router.get('/', getProfile);
+router.put('/', updateProfile);
+router.delete('/', resetProfile);
+
+// Organisation membership, whose profile applies to what the user sends
+router.put('/users/:userId/organization', admin, setUserOrganization);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { getLanguages, translateText } = require('../controllers/translator');
+const { getLanguages, translateText, transliterateText, lookupWord } = require('../controllers/translator');
 const auth = require('../middleware/auth');
 
 // Get supported languages
@@ -9,4 +9,10 @@ router.get('/languages', auth, getLanguages);
 // Translate text
 router.post('/translate', auth, translateText);
 
+// Transliterate text between native and Latin script
+router.post('/transliterate', auth, transliterateText);
+
+// Dictionary lookup with alternative translations and examples (?word=&to=&from=)
+router.get('/dictionary', auth, lookupWord);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { getMyUsage, getReport } = require('../controllers/usage');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+// Apply auth middleware to all usage routes
+router.use(auth);
+
+// Current user's usage and quotas
+router.get('/me', getMyUsage);
+
+// Consumption report for admins
+router.get('/report', admin, getReport);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getVocabulary,
+  addVocabularyEntry,
+  addFromMessage,
+  deleteVocabularyEntry,
+  getDueReviews,
+  submitReview,
+  getQuiz,
+  answerQuiz,
+  getEntryAudio
+} = require('../controllers/vocabulary');
+const auth = require('../middleware/auth');
+
+// Apply auth middleware to all vocabulary routes
+router.use(auth);
+
+// List saved words, optionally filtered with ?sourceLanguage=&targetLanguage=
+router.get('/', getVocabulary);
+
+// Save a word to the current user's vocabulary
+router.post('/', addVocabularyEntry);
+
+// Save a word or phrase from a chat message
+router.post('/from-message', addFromMessage);
+
+// Spaced-repetition review session
+router.get('/review', getDueReviews);
+
+// Multiple-choice quiz over due words
+router.get('/quiz', getQuiz);
+router.post('/quiz/answer', answerQuiz);
+
+// Grade a review of one word (quality 0-5)
+router.post('/:id/review', submitReview);
+
+// Pronunciation of the word or its translation
+router.get('/:id/audio', getEntryAudio);
+
+// Remove a saved word
+router.delete('/:id', deleteVocabularyEntry);
+
+module.exports = router;
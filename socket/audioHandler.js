@@ -78,12 +78,15 @@ const handleAudioTranslation = (io, socket, users) => {
       }
   
       // Use the translateSpeech function which handles the entire workflow
-      const result = await translateSpeech(audioBuffer, sourceLanguage, targetLanguage);
+      const result = await translateSpeech(audioBuffer, sourceLanguage, targetLanguage, {
+        userId: socket.user.userId
+      });
       
       if (result.error) {
         console.error('Speech translation error:', result.error);
         socket.emit('error', { 
           message: result.error,
+          code: result.code,
           requestId
         });
         return;
@@ -237,12 +240,15 @@ const handleAudioTranslation = (io, socket, users) => {
       }
   
       // Use the translateSpeech function which handles the entire workflow
-      const result = await translateSpeech(audioBuffer, sourceLanguage, targetLanguage);
+      const result = await translateSpeech(audioBuffer, sourceLanguage, targetLanguage, {
+        userId: socket.user.userId
+      });
       
       if (result.error) {
         console.error('Speech translation error:', result.error);
         socket.emit('error', { 
           message: result.error,
+          code: result.code,
           requestId
         });
         return;
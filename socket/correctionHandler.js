@@ -0,0 +1,45 @@
+const { suggestCorrection, reviewCorrection } = require('../utils/translationCorrections');
+
+/**
+ * Handle translation correction suggestions and reviews
+ * @param {Object} io - Socket.IO instance
+ * @param {Object} socket - Socket connection
+ */
+const handleCorrections = (io, socket) => {
+  // Suggest a better translation of a message
+  socket.on('suggestCorrection', async (data = {}) => {
+    try {
+      const { messageId, language, text, addToGlossary } = data;
+      const correction = await suggestCorrection({
+        messageId,
+        language,
+        text,
+        addToGlossary: addToGlossary === true,
+        userId: socket.user.userId
+      });
+      socket.emit('correctionSubmitted', correction.toObject());
+    } catch (error) {
+      console.error('Error suggesting correction:', error.message);
+      socket.emit('error', { message: error.status ? error.message : 'Failed to suggest correction' });
+    }
+  });
+
+  // Accept or reject a suggested correction (message sender or room admin),
+  // optionally adding a short message to the glossary
+  socket.on('reviewCorrection', async (data = {}) => {
+    try {
+      const { correctionId, accept, addToGlossary } = data;
+      await reviewCorrection({
+        correctionId,
+        accept: Boolean(accept),
+        addToGlossary: addToGlossary === true,
+        userId: socket.user.userId
+      });
+    } catch (error) {
+      console.error('Error reviewing correction:', error.message);
+      socket.emit('error', { message: error.status ? error.message : 'Failed to review correction' });
+    }
+  });
+};
+
+module.exports = handleCorrections;
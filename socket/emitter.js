@@ -0,0 +1,63 @@
+// Lets REST controllers and background jobs push events to connected users.
+// Set up once by initializeSocket with the shared io instance and active users.
+let ioInstance = null;
+let activeUsers = {};
+
+/**
+ * Registers the Socket.IO instance and the active users object
+ * @param {Object} io - Socket.IO instance
+ * @param {Object} users - Active users object, keyed by socket ID
+ */
+const initEmitter = (io, users) => {
+  ioInstance = io;
+  activeUsers = users;
+};
+
+/**
+ * Sends an event to every connected socket of a user
+ * @param {String} userId - User ID
+ * @param {String} event - Event name
+ * @param {Object} payload - Event data
+ * @returns {Boolean} - Whether the user had a connected socket
+ */
+const emitToUser = (userId, event, payload) => {
+  if (!ioInstance || !userId) {
+    return false;
+  }
+  const socketIds = Object.keys(activeUsers).filter(key => activeUsers[key].userId === userId.toString());
+  socketIds.forEach(socketId => ioInstance.to(socketId).emit(event, payload));
+  return socketIds.length > 0;
+};
+
+/**
+ * Unsubscribes every connected socket of a user from a Socket.IO room,
+ * e.g. after they left or were removed from a group
+ * @param {String} userId - User ID
+ * @param {String} roomId - Room ID
+ */
+const removeUserFromSocketRoom = (userId, roomId) => {
+  if (!ioInstance || !userId) {
+    return;
+  }
+  Object.keys(activeUsers)
+    .filter(key => activeUsers[key].userId === userId.toString())
+    .forEach(socketId => ioInstance.in(socketId).socketsLeave(roomId));
+};
+
+/**
+ * Sends an event to every connected user
+ * @param {String} event - Event name
+ * @param {Object} payload - Event data
+ */
+const emitToAll = (event, payload) => {
+  if (ioInstance) {
+    ioInstance.emit(event, payload);
+  }
+};
+
+module.exports = {
+  initEmitter,
+  emitToUser,
+  removeUserFromSocketRoom,
+  emitToAll
+};
@@ -8,6 +8,9 @@ const { handleMessaging } = require('./messageHandler');
 const handleWebRTC = require('./webrtcHandler');
 const handleAudioTranslation = require('./audioHandler');
 const handleDisconnect = require('./disconnectHandler');
+const handleCorrections = require('./correctionHandler');
+const handleReceipts = require('./receiptHandler');
+const { initEmitter } = require('./emitter');
 
 // Store active users and their rooms
 const users = {};
@@ -55,6 +58,9 @@ const initializeSocket = (server, allowedOrigins) => {
     serveClient: false
   });
 
+  // Let REST controllers push events to connected users
+  initEmitter(io, users);
+
   // Socket.IO middleware for authentication
   io.use((socket, next) => {
     const token = socket.handshake.auth?.token || socket.handshake.headers?.authorization?.split(' ')[1];
@@ -102,6 +108,12 @@ const initializeSocket = (server, allowedOrigins) => {
     // Handle audio translation
     handleAudioTranslation(io, socket, users);
     
+    // Handle translation corrections
+    handleCorrections(io, socket);
+    
+    // Handle delivery and read receipts
+    handleReceipts(io, socket);
+    
     // Handle disconnect
     handleDisconnect(io, socket, users, rooms);
   });
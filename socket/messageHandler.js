@@ -1,159 +1,158 @@
 const User = require('../models/User');
 const Chat = require('../models/Chat');
-const { translateMessageText } = require('../utils/messageTranslator');
+const { resolveMessageLanguage } = require('../utils/translator');
+const { normalizeIncomingMessage, buildRomanizations } = require('../utils/transliterator');
+const { markTranslationsPending, translateInBackground } = require('../utils/progressiveTranslation');
+const { getReadingPreferences, getTranslationTargets, renderForRecipient } = require('../utils/conversationSettings');
+const { getRoomMemberIds } = require('../utils/rooms');
+const { editMessage, deleteMessage } = require('../utils/messageEdits');
+const { createReceipts } = require('../utils/messageReceipts');
+const { emitToUser } = require('./emitter');
 
 /**
+ * Saves and delivers a room message in its original form to the room's members;
+ * translations follow through 'messageTranslated' events
  * @param {Object} io 
  * @param {Object} socket
  * @param {Object} newMessage 
  * @param {String} roomId 
- * @param {String} message 
  * @param {String} originalLanguage 
  * @param {Map} translations 
  * @param {Object} users 
  */
-const handleRoomMessage = async (io, socket, newMessage, roomId, message, originalLanguage, translations, users) => {
+const handleRoomMessage = async (io, socket, newMessage, roomId, originalLanguage, translations, users) => {
   console.log('Processing room message. Room ID:', roomId);
+  const memberIds = await getRoomMemberIds(roomId);
+  if (!memberIds.includes(socket.user.userId)) {
+    socket.emit('error', { message: 'Not a member of this room', roomId });
+    return;
+  }
+  
   newMessage.room = roomId;
   newMessage.isGroupMessage = true;
   
   const roomUsers = await User.find({ 
-    _id: { $ne: socket.user.userId }
-  }).select('_id preferredLanguage');
+    _id: { $in: memberIds.filter(id => id !== socket.user.userId) }
+  }).select('_id preferredLanguage understoodLanguages scriptPreference');
   
   console.log(`Room message from ${socket.user.userId} to ${roomUsers.length} users`);
   
-  //languages needed for translation
-  const uniqueLangs = [...new Set(roomUsers.map(u => u.preferredLanguage || 'en'))];
-  
-  // Translate for each unique language
-  await Promise.all(uniqueLangs.map(async (targetLang) => {
-    if (targetLang && targetLang !== originalLanguage && !translations.has(targetLang)) {
-      try {
-        console.log(`Translating from ${originalLanguage} to ${targetLang}`);
-        const translated = await translateMessageText(message, targetLang);
-        if (translated) {
-          translations.set(targetLang, translated);
-          console.log(`Translation result for ${targetLang}: "${translated}"`);
-        }
-      } catch (err) {
-        console.error(`Failed to translate to ${targetLang}:`, err);
-      }
-    }
-  }));
+  // Languages needed for translation, honouring per-conversation overrides
+  const preferences = await getReadingPreferences(roomUsers, newMessage);
+  const uniqueLangs = getTranslationTargets(preferences, originalLanguage)
+    .filter(lang => !translations.has(lang));
   
   newMessage.translations = translations;
+  newMessage.romanizations = await buildRomanizations(translations);
+  newMessage.receipts = createReceipts(roomUsers.map(roomUser => roomUser._id));
+  markTranslationsPending(newMessage, uniqueLangs);
   await newMessage.save();
   console.log('Message saved to database:', newMessage._id);
   
-  // Send to everyone in the room
-  for (const roomUser of roomUsers) {
-    const userSocketId = Object.keys(users).find(
-      key => users[key].userId === roomUser._id.toString()
-    );
-    
-    if (userSocketId) {
-      const userLang = roomUser.preferredLanguage || 'en';
-      const messageToSend = {
-        _id: newMessage._id,
-        sender: socket.user.userId,
-        content: translations.get(userLang) || message,
-        originalContent: message,
-        originalLanguage,
-        translations: Object.fromEntries(translations),
-        room: roomId,
-        isGroupMessage: true,
-        timestamp: newMessage.timestamp
-      };
-      
-      io.to(userSocketId).emit('receiveMessage', messageToSend);
-    }
-  }
-  
-  // Send back to sender
-  socket.emit('receiveMessage', {
+  const messageFields = {
     _id: newMessage._id,
     sender: socket.user.userId,
-    content: message,
-    originalContent: message,
+    originalContent: newMessage.originalContent,
+    isRomanized: newMessage.isRomanized,
     originalLanguage,
-    translations: Object.fromEntries(translations),
+    languageConfidence: newMessage.languageConfidence,
+    languageUncertain: newMessage.languageUncertain,
+    translations: Object.fromEntries(newMessage.translations),
+    translationProviders: Object.fromEntries(newMessage.translationProviders),
+    translationStatus: newMessage.translationStatus,
+    pendingTranslations: newMessage.pendingTranslations,
     room: roomId,
     isGroupMessage: true,
     timestamp: newMessage.timestamp
+  };
+  
+  // Send to every connected device of everyone in the room; offline devices catch up on reconnect
+  for (const roomUser of roomUsers) {
+    emitToUser(roomUser._id, 'receiveMessage', {
+      ...messageFields,
+      ...renderForRecipient(newMessage, preferences.get(roomUser._id.toString()))
+    });
+  }
+  
+  // Send back to all of the sender's devices
+  emitToUser(socket.user.userId, 'receiveMessage', {
+    ...messageFields,
+    content: newMessage.originalContent
   });
+  
+  if (uniqueLangs.length > 0) {
+    console.log(`Translating from ${originalLanguage} to ${uniqueLangs.join(', ')}`);
+    translateInBackground(newMessage);
+  }
 };
 
 /**
- * Handle direct messages
+ * Saves and delivers a direct message in its original form; the translation
+ * follows through a 'messageTranslated' event
  * @param {Object} io - Socket.IO instance
  * @param {Object} socket - Socket connection
  * @param {Object} newMessage - New message object
  * @param {String} receiverId - Receiver ID
- * @param {String} message - Original message
  * @param {String} originalLanguage - Original language
  * @param {Map} translations - Translations map
  * @param {Object} users - Active users object
  */
-const handleDirectMessage = async (io, socket, newMessage, receiverId, message, originalLanguage, translations, users) => {
+const handleDirectMessage = async (io, socket, newMessage, receiverId, originalLanguage, translations, users) => {
   console.log('Processing direct message. Receiver ID:', receiverId);
   
   // Get receiver's language preference
-  const receiver = await User.findById(receiverId).select('preferredLanguage');
+  const receiver = await User.findById(receiverId).select('preferredLanguage understoodLanguages scriptPreference');
   if (!receiver) {
     console.error('Receiver not found:', receiverId);
     socket.emit('error', { message: 'Receiver not found' });
     return;
   }
   
-  const receiverLang = receiver.preferredLanguage || 'en';
-  console.log(`Direct message from ${socket.user.userId} to ${receiverId}. Original language: ${originalLanguage}, receiver language: ${receiverLang}`);
+  newMessage.receiver = receiverId;
   
-  // Translate message if receiver uses a different language
-  if (receiverLang !== originalLanguage) {
-    try {
-      console.log(`Translating from ${originalLanguage} to ${receiverLang}`);
-      const translated = await translateMessageText(message, receiverLang);
-      if (translated) {
-        translations.set(receiverLang, translated);
-        console.log(`Translation result: "${translated}"`);
-      }
-    } catch (err) {
-      console.error(`Failed to translate to ${receiverLang}:`, err);
-    }
-  }
+  // The receiver may read this conversation in another language than usual, or untranslated
+  const preferences = await getReadingPreferences([receiver], newMessage);
+  const receiverPreference = preferences.get(receiver._id.toString());
+  const receiverLang = receiverPreference.language;
+  console.log(`Direct message from ${socket.user.userId} to ${receiverId}. Original language: ${originalLanguage}, receiver language: ${receiverLang}`);
   
-  newMessage.receiver = receiverId;
   newMessage.translations = translations;
+  newMessage.romanizations = await buildRomanizations(translations);
+  newMessage.receipts = createReceipts([receiver._id]);
+  markTranslationsPending(newMessage, getTranslationTargets(preferences, originalLanguage));
   await newMessage.save();
   
-  // Find receiver's socket id
-  const receiverSocketId = Object.keys(users).find(
-    key => users[key].userId === receiverId
-  );
-  
   // Message object for sending
   const messageToSend = {
     _id: newMessage._id,
     sender: socket.user.userId,
     receiver: receiverId,
-    content: translations.get(receiverLang) || message,
-    originalContent: message,
+    ...renderForRecipient(newMessage, receiverPreference),
+    originalContent: newMessage.originalContent,
+    isRomanized: newMessage.isRomanized,
     originalLanguage,
-    translations: Object.fromEntries(translations),
+    languageConfidence: newMessage.languageConfidence,
+    languageUncertain: newMessage.languageUncertain,
+    translations: Object.fromEntries(newMessage.translations),
+    translationProviders: Object.fromEntries(newMessage.translationProviders),
+    translationStatus: newMessage.translationStatus,
+    pendingTranslations: newMessage.pendingTranslations,
     timestamp: newMessage.timestamp
   };
   
-  // Send to receiver if online
-  if (receiverSocketId) {
-    io.to(receiverSocketId).emit('receiveMessage', messageToSend);
-  }
+  // Send to every connected device of the receiver; offline devices catch up on reconnect
+  emitToUser(receiverId, 'receiveMessage', messageToSend);
   
-  // Send back to sender
-  socket.emit('receiveMessage', {
+  // Send back to all of the sender's devices
+  emitToUser(socket.user.userId, 'receiveMessage', {
     ...messageToSend,
-    content: message // Sender sees original message
+    content: newMessage.originalContent // Sender sees original message
   });
+  
+  if (newMessage.translationStatus === 'pending') {
+    console.log(`Translating from ${originalLanguage} to ${receiverLang}`);
+    translateInBackground(newMessage);
+  }
 };
 
 /**
@@ -190,12 +189,18 @@ const handleMessaging = (io, socket, users) => {
         return;
       }
       
-      const originalLanguage = sender.preferredLanguage || 'en';
-      console.log('Sender language:', originalLanguage);
+      // Detect the language the message is actually written in
+      const senderLanguage = sender.preferredLanguage || 'en';
+      const detection = await resolveMessageLanguage(message, senderLanguage);
+      
+      // Convert romanized input ("kaise ho") to native script before translating
+      const normalized = await normalizeIncomingMessage(message, detection, senderLanguage);
+      const originalLanguage = normalized.language;
+      console.log('Message language:', originalLanguage, 'confidence:', detection.confidence, 'romanized:', normalized.isRomanized);
       
       // Create translations map
       const translations = new Map();
-      translations.set(originalLanguage, message); // Store original message in its language
+      translations.set(originalLanguage, normalized.text); // Store original message in its language
       
       // Create a new chat message in the database
       const newMessage = new Chat({
@@ -203,20 +208,47 @@ const handleMessaging = (io, socket, users) => {
         originalContent: message,
         content: message,
         originalLanguage,
+        detectedLanguage: detection.detectedLanguage,
+        languageConfidence: detection.confidence,
+        languageUncertain: detection.uncertain && !normalized.isRomanized,
+        normalizedContent: normalized.isRomanized ? normalized.text : undefined,
+        isRomanized: normalized.isRomanized,
         timestamp: new Date(),
-        translations: translations
+        translations: translations,
+        translationProviders: new Map()
       });
       
       if (roomId) {
-        await handleRoomMessage(io, socket, newMessage, roomId, message, originalLanguage, translations, users);
+        await handleRoomMessage(io, socket, newMessage, roomId, originalLanguage, translations, users);
       } else if (receiverId) {
-        await handleDirectMessage(io, socket, newMessage, receiverId, message, originalLanguage, translations, users);
+        await handleDirectMessage(io, socket, newMessage, receiverId, originalLanguage, translations, users);
       }
     } catch (error) {
       console.error('Error processing message:', error);
       socket.emit('error', { message: 'Failed to send message' });
     }
   });
+
+  // Edit one of the user's messages within the edit window; participants get 'messageEdited'
+  socket.on('editMessage', async (data = {}) => {
+    try {
+      const { messageId, message } = data;
+      await editMessage({ messageId, text: message, userId: socket.user.userId });
+    } catch (error) {
+      console.error('Error editing message:', error.message);
+      socket.emit('error', { message: error.status ? error.message : 'Failed to edit message', messageId: data.messageId });
+    }
+  });
+
+  // Delete a message for everyone (its sender or a room admin); participants get 'messageDeleted'
+  socket.on('deleteMessage', async (data = {}) => {
+    try {
+      await deleteMessage({ messageId: data.messageId, userId: socket.user.userId });
+    } catch (error) {
+      console.error('Error deleting message:', error.message);
+      socket.emit('error', { message: error.status ? error.message : 'Failed to delete message', messageId: data.messageId });
+    }
+  });
 };
 
 module.exports = {
@@ -0,0 +1,32 @@
+const { markDelivered, markRead } = require('../utils/messageReceipts');
+
+/**
+ * Handle delivery acknowledgements and read positions reported by clients
+ * @param {Object} io - Socket.IO instance
+ * @param {Object} socket - Socket connection
+ */
+const handleReceipts = (io, socket) => {
+  // Acknowledge 'receiveMessage' events (or messages loaded otherwise) that reached this device
+  socket.on('messageDelivered', async (data = {}) => {
+    try {
+      const messageIds = data.messageIds || (data.messageId ? [data.messageId] : []);
+      await markDelivered(socket.user.userId, messageIds);
+    } catch (error) {
+      console.error('Error acknowledging delivery:', error.message);
+      socket.emit('error', { message: error.status ? error.message : 'Failed to acknowledge delivery' });
+    }
+  });
+
+  // Report the latest message the user has seen in a room ({ roomId }) or direct chat ({ userId })
+  socket.on('markRead', async (data = {}) => {
+    try {
+      const { roomId, userId, messageId } = data;
+      await markRead(socket.user.userId, { roomId, partnerId: userId, messageId });
+    } catch (error) {
+      console.error('Error reporting read position:', error.message);
+      socket.emit('error', { message: error.status ? error.message : 'Failed to report read position' });
+    }
+  });
+};
+
+module.exports = handleReceipts;
@@ -1,3 +1,6 @@
+const { isRoomMember } = require('../utils/rooms');
+const { enterRoom, serializeJoinRequest, reviewJoinRequest } = require('../utils/roomInvites');
+
 /**
  * Handle room operations (join/leave)
  * @param {Object} io - Socket.IO instance
@@ -5,8 +8,33 @@
  * @param {Object} rooms - Active rooms object
  */
 const handleRooms = (io, socket, rooms) => {
-  // Join a room
-  socket.on('joinRoom', (roomId) => {
+  // Join a room. Members are subscribed right away; others enter the way the room
+  // allows (public, with an invite token, or through a join request)
+  socket.on('joinRoom', async (data) => {
+    const { roomId, inviteToken, message } = typeof data === 'object' && data !== null ? data : { roomId: data };
+    const userId = socket.user?.userId;
+    try {
+      if (!(await isRoomMember(roomId, userId))) {
+        if (!userId) {
+          socket.emit('error', { message: 'Not a member of this room', roomId });
+          return;
+        }
+        const { status, request } = await enterRoom(roomId, userId, { inviteToken, message });
+        if (status === 'pending') {
+          socket.emit('joinRequestPending', serializeJoinRequest(request));
+          return;
+        }
+      }
+    } catch (error) {
+      if (error.status) {
+        socket.emit('error', { message: error.message, roomId });
+        return;
+      }
+      console.error('Error joining room:', error);
+      socket.emit('error', { message: 'Failed to join room', roomId });
+      return;
+    }
+    
     socket.join(roomId);
     if (!rooms[roomId]) {
       rooms[roomId] = [];
@@ -24,6 +52,18 @@ const handleRooms = (io, socket, rooms) => {
     });
   });
   
+  // Approve or deny a join request (room admins)
+  socket.on('reviewJoinRequest', async ({ requestId, approve } = {}) => {
+    try {
+      await reviewJoinRequest({ requestId, approve: approve === true, userId: socket.user?.userId });
+    } catch (error) {
+      if (!error.status) {
+        console.error('Error reviewing join request:', error);
+      }
+      socket.emit('error', { message: error.status ? error.message : 'Failed to review join request', requestId });
+    }
+  });
+
   // Leave a room
   socket.on('leaveRoom', (roomId) => {
     socket.leave(roomId);
@@ -1,4 +1,5 @@
 const User = require('../models/User');
+const { getDeviceId, advanceSyncCursor, syncMissedMessages } = require('../utils/messageSync');
 
 /**
  * Handle user connection and status updates
@@ -73,6 +74,22 @@ const handleUserConnection = async (io, socket, users) => {
       socketId: socket.id
     };
     // console.log('Updated active users:', users);
+
+    // Acknowledge the latest message this device received in a conversation,
+    // live or through sync, so the next reconnect resumes after it
+    socket.on('syncAck', async (data = {}) => {
+      try {
+        await advanceSyncCursor(socket.user.userId, getDeviceId(socket), data.messageId);
+      } catch (error) {
+        console.error('Error acknowledging sync:', error.message);
+        socket.emit('error', { message: error.status ? error.message : 'Failed to acknowledge sync' });
+      }
+    });
+
+    // Push what this device missed while it was offline
+    syncMissedMessages(socket).catch(err => {
+      console.error(`Failed to sync missed messages for user ${socket.user.userId}:`, err.message);
+    });
   } else {
     console.error('Socket connected without user data:', socket.id);
   }
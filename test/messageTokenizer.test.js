@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenizeMessage, hasRichFormatting, markdownToHtml, htmlToMarkdown } = require('../utils/messageTokenizer');
+
+const spanTexts = (text) => tokenizeMessage(text).map(span => [span.type, span.restoreAs]);
+
+test('finds mentions, URLs, emoji and code in Arabic text', () => {
+  const text = 'مرحبا @سارة شاهد https://example.com/a?b=1 😀 و `npm test`';
+  assert.deepEqual(spanTexts(text), [
+    ['mention', '@سارة'],
+    ['url', 'https://example.com/a?b=1'],
+    ['emoji', '😀'],
+    ['inlineCode', '`npm test`']
+  ]);
+});
+
+test('finds spans in Hebrew, Devanagari and CJK text', () => {
+  assert.deepEqual(spanTexts('שלום @דני, ראה www.example.org 👍🏽'), [
+    ['mention', '@דני'],
+    ['url', 'www.example.org'],
+    ['emoji', '👍🏽']
+  ]);
+  assert.deepEqual(spanTexts('नमस्ते @राम #त्योहार user@example.com'), [
+    ['mention', '@राम'],
+    ['hashtag', '#त्योहार'],
+    ['email', 'user@example.com']
+  ]);
+  assert.deepEqual(spanTexts('你好@小明 看看 https://例子.cn 👨‍👩‍👧'), [
+    ['url', 'https://例子.cn'],
+    ['emoji', '👨‍👩‍👧']
+  ]);
+});
+
+test('keeps a URL inside inline code as code', () => {
+  assert.deepEqual(spanTexts('جرب `curl https://example.com` الآن'), [
+    ['inlineCode', '`curl https://example.com`']
+  ]);
+});
+
+test('claims a code block as a single span', () => {
+  const block = '```\nconst x = "@not_a_mention";\n```';
+  assert.deepEqual(spanTexts(`קוד:\n${block}`), [['codeBlock', block]]);
+});
+
+test('round-trips markdown emphasis through HTML in right-to-left text', () => {
+  const text = 'هذا **مهم جدا** و ~~قديم~~';
+  assert.equal(hasRichFormatting(text), true);
+  const html = markdownToHtml(text);
+  assert.equal(html, 'هذا <b>مهم جدا</b> و <s>قديم</s>');
+  assert.equal(htmlToMarkdown(html), text);
+});
+
+test('escapes and restores HTML special characters', () => {
+  const text = 'a < b && **c > d**';
+  assert.equal(htmlToMarkdown(markdownToHtml(text)), text);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { protectSpans } = require('../utils/spanProtector');
+const { tokenizeMessage } = require('../utils/messageTokenizer');
+const { findGlossarySpans } = require('../utils/glossary');
+
+/**
+ * Protects a text the way the translator does and hands the result to a fake provider
+ * @param {string} text
+ * @param {Function} provider - (protectedText) => translated text
+ * @param {Object[]} [glossary] - Glossary entries
+ * @param {string} [targetLanguage]
+ * @returns {{protectedText: string, restored: string}}
+ */
+const roundTrip = (text, provider, glossary = [], targetLanguage = 'en') => {
+  const { spans: glossarySpans } = findGlossarySpans(text, glossary, targetLanguage);
+  const { text: protectedText, restore } = protectSpans(text, [...tokenizeMessage(text), ...glossarySpans]);
+  return { protectedText, restored: restore(provider(protectedText)) };
+};
+
+test('hides every protected span from the provider', () => {
+  const { protectedText } = roundTrip('Hi @maya, see https://example.com 🎉 `code`', text => text);
+  assert.equal(protectedText, 'Hi __VG0__, see __VG1__ __VG2__ __VG3__');
+});
+
+test('restores spans moved around by a right-to-left translation', () => {
+  const { restored } = roundTrip('Hi @maya, see https://example.com 🎉', () => '__VG2__ انظري __VG1__ يا __VG0__');
+  assert.equal(restored, '🎉 انظري https://example.com يا @maya');
+
+  const hebrew = roundTrip('Ping @dan about `npm test`', () => 'תשאל את __VG0__ על __VG1__');
+  assert.equal(hebrew.restored, 'תשאל את @dan על `npm test`');
+});
+
+test('restores spans in Devanagari and CJK translations', () => {
+  const hindi = roundTrip('Meet @ravi at www.example.in 👍', () => '__VG1__ पर __VG0__ से मिलें __VG2__');
+  assert.equal(hindi.restored, 'www.example.in पर @ravi से मिलें 👍');
+
+  const chinese = roundTrip('Email a@b.com or call @li', () => '给__VG0__发邮件或打电话给__VG1__');
+  assert.equal(chinese.restored, '给a@b.com发邮件或打电话给@li');
+});
+
+test('accepts placeholders whose spacing or underscores the provider changed', () => {
+  const { restored } = roundTrip('Thanks @noa 🙏', () => 'תודה _ VG0 _ __vg1__');
+  assert.equal(restored, 'תודה @noa 🙏');
+});
+
+test('appends spans the provider dropped instead of losing them', () => {
+  const { restored } = roundTrip('See https://example.com now', () => 'انظر الآن');
+  assert.equal(restored, 'انظر الآن https://example.com');
+});
+
+test('replaces glossary terms with their fixed translation', () => {
+  const glossary = [
+    { term: 'Vani', doNotTranslate: true },
+    { term: 'standup', translations: new Map([['hi', 'स्टैंडअप बैठक'], ['ar', 'اجتماع الوقوف']]) }
+  ];
+  const hindi = roundTrip('Vani standup at 10 with @team', () => '__VG2__ के साथ 10 बजे __VG0__ __VG1__', glossary, 'hi');
+  assert.equal(hindi.restored, '@team के साथ 10 बजे Vani स्टैंडअप बैठक');
+
+  const arabic = roundTrip('Vani standup', () => '__VG1__ __VG0__', glossary, 'ar');
+  assert.equal(arabic.restored, 'اجتماع الوقوف Vani');
+});
+
+test('protect reverses restore for a hand-written translation', () => {
+  const { text, restore, protect } = protectSpans('Hi @maya 😀', tokenizeMessage('Hi @maya 😀'));
+  assert.equal(text, 'Hi __VG0__ __VG1__');
+  assert.equal(protect('مرحبا @maya 😀'), 'مرحبا __VG0__ __VG1__');
+  assert.equal(restore(protect('مرحبا @maya 😀')), 'مرحبا @maya 😀');
+  assert.equal(protect('مرحبا 😀'), null);
+});
+
+test('leaves text without spans untouched', () => {
+  const { text, restore } = protectSpans('שלום עולם', []);
+  assert.equal(text, 'שלום עולם');
+  assert.equal(restore('hello world'), 'hello world');
+});
@@ -0,0 +1,64 @@
+/**
+ * Minimal circuit breaker used to take failing translation providers out of rotation.
+ *
+ * closed    - requests flow normally, consecutive failures are counted
+ * open      - requests are rejected until the cooldown has elapsed
+ * half-open - a single trial request is allowed; success closes, failure re-opens
+ *
+ * Every request that canRequest() admits must end in recordSuccess or recordFailure,
+ * otherwise a half-open trial is never settled and the circuit stays shut.
+ *
+ * @param {Object} options
+ * @param {number} options.threshold - Consecutive failures before opening
+ * @param {number} options.cooldown - Milliseconds to stay open before a trial request
+ * @returns {Object}
+ */
+const createCircuitBreaker = ({ threshold, cooldown }) => {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  const canRequest = () => {
+    if (state === 'closed') {
+      return true;
+    }
+
+    if (state === 'open' && Date.now() - openedAt >= cooldown) {
+      state = 'half-open';
+      trialInFlight = false;
+    }
+
+    if (state === 'half-open' && !trialInFlight) {
+      trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  };
+
+  const recordSuccess = () => {
+    state = 'closed';
+    failures = 0;
+    trialInFlight = false;
+  };
+
+  const recordFailure = () => {
+    failures++;
+    trialInFlight = false;
+    if (state === 'half-open' || failures >= threshold) {
+      state = 'open';
+      openedAt = Date.now();
+    }
+  };
+
+  const getState = () => ({
+    state,
+    failures,
+    openedAt: openedAt ? new Date(openedAt).toISOString() : null
+  });
+
+  return { canRequest, recordSuccess, recordFailure, getState };
+};
+
+module.exports = { createCircuitBreaker };
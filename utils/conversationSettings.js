@@ -0,0 +1,170 @@
+const ConversationSetting = require('../models/ConversationSetting');
+
+const DISPLAY_MODES = ['translate', 'original', 'bilingual'];
+
+/**
+ * Resolves how each reader sees a message's conversation: their per-conversation
+ * language override and display mode, falling back to their global preferences.
+ * A conversation language override is all the reader wants to read there, so
+ * their other understood languages only apply without one.
+ * @param {Object[]} readers - Users with _id, preferredLanguage, understoodLanguages and scriptPreference
+ * @param {Object} conversation - Message or { room } / { sender, receiver } identifying the conversation
+ * @returns {Promise<Map<string, {language: string, understoodLanguages: string[], scriptPreference: string, displayMode: string}>>} - Keyed by user ID
+ */
+const getReadingPreferences = async (readers, conversation) => {
+  const userIds = readers.map(reader => reader._id);
+  const query = conversation.room
+    ? { user: { $in: userIds }, room: conversation.room }
+    : {
+      $or: [
+        { user: conversation.sender, partner: conversation.receiver },
+        { user: conversation.receiver, partner: conversation.sender }
+      ]
+    };
+  const settings = userIds.length > 0 ? await ConversationSetting.find(query).lean() : [];
+  const settingsByUser = new Map(settings.map(setting => [setting.user.toString(), setting]));
+
+  const preferences = new Map();
+  readers.forEach(reader => {
+    const setting = settingsByUser.get(reader._id.toString());
+    const language = setting?.language || reader.preferredLanguage || 'en';
+    preferences.set(reader._id.toString(), {
+      language,
+      understoodLanguages: setting?.language ? [language] : [...new Set([language, ...(reader.understoodLanguages || [])])],
+      scriptPreference: reader.scriptPreference || 'native',
+      displayMode: setting?.displayMode || 'translate'
+    });
+  });
+  return preferences;
+};
+
+/**
+ * Whether a reader can read a language without translation
+ * @param {Object} preference - From getReadingPreferences
+ * @param {string} language - Language code
+ * @returns {boolean}
+ */
+const understands = (preference, language) => preference.understoodLanguages.includes(language);
+
+/**
+ * Languages a message has to be translated into for its readers. Readers who
+ * only want the original, or who understand the message's language, need none.
+ * @param {Map<string, Object>} preferences - From getReadingPreferences
+ * @param {string} originalLanguage - Language the message is written in
+ * @returns {string[]}
+ */
+const getTranslationTargets = (preferences, originalLanguage) => [...new Set(
+  [...preferences.values()]
+    .filter(preference => preference.displayMode !== 'original' && !understands(preference, originalLanguage))
+    .map(preference => preference.language)
+)];
+
+/**
+ * Picks the rendering of a message for a reader. Messages in a language the reader
+ * understands and untranslated messages show the original text; bilingual readers
+ * also get the original as secondaryContent.
+ * @param {Object} message - Chat message
+ * @param {Object} preference - From getReadingPreferences
+ * @returns {{content: String, nativeContent: String, romanizedContent: String|null, displayMode: String, secondaryContent?: String}}
+ */
+const renderForRecipient = (message, preference) => {
+  const { language, scriptPreference, displayMode = 'translate' } = preference;
+  // Legacy messages only have content
+  const original = message.normalizedContent || message.originalContent || message.content;
+  if (displayMode === 'original' || understands(preference, message.originalLanguage || 'en')) {
+    return { content: message.originalContent || message.content, nativeContent: original, romanizedContent: null, displayMode };
+  }
+
+  const nativeContent = message.translations.get(language) || original;
+  const romanizedContent = message.romanizations.get(language) || null;
+  const rendering = {
+    content: scriptPreference === 'latin' && romanizedContent ? romanizedContent : nativeContent,
+    nativeContent,
+    romanizedContent,
+    displayMode
+  };
+  if (displayMode === 'bilingual' && language !== message.originalLanguage) {
+    rendering.secondaryContent = message.originalContent || message.content;
+  }
+  return rendering;
+};
+
+/**
+ * Builds the filter of one user's setting for a room or a direct conversation
+ * @param {string} userId
+ * @param {Object} conversation - { roomId } or { partnerId }
+ * @returns {Object}
+ */
+const getSettingFilter = (userId, { roomId, partnerId }) => (roomId
+  ? { user: userId, room: roomId }
+  : { user: userId, partner: partnerId });
+
+/**
+ * Returns a user's setting for a conversation, or null when they use their defaults
+ * @param {string} userId
+ * @param {Object} conversation - { roomId } or { partnerId }
+ * @returns {Promise<Object|null>}
+ */
+const getConversationSetting = async (userId, conversation) => {
+  return ConversationSetting.findOne(getSettingFilter(userId, conversation));
+};
+
+/**
+ * Lists every conversation setting of a user
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+const listConversationSettings = async (userId) => {
+  return ConversationSetting.find({ user: userId }).sort({ updatedAt: -1 });
+};
+
+/**
+ * Creates or updates a user's setting for a conversation
+ * @param {string} userId
+ * @param {Object} conversation - { roomId } or { partnerId }
+ * @param {Object} update
+ * @param {string} [update.displayMode] - 'translate', 'original' or 'bilingual'
+ * @param {string|null} [update.language] - Language override; null removes it
+ * @returns {Promise<Object>}
+ */
+const saveConversationSetting = async (userId, conversation, { displayMode, language }) => {
+  const $set = {};
+  const $unset = {};
+  if (displayMode !== undefined) {
+    $set.displayMode = displayMode;
+  }
+  if (language === null) {
+    $unset.language = '';
+  } else if (language !== undefined) {
+    $set.language = language;
+  }
+
+  return ConversationSetting.findOneAndUpdate(
+    getSettingFilter(userId, conversation),
+    { $set, ...(Object.keys($unset).length > 0 && { $unset }) },
+    { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+  );
+};
+
+/**
+ * Removes a user's setting for a conversation, restoring their defaults
+ * @param {string} userId
+ * @param {Object} conversation - { roomId } or { partnerId }
+ * @returns {Promise<boolean>} - Whether a setting existed
+ */
+const deleteConversationSetting = async (userId, conversation) => {
+  const result = await ConversationSetting.deleteOne(getSettingFilter(userId, conversation));
+  return result.deletedCount > 0;
+};
+
+module.exports = {
+  DISPLAY_MODES,
+  getReadingPreferences,
+  understands,
+  getTranslationTargets,
+  renderForRecipient,
+  getConversationSetting,
+  listConversationSettings,
+  saveConversationSetting,
+  deleteConversationSetting
+};
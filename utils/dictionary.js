@@ -0,0 +1,108 @@
+const { runWithFailover } = require('./providers');
+const { createLruCache } = require('./lruCache');
+const { checkQuota, recordUsage } = require('./usageMeter');
+
+// Dictionary entries barely change; keep them for a day
+const dictionaryCache = createLruCache({ max: 5000, ttl: 24 * 60 * 60 * 1000 });
+
+// Example sentences are fetched only for the most likely translations
+const MAX_EXAMPLE_TRANSLATIONS = 3;
+
+/**
+ * Fetches example sentences for the top translations of a word.
+ * Examples are a nice-to-have, so failures leave them empty.
+ * @param {string} word - Source word
+ * @param {Object[]} translations - Lookup translations
+ * @param {string} from - Source language code
+ * @param {string} to - Target language code
+ * @param {Object} usage - { userId } charged for the request
+ * @returns {Promise<Array<Array<{source: string, target: string}>>>}
+ */
+const fetchExamples = async (word, translations, from, to, usage) => {
+  const pairs = translations
+    .slice(0, MAX_EXAMPLE_TRANSLATIONS)
+    .map(translation => ({ text: word, translation: translation.normalizedText }));
+
+  if (pairs.length === 0) {
+    return [];
+  }
+
+  const characters = pairs.reduce((sum, pair) => sum + pair.text.length + pair.translation.length, 0);
+  try {
+    const { result, provider } = await runWithFailover(
+      (p) => p.examples(pairs, { from, to }),
+      { capability: 'examples', cost: characters }
+    );
+    recordUsage({
+      userId: usage.userId,
+      kind: 'translation',
+      units: characters,
+      provider,
+      sourceLanguage: from,
+      targetLanguage: to
+    });
+    return result;
+  } catch (error) {
+    console.error(`Dictionary examples failed for ${from}->${to}:`, error.message);
+    return [];
+  }
+};
+
+/**
+ * Looks up meanings, parts of speech, alternative translations and example
+ * sentences of a word or short phrase
+ * @param {string} word - Word or phrase to look up
+ * @param {string} from - Source language code
+ * @param {string} to - Target language code
+ * @param {Object} [usage] - { userId } charged for provider calls on a cache miss
+ * @returns {Promise<Object>} - { word, from, to, provider, translations: [{ text, partOfSpeech, confidence, backTranslations, examples }] }
+ */
+const lookupWord = async (word, from, to, usage = {}) => {
+  const normalized = word.trim().toLowerCase();
+  const cacheKey = `${from}:${to}:${normalized}`;
+  const cached = dictionaryCache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  await checkQuota(usage.userId, 'translation', normalized.length);
+  const { result, provider, shared } = await runWithFailover(
+    (p) => p.lookup([word.trim()], { from, to }),
+    { capability: 'lookup', key: `lookup:${cacheKey}`, cost: normalized.length }
+  );
+  // A lookup that joined an identical one in flight was paid for by that one
+  if (!shared) {
+    recordUsage({
+      userId: usage.userId,
+      kind: 'translation',
+      units: normalized.length,
+      provider,
+      sourceLanguage: from,
+      targetLanguage: to
+    });
+  }
+
+  const entry = result[0] || { word: word.trim(), translations: [] };
+  const examples = await fetchExamples(entry.word, entry.translations, from, to, usage);
+
+  const lookup = {
+    word: entry.word,
+    from,
+    to,
+    provider,
+    translations: entry.translations.map((translation, i) => ({
+      text: translation.text,
+      partOfSpeech: translation.partOfSpeech,
+      confidence: translation.confidence,
+      backTranslations: translation.backTranslations,
+      examples: examples[i] || []
+    }))
+  };
+
+  dictionaryCache.set(cacheKey, lookup);
+  return lookup;
+};
+
+module.exports = {
+  lookupWord
+};
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const Glossary = require('../models/Glossary');
+const { createLruCache } = require('./lruCache');
+const { globalDoNotTranslate, glossaryCacheTtl } = require('../config/translation');
+
+// Glossaries change rarely; keep them briefly so every message does not hit MongoDB
+const glossaryCache = createLruCache({ max: 1000, ttl: glossaryCacheTtl });
+
+// Product-wide "never translate" terms
+const GLOBAL_ENTRIES = globalDoNotTranslate.map(term => ({
+  _id: null,
+  term,
+  caseSensitive: false,
+  doNotTranslate: true,
+  translations: new Map()
+}));
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Loads the glossary entries that apply to a translation context
+ * @param {Object} context
+ * @param {string} [context.userId] - Sender whose personal glossary applies
+ * @param {string} [context.roomId] - Room whose glossary applies
+ * @returns {Promise<Object[]>} - Entries, global terms included
+ */
+const loadGlossary = async ({ userId, roomId } = {}) => {
+  if ((!userId && !roomId) || mongoose.connection.readyState !== 1) {
+    return GLOBAL_ENTRIES;
+  }
+
+  const cacheKey = `${userId || ''}:${roomId || ''}`;
+  const cached = glossaryCache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const conditions = [];
+  if (userId) {
+    conditions.push({ scope: 'user', owner: userId });
+  }
+  if (roomId) {
+    conditions.push({ scope: 'room', room: roomId });
+  }
+
+  try {
+    const entries = await Glossary.find({ $or: conditions }).lean();
+    const all = [...entries.map(entry => ({
+      ...entry,
+      translations: new Map(Object.entries(entry.translations || {}))
+    })), ...GLOBAL_ENTRIES];
+    glossaryCache.set(cacheKey, all);
+    return all;
+  } catch (err) {
+    console.error('Failed to load glossary:', err.message);
+    return GLOBAL_ENTRIES;
+  }
+};
+
+/**
+ * Drops cached glossaries after an entry changes. Entries are cached per
+ * user/room pair, so one change can affect many keys; clearing is simplest.
+ * Only this process's cache is cleared; other instances expire theirs by TTL.
+ */
+const invalidateGlossary = () => {
+  glossaryCache.clear();
+};
+
+/**
+ * Finds glossary terms in a text and what each should become in the target language
+ * @param {string} text - Source text
+ * @param {Object[]} entries - Glossary entries
+ * @param {string} targetLanguage - Target language code
+ * @returns {{spans: Array<{start: number, end: number, restoreAs: string}>, hits: Object[]}}
+ */
+const findGlossarySpans = (text, entries, targetLanguage) => {
+  const spans = [];
+  const hits = [];
+
+  // Longest terms first so "Vani Pro" wins over "Vani"
+  const ordered = [...entries].sort((a, b) => b.term.length - a.term.length);
+
+  ordered.forEach(entry => {
+    const fixed = entry.translations && entry.translations.get(targetLanguage);
+    if (!entry.doNotTranslate && !fixed) {
+      return;
+    }
+
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(entry.term)}(?![\\p{L}\\p{N}])`, entry.caseSensitive ? 'gu' : 'giu');
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (spans.some(span => start < span.end && end > span.start)) {
+        continue;
+      }
+      const replacement = entry.doNotTranslate ? match[0] : fixed;
+      spans.push({ start, end, restoreAs: replacement });
+      hits.push({
+        glossaryId: entry._id,
+        term: entry.term,
+        language: targetLanguage,
+        replacement
+      });
+    }
+  });
+
+  return { spans, hits };
+};
+
+module.exports = {
+  loadGlossary,
+  invalidateGlossary,
+  findGlossarySpans
+};
@@ -97,6 +97,42 @@ const checkAzureTranslator = async () => {
   }
 };
 
+/**
+ * Check the translation provider chain and report shared translation metrics
+ * @returns {Promise<Object>} Service status object
+ */
+const checkTranslator = async () => {
+  try {
+    const { getProviderChain } = require('./providers');
+    const { getTranslationMetrics } = require('./translator');
+    const chain = getProviderChain();
+    const available = chain.filter(provider => provider.isConfigured());
+    
+    if (available.length === 0) {
+      return {
+        status: 'unhealthy',
+        state: 'not_configured',
+        provider: chain.map(provider => provider.name).join(','),
+        error: 'No translation provider in the chain is configured'
+      };
+    }
+    
+    return {
+      status: 'healthy',
+      state: 'configured',
+      provider: available[0].name,
+      metrics: getTranslationMetrics(),
+      error: null
+    };
+  } catch (error) {
+    return {
+      status: 'unhealthy',
+      state: 'error',
+      error: error.message
+    };
+  }
+};
+
 /**
  * Check system resources
  * @returns {Object} System resource status
@@ -124,7 +160,7 @@ const checkSystemResources = () => {
  */
 const runHealthCheck = async () => {
   const mongoStatus = await checkMongoDB();
-  const translatorStatus = await checkAzureTranslator();
+  const translatorStatus = await checkTranslator();
   const systemStatus = checkSystemResources();
   
   // Overall status is healthy only if all checks are healthy
@@ -173,5 +209,6 @@ module.exports = {
   runHealthCheck,
   checkMongoDB,
   checkAzureTranslator,
+  checkTranslator,
   checkSystemResources
 }; 
\ No newline at end of file
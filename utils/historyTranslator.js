@@ -0,0 +1,125 @@
+const Chat = require('../models/Chat');
+const { translateBatchWithProvider } = require('./translator');
+const { getNativeScript, toLatinScript } = require('./transliterator');
+
+/**
+ * Text a message is translated from: the native-script form of romanized input, else the original
+ * @param {Object} message - Chat message
+ * @returns {string}
+ */
+const getSourceText = (message) => message.normalizedContent || message.originalContent || message.content;
+
+/**
+ * Whether a message is not deleted, in none of the reader's languages and lacks a translation into theirs
+ * @param {Object} message - Chat message
+ * @param {string} language - Reader's language
+ * @param {string[]} understoodLanguages - Languages the reader reads untranslated
+ * @returns {boolean}
+ */
+const needsTranslation = (message, language, understoodLanguages) => !message.deletedAt
+  && !understoodLanguages.includes(message.originalLanguage || 'en')
+  && !(message.translations && message.translations.has(language));
+
+/**
+ * Translates the history messages that lack the reader's language in one batch per
+ * source language and glossary context, newest first, and stores the results on the
+ * messages. Messages beyond the character budget, still being translated in the
+ * background or whose translation failed are reported as untranslated.
+ * @param {Object[]} messages - Chat message documents; updated in place
+ * @param {string} language - Reader's language
+ * @param {Object} options
+ * @param {string} options.userId - Reader, charged for the translation
+ * @param {number} [options.budget=Infinity] - Characters that may be sent for translation
+ * @param {string[]} [options.understoodLanguages] - Languages the reader reads untranslated; defaults to `language`
+ * @returns {Promise<{translated: number, characters: number, untranslated: string[], error: Object|null}>}
+ */
+const translateHistory = async (messages, language, { userId, budget = Infinity, understoodLanguages = [language] } = {}) => {
+  const untranslated = [];
+  const groups = new Map();
+  let characters = 0;
+
+  // Newest messages matter most to the reader, so they get the budget first
+  [...messages].reverse().forEach(message => {
+    if (!needsTranslation(message, language, understoodLanguages)) {
+      return;
+    }
+    const text = getSourceText(message);
+    const pending = message.pendingTranslations && message.pendingTranslations.includes(language);
+    if (!text || pending || characters + text.length > budget) {
+      untranslated.push(message._id.toString());
+      return;
+    }
+    characters += text.length;
+
+    // Glossaries depend on the sender and room, so they share a provider batch only within one context
+    const sourceLanguage = message.languageUncertain ? null : message.originalLanguage;
+    const key = `${sourceLanguage || 'auto'}:${message.sender._id || message.sender}:${message.room || ''}`;
+    if (!groups.has(key)) {
+      groups.set(key, { sourceLanguage, sender: message.sender._id || message.sender, room: message.room, messages: [] });
+    }
+    groups.get(key).messages.push(message);
+  });
+
+  let translated = 0;
+  let error = null;
+  const updates = [];
+
+  for (const group of groups.values()) {
+    if (error) {
+      untranslated.push(...group.messages.map(message => message._id.toString()));
+      continue;
+    }
+
+    try {
+      const results = await translateBatchWithProvider(group.messages.map(getSourceText), group.sourceLanguage, language, {
+        userId: group.sender.toString(),
+        roomId: group.room,
+        billedUserId: userId,
+        priority: 'backfill'
+      });
+
+      await Promise.all(group.messages.map(async (message, i) => {
+        const { text, provider, glossaryHits } = results[i];
+        const romanized = getNativeScript(language) ? await toLatinScript(text, language) : null;
+        message.translations.set(language, text);
+        message.translationProviders.set(language, provider);
+        if (romanized) {
+          message.romanizations.set(language, romanized);
+        }
+
+        const $set = {
+          [`translations.${language}`]: text,
+          [`translationProviders.${language}`]: provider
+        };
+        if (romanized) {
+          $set[`romanizations.${language}`] = romanized;
+        }
+        updates.push({
+          updateOne: {
+            // Skipped when the message was edited meanwhile
+            filter: { _id: message._id, editedAt: message.editedAt || null },
+            update: { $set, $push: { glossaryHits: { $each: glossaryHits } } }
+          }
+        });
+        translated++;
+      }));
+    } catch (err) {
+      console.error(`Failed to translate history into ${language}:`, err.message);
+      untranslated.push(...group.messages.map(message => message._id.toString()));
+      // Over quota means every further batch fails too
+      if (err.code === 'QUOTA_EXCEEDED') {
+        error = { error: err.message, code: err.code, ...err.details };
+      }
+    }
+  }
+
+  if (updates.length > 0) {
+    await Chat.bulkWrite(updates, { ordered: false });
+  }
+
+  return { translated, characters, untranslated, error };
+};
+
+module.exports = {
+  translateHistory
+};
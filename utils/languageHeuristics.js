@@ -0,0 +1,92 @@
+// Unicode script ranges mapped to the most likely language for that script.
+// Scripts shared by several languages (Devanagari, Arabic, Cyrillic) get a lower confidence.
+const SCRIPT_RANGES = [
+  { pattern: /[\u0900-\u097F]/g, language: 'hi', confidence: 0.7 },
+  { pattern: /[\u0980-\u09FF]/g, language: 'bn', confidence: 0.8 },
+  { pattern: /[\u0A00-\u0A7F]/g, language: 'pa', confidence: 0.95 },
+  { pattern: /[\u0A80-\u0AFF]/g, language: 'gu', confidence: 0.95 },
+  { pattern: /[\u0B00-\u0B7F]/g, language: 'or', confidence: 0.95 },
+  { pattern: /[\u0B80-\u0BFF]/g, language: 'ta', confidence: 0.95 },
+  { pattern: /[\u0C00-\u0C7F]/g, language: 'te', confidence: 0.95 },
+  { pattern: /[\u0C80-\u0CFF]/g, language: 'kn', confidence: 0.95 },
+  { pattern: /[\u0D00-\u0D7F]/g, language: 'ml', confidence: 0.95 },
+  { pattern: /[\u0D80-\u0DFF]/g, language: 'si', confidence: 0.95 },
+  { pattern: /[\u0E00-\u0E7F]/g, language: 'th', confidence: 0.95 },
+  { pattern: /[\u0600-\u06FF]/g, language: 'ar', confidence: 0.6 },
+  { pattern: /[\u0590-\u05FF]/g, language: 'he', confidence: 0.95 },
+  { pattern: /[\u0370-\u03FF]/g, language: 'el', confidence: 0.95 },
+  { pattern: /[\u0400-\u04FF]/g, language: 'ru', confidence: 0.6 },
+  { pattern: /[\uAC00-\uD7AF\u1100-\u11FF]/g, language: 'ko', confidence: 0.95 },
+  { pattern: /[\u3040-\u30FF]/g, language: 'ja', confidence: 0.9 },
+  { pattern: /[\u4E00-\u9FFF]/g, language: 'zh', confidence: 0.7 }
+];
+
+// Frequent short words used to tell Latin-script languages apart
+const LATIN_STOPWORDS = {
+  en: ['the', 'and', 'is', 'are', 'you', 'to', 'of', 'it', 'what', 'how', 'this', 'that', 'i', 'my', 'we'],
+  es: ['el', 'la', 'los', 'las', 'que', 'es', 'y', 'de', 'en', 'por', 'para', 'como', 'estás', 'yo', 'qué'],
+  fr: ['le', 'la', 'les', 'et', 'est', 'de', 'un', 'une', 'je', 'tu', 'vous', 'pas', 'ça', 'que', 'qui'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'ich', 'du', 'nicht', 'ein', 'eine', 'wie', 'was', 'zu', 'mit', 'es'],
+  pt: ['o', 'a', 'os', 'as', 'que', 'é', 'e', 'de', 'não', 'você', 'eu', 'como', 'um', 'uma', 'obrigado'],
+  it: ['il', 'lo', 'la', 'che', 'è', 'e', 'di', 'non', 'io', 'tu', 'come', 'un', 'una', 'sono', 'per']
+};
+
+const LETTER_REGEX = /[\p{L}\p{M}]/gu;
+const LATIN_REGEX = /[A-Za-z\u00C0-\u024F]/g;
+
+/**
+ * Guesses the language of a text from its script and, for Latin text, common words.
+ * Used offline and when every provider in the chain is unavailable.
+ * @param {string} text
+ * @returns {{language: string|null, confidence: number}}
+ */
+const detectLanguageHeuristically = (text) => {
+  const letters = (text || '').match(LETTER_REGEX);
+  if (!letters) {
+    // Emoji, numbers or punctuation only
+    return { language: null, confidence: 0 };
+  }
+
+  // Pick the script with the most characters
+  let best = null;
+  let bestCount = 0;
+  SCRIPT_RANGES.forEach(range => {
+    const count = (text.match(range.pattern) || []).length;
+    if (count > bestCount) {
+      best = range;
+      bestCount = count;
+    }
+  });
+
+  // Kana anywhere means Japanese even when kanji dominate; kanji count towards it
+  if (best && ['ja', 'zh'].includes(best.language) && /[\u3040-\u30FF]/.test(text)) {
+    best = SCRIPT_RANGES.find(range => range.language === 'ja');
+    bestCount = (text.match(/[\u3040-\u30FF\u4E00-\u9FFF]/g) || []).length;
+  }
+
+  const latinCount = (text.match(LATIN_REGEX) || []).length;
+  if (best && bestCount >= latinCount) {
+    return {
+      language: best.language,
+      confidence: best.confidence * (bestCount / letters.length)
+    };
+  }
+
+  // Latin script: score stopword matches per language
+  const words = text.toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+  let latinBest = 'en';
+  let latinScore = 0;
+  Object.entries(LATIN_STOPWORDS).forEach(([language, stopwords]) => {
+    const score = words.filter(word => stopwords.includes(word)).length;
+    if (score > latinScore) {
+      latinBest = language;
+      latinScore = score;
+    }
+  });
+
+  // Stopword evidence is weak for short messages, so cap the confidence
+  const confidence = latinScore === 0 ? 0.3 : Math.min(0.9, 0.4 + (latinScore / words.length));
+  return { language: latinBest, confidence };
+};
+
+module.exports = { detectLanguageHeuristically };
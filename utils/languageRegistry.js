@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { getSupportedLanguages } = require('./translator');
+const { getNativeScript } = require('./transliterator');
+const { speechRecognitionLocales, speechSynthesisVoices, speechOnlyLanguageNames } = require('../config/languages');
+const { languageCatalog } = require('../config/translation');
+const snapshot = require('../config/languageSnapshot.json');
+
+let cached = null;
+let refreshing = null;
+
+/**
+ * Looks a language up by its full code, then by its base code ('zh-Hans' -> 'zh')
+ * @param {Object} map - Keyed by language code
+ * @param {string} code
+ * @returns {*|null}
+ */
+const findByCode = (map, code) => map[code] || map[code.split('-')[0]] || null;
+
+/**
+ * Describes what the app can do with one language
+ * @param {string} code - Language code
+ * @param {Object} info - { name, nativeName, dir }
+ * @param {boolean} translation - Whether the provider translates text in this language
+ * @returns {Object}
+ */
+const describeLanguage = (code, info, translation) => {
+  const speechLocale = findByCode(speechRecognitionLocales, code);
+  const voice = findByCode(speechSynthesisVoices, code);
+  const script = getNativeScript(code);
+  return {
+    code,
+    name: info.name || code,
+    nativeName: info.nativeName || info.name || code,
+    dir: info.dir || 'ltr',
+    translation,
+    speechRecognition: Boolean(speechLocale),
+    speechSynthesis: Boolean(voice),
+    transliteration: translation && Boolean(script),
+    speechLocale,
+    voice,
+    script
+  };
+};
+
+/**
+ * Builds the catalog from a provider language list plus the static speech and script data.
+ * The version only changes when the content does, so clients can cache by it.
+ * @param {Object} translationLanguages - Map of language code to { name, nativeName, dir }
+ * @param {string} source - 'live' or 'snapshot'
+ * @returns {{version: string, source: string, updatedAt: string, languages: Object[]}}
+ */
+const buildCatalog = (translationLanguages, source) => {
+  const languages = Object.entries(translationLanguages)
+    .map(([code, info]) => describeLanguage(code, info, true));
+
+  // Speech-only languages, unless a translation language already covers them ('zh' by 'zh-Hans')
+  const covered = new Set(languages.flatMap(({ code }) => [code, code.split('-')[0]]));
+  Object.keys({ ...speechRecognitionLocales, ...speechSynthesisVoices })
+    .filter(code => !covered.has(code))
+    .forEach(code => {
+      const info = speechOnlyLanguageNames[code] || snapshot.translation[code] || {};
+      languages.push(describeLanguage(code, info, false));
+    });
+  languages.sort((a, b) => a.code.localeCompare(b.code));
+
+  return {
+    version: crypto.createHash('sha1').update(JSON.stringify(languages)).digest('hex').slice(0, 12),
+    source,
+    updatedAt: new Date().toISOString(),
+    languages
+  };
+};
+
+/**
+ * Rebuilds the catalog from the provider's live list. When the provider is
+ * unreachable the previous catalog, or else the offline snapshot, is kept for
+ * a shorter while before trying again.
+ * @returns {Promise<Object>}
+ */
+const refreshCatalog = async () => {
+  try {
+    const live = await getSupportedLanguages();
+    if (!live || Object.keys(live).length === 0) {
+      throw new Error('Provider returned no languages');
+    }
+    cached = { catalog: buildCatalog(live, 'live'), expiresAt: Date.now() + languageCatalog.ttl };
+  } catch (err) {
+    console.error(`Failed to load supported languages, serving the ${cached ? 'cached' : 'offline'} catalog:`, err.message);
+    const catalog = cached ? cached.catalog : buildCatalog(snapshot.translation, 'snapshot');
+    cached = { catalog, expiresAt: Date.now() + languageCatalog.retryDelay };
+  }
+  return cached.catalog;
+};
+
+/**
+ * Returns the language catalog: per language its names, text direction and whether
+ * translation, speech recognition, speech synthesis and transliteration are available
+ * @returns {Promise<{version: string, source: string, updatedAt: string, languages: Object[]}>}
+ */
+const getLanguageCatalog = async () => {
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.catalog;
+  }
+  if (!refreshing) {
+    refreshing = refreshCatalog().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+/**
+ * Lists the languages text can be translated into, in the provider's map format
+ * @returns {Promise<Object>} - Map of language code to { name, nativeName, dir }
+ */
+const getTranslationLanguages = async () => {
+  const { languages } = await getLanguageCatalog();
+  return Object.fromEntries(languages
+    .filter(language => language.translation)
+    .map(({ code, name, nativeName, dir }) => [code, { name, nativeName, dir }]));
+};
+
+module.exports = {
+  getLanguageCatalog,
+  getTranslationLanguages
+};
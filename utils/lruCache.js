@@ -0,0 +1,50 @@
+/**
+ * Small in-process LRU cache with per-entry expiry.
+ * Relies on Map preserving insertion order: the first key is the least recently used.
+ * @param {Object} options
+ * @param {number} options.max - Maximum number of entries
+ * @param {number} options.ttl - Entry lifetime in milliseconds
+ * @returns {Object}
+ */
+const createLruCache = ({ max, ttl }) => {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (Date.now() - entry.timestamp >= ttl) {
+      entries.delete(key);
+      return undefined;
+    }
+    // Move to the most recently used position
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+    entries.set(key, { value, timestamp: Date.now() });
+    while (entries.size > max) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  const del = (key) => entries.delete(key);
+
+  const clear = () => entries.clear();
+
+  return {
+    get,
+    set,
+    delete: del,
+    clear,
+    get size() {
+      return entries.size;
+    }
+  };
+};
+
+module.exports = { createLruCache };
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const TranslationCorrection = require('../models/TranslationCorrection');
+const { resolveMessageLanguage } = require('./translator');
+const { normalizeIncomingMessage, buildRomanizations } = require('./transliterator');
+const { getRecipients, markTranslationsPending, translateInBackground } = require('./progressiveTranslation');
+const { getReadingPreferences, renderForRecipient } = require('./conversationSettings');
+const { isRoomMember, isRoomAdmin, getRoomMemberIds } = require('./rooms');
+const { emitToUser } = require('../socket/emitter');
+const { editWindow } = require('../config/messages');
+
+/**
+ * Creates an error carrying the HTTP status the caller should answer with
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+const createMessageError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Returns what is left of a deleted message: who sent it where and when, without its text
+ * @param {Object} message - Chat message or its plain object
+ * @returns {Object}
+ */
+const toTombstone = (message) => ({
+  _id: message._id,
+  sender: message.sender,
+  receiver: message.receiver,
+  room: message.room,
+  isGroupMessage: message.isGroupMessage,
+  timestamp: message.timestamp,
+  deleted: true,
+  deletedAt: message.deletedAt,
+  deletedBy: message.deletedBy
+});
+
+/**
+ * Loads a message that can still be changed
+ * @param {string} messageId
+ * @returns {Promise<Object>} - Chat message
+ */
+const findLiveMessage = async (messageId) => {
+  const message = mongoose.Types.ObjectId.isValid(messageId) ? await Chat.findById(messageId) : null;
+  if (!message) {
+    throw createMessageError(404, 'Message not found');
+  }
+  if (message.deletedAt) {
+    throw createMessageError(410, 'Message was deleted');
+  }
+  return message;
+};
+
+/**
+ * Drops the pending translation corrections of a message whose text changed or went away
+ * @param {Object} message - Chat message
+ * @param {string} userId - User who changed it
+ */
+const rejectPendingCorrections = async (message, userId) => {
+  await TranslationCorrection.updateMany(
+    { message: message._id, status: 'pending' },
+    { $set: { status: 'rejected', reviewedBy: userId, reviewedAt: new Date() } }
+  );
+};
+
+/**
+ * Replaces the text of a message (its sender only, within the edit window). The previous
+ * text goes to the edit history and every language the message was translated into is
+ * translated again in the background; recipients get a 'messageEdited' event followed
+ * by the usual 'messageTranslated' ones.
+ * @param {Object} params
+ * @param {string} params.messageId - Chat message ID
+ * @param {string} params.text - New message text
+ * @param {string} params.userId - Editing user
+ * @returns {Promise<Object>} - The updated message
+ */
+const editMessage = async ({ messageId, text, userId }) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw createMessageError(400, 'Message content is required');
+  }
+
+  const message = await findLiveMessage(messageId);
+  if (message.sender.toString() !== userId || (message.room && !(await isRoomMember(message.room, userId)))) {
+    throw createMessageError(403, 'Only the sender can edit this message');
+  }
+  if (editWindow > 0 && Date.now() - message.timestamp.getTime() > editWindow) {
+    throw createMessageError(403, `Messages can only be edited within ${Math.round(editWindow / 60000)} minutes of sending`);
+  }
+  if (text === message.originalContent) {
+    throw createMessageError(400, 'Message is unchanged');
+  }
+
+  // Same detection and romanization handling as a new message
+  const sender = await User.findById(userId).select('preferredLanguage');
+  const senderLanguage = sender?.preferredLanguage || 'en';
+  const detection = await resolveMessageLanguage(text, senderLanguage);
+  const normalized = await normalizeIncomingMessage(text, detection, senderLanguage);
+  const originalLanguage = normalized.language;
+
+  // Every language readers already had, including the old original language if it changed
+  const languages = [...message.translations.keys()].filter(language => language !== originalLanguage);
+
+  const editedAt = new Date();
+  message.editHistory.push({
+    originalContent: message.originalContent,
+    originalLanguage: message.originalLanguage,
+    editedAt
+  });
+  message.editedAt = editedAt;
+  message.originalContent = text;
+  message.content = text;
+  message.originalLanguage = originalLanguage;
+  message.detectedLanguage = detection.detectedLanguage;
+  message.languageConfidence = detection.confidence;
+  message.languageUncertain = detection.uncertain && !normalized.isRomanized;
+  message.normalizedContent = normalized.isRomanized ? normalized.text : undefined;
+  message.isRomanized = normalized.isRomanized;
+  message.translations = new Map([[originalLanguage, normalized.text]]);
+  message.romanizations = await buildRomanizations(message.translations);
+  message.translationProviders = new Map();
+  message.failedTranslations = [];
+  message.translationAttempts = 0;
+  markTranslationsPending(message, languages);
+  await message.save();
+  await rejectPendingCorrections(message, userId);
+
+  const update = {
+    messageId: message._id,
+    room: message.room,
+    receiver: message.receiver,
+    originalContent: message.originalContent,
+    originalLanguage,
+    isRomanized: message.isRomanized,
+    languageConfidence: message.languageConfidence,
+    languageUncertain: message.languageUncertain,
+    translations: Object.fromEntries(message.translations),
+    translationProviders: Object.fromEntries(message.translationProviders),
+    translationStatus: message.translationStatus,
+    pendingTranslations: message.pendingTranslations,
+    editedAt
+  };
+  const recipients = await getRecipients(message);
+  const preferences = await getReadingPreferences(recipients, message);
+  recipients.forEach(user => {
+    // The sender keeps seeing what they wrote
+    const rendering = user._id.toString() === userId
+      ? { content: message.originalContent }
+      : renderForRecipient(message, preferences.get(user._id.toString()));
+    emitToUser(user._id, 'messageEdited', { ...update, ...rendering });
+  });
+
+  if (message.translationStatus === 'pending') {
+    translateInBackground(message);
+  }
+  return message;
+};
+
+/**
+ * Deletes a message for everyone (its sender, or an admin of its room). The message
+ * stays stored as a tombstone and recipients get a 'messageDeleted' event.
+ * @param {Object} params
+ * @param {string} params.messageId - Chat message ID
+ * @param {string} params.userId - Deleting user
+ * @returns {Promise<Object>} - The tombstone
+ */
+const deleteMessage = async ({ messageId, userId }) => {
+  const message = await findLiveMessage(messageId);
+  const isSender = message.sender.toString() === userId;
+  if (!isSender && !(message.room && await isRoomAdmin(message.room, userId))) {
+    throw createMessageError(403, 'Not allowed to delete this message');
+  }
+
+  message.deletedAt = new Date();
+  message.deletedBy = userId;
+  await message.save();
+  await rejectPendingCorrections(message, userId);
+
+  const tombstone = toTombstone(message);
+  const audience = message.room
+    ? await getRoomMemberIds(message.room)
+    : [message.sender, message.receiver].filter(Boolean).map(id => id.toString());
+  new Set([...audience, userId]).forEach(recipientId => emitToUser(recipientId, 'messageDeleted', {
+    messageId: message._id,
+    ...tombstone
+  }));
+  return tombstone;
+};
+
+module.exports = {
+  toTombstone,
+  editMessage,
+  deleteMessage
+};
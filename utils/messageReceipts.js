@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const { isRoomMember } = require('./rooms');
+const { emitToUser } = require('../socket/emitter');
+
+// Messages one delivery acknowledgement or read report may cover
+const MAX_RECEIPT_BATCH = 500;
+
+/**
+ * Creates an error carrying the HTTP status the caller should answer with
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+const createReceiptError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Receipts of a new message: one per recipient, all in the 'sent' state
+ * @param {Array<string|Object>} recipientIds - Users the message is addressed to, without the sender
+ * @returns {Object[]}
+ */
+const createReceipts = (recipientIds) => recipientIds.map(userId => ({ user: userId }));
+
+/**
+ * Sums up a message's receipts for its sender: 'read' once every recipient read it,
+ * 'delivered' once it reached every recipient, else 'sent'. Groups show the counts
+ * as "read by N of M".
+ * @param {Object} message - Chat message
+ * @returns {{messageId: Object, room?: string, receiver?: Object, status: string, recipients: number, delivered: number, read: number}}
+ */
+const summarizeReceipts = (message) => {
+  const receipts = message.receipts || [];
+  const delivered = receipts.filter(receipt => receipt.deliveredAt).length;
+  const read = receipts.filter(receipt => receipt.readAt).length;
+  let status = 'sent';
+  if (receipts.length > 0 && read === receipts.length) {
+    status = 'read';
+  } else if (receipts.length > 0 && delivered === receipts.length) {
+    status = 'delivered';
+  }
+  return {
+    messageId: message._id,
+    room: message.room,
+    receiver: message.receiver,
+    status,
+    recipients: receipts.length,
+    delivered,
+    read
+  };
+};
+
+/**
+ * Pushes the receipts of updated messages to their senders, one event per sender
+ * @param {Object[]} messageIds - Messages whose receipts changed
+ */
+const notifySenders = async (messageIds) => {
+  if (messageIds.length === 0) {
+    return;
+  }
+  const messages = await Chat.find({ _id: { $in: messageIds } }).select('sender room receiver receipts');
+  const bySender = new Map();
+  messages.forEach(message => {
+    const senderId = message.sender.toString();
+    if (!bySender.has(senderId)) {
+      bySender.set(senderId, []);
+    }
+    bySender.get(senderId).push(summarizeReceipts(message));
+  });
+  bySender.forEach((receipts, senderId) => emitToUser(senderId, 'messageReceipts', { receipts }));
+};
+
+/**
+ * Records that messages reached a recipient's device and tells their senders
+ * @param {string} userId - Recipient
+ * @param {string[]} messageIds - Messages the recipient acknowledged
+ * @returns {Promise<number>} - Number of messages newly marked as delivered
+ */
+const markDelivered = async (userId, messageIds) => {
+  if (!Array.isArray(messageIds) || messageIds.length > MAX_RECEIPT_BATCH
+    || !messageIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    throw createReceiptError(400, `messageIds must be a list of at most ${MAX_RECEIPT_BATCH} message IDs`);
+  }
+
+  const recipient = new mongoose.Types.ObjectId(userId);
+  const pending = (await Chat.find({
+    _id: { $in: messageIds },
+    receipts: { $elemMatch: { user: recipient, deliveredAt: { $exists: false } } }
+  }).select('_id')).map(message => message._id);
+  if (pending.length === 0) {
+    return 0;
+  }
+
+  await Chat.updateMany(
+    { _id: { $in: pending } },
+    { $set: { 'receipts.$[receipt].deliveredAt': new Date() } },
+    { arrayFilters: [{ 'receipt.user': recipient, 'receipt.deliveredAt': { $exists: false } }] }
+  );
+  await notifySenders(pending);
+  return pending.length;
+};
+
+/**
+ * Records how far a user has read a conversation: every message addressed to them up
+ * to and including the given one counts as read. Users who turned read receipts off
+ * are only reported as having received the messages.
+ * @param {string} userId - Reader
+ * @param {Object} position
+ * @param {string} [position.roomId] - Room being read
+ * @param {string} [position.partnerId] - Other user of a direct conversation being read
+ * @param {string} position.messageId - Latest message the user has seen
+ * @returns {Promise<number>} - Number of messages newly marked as read (or delivered)
+ */
+const markRead = async (userId, { roomId, partnerId, messageId }) => {
+  if (!roomId && !partnerId) {
+    throw createReceiptError(400, 'Either roomId or userId is required');
+  }
+  if (!mongoose.Types.ObjectId.isValid(messageId) || (partnerId && !mongoose.Types.ObjectId.isValid(partnerId))) {
+    throw createReceiptError(400, 'A valid messageId is required');
+  }
+  if (roomId && !(await isRoomMember(roomId, userId))) {
+    throw createReceiptError(403, 'Not a member of this room');
+  }
+
+  const reader = new mongoose.Types.ObjectId(userId);
+  const conversation = roomId
+    ? { room: roomId }
+    : { sender: partnerId, receiver: reader, room: { $exists: false } };
+  // The position may be any message of the conversation, including the reader's own
+  const position = await Chat.findById(messageId).select('sender receiver room timestamp');
+  const participants = position && !position.room
+    ? [position.sender.toString(), position.receiver?.toString()].sort().join(':')
+    : null;
+  if (!position || (roomId ? position.room !== roomId : participants !== [userId, partnerId].sort().join(':'))) {
+    throw createReceiptError(404, 'Message not found');
+  }
+
+  const user = await User.findById(userId).select('readReceipts');
+  const sharesReads = user?.readReceipts !== false;
+  const stateField = sharesReads ? 'readAt' : 'deliveredAt';
+
+  const unread = (await Chat.find({
+    ...conversation,
+    timestamp: { $lte: position.timestamp },
+    receipts: { $elemMatch: { user: reader, [stateField]: { $exists: false } } }
+  })
+    .sort({ timestamp: -1 })
+    .limit(MAX_RECEIPT_BATCH)
+    .select('_id')).map(message => message._id);
+  if (unread.length === 0) {
+    return 0;
+  }
+
+  const now = new Date();
+  // Reading a message implies it was delivered
+  await Chat.updateMany(
+    { _id: { $in: unread } },
+    { $set: { 'receipts.$[receipt].deliveredAt': now } },
+    { arrayFilters: [{ 'receipt.user': reader, 'receipt.deliveredAt': { $exists: false } }] }
+  );
+  if (sharesReads) {
+    await Chat.updateMany(
+      { _id: { $in: unread } },
+      { $set: { 'receipts.$[receipt].readAt': now } },
+      { arrayFilters: [{ 'receipt.user': reader, 'receipt.readAt': { $exists: false } }] }
+    );
+  }
+  await notifySenders(unread);
+  return unread.length;
+};
+
+/**
+ * Lists who received and read a message (its sender only)
+ * @param {string} messageId
+ * @param {string} userId - Requesting user
+ * @returns {Promise<Object>} - The summary with a per-recipient list
+ */
+const getMessageReceipts = async (messageId, userId) => {
+  const message = mongoose.Types.ObjectId.isValid(messageId)
+    ? await Chat.findById(messageId).select('sender room receiver receipts').populate('receipts.user', 'username')
+    : null;
+  if (!message || message.sender.toString() !== userId) {
+    throw createReceiptError(404, 'Message not found');
+  }
+  return {
+    ...summarizeReceipts(message),
+    receipts: message.receipts.map(receipt => ({
+      userId: receipt.user?._id || receipt.user,
+      username: receipt.user?.username,
+      deliveredAt: receipt.deliveredAt || null,
+      readAt: receipt.readAt || null
+    }))
+  };
+};
+
+module.exports = {
+  createReceipts,
+  summarizeReceipts,
+  markDelivered,
+  markRead,
+  getMessageReceipts
+};
@@ -0,0 +1,343 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const SyncCursor = require('../models/SyncCursor');
+const { translateHistory } = require('./historyTranslator');
+const { getReadingPreferences, renderForRecipient, understands } = require('./conversationSettings');
+const { isRoomMember, getUserRoomIds } = require('./rooms');
+const { toTombstone } = require('./messageEdits');
+const { summarizeReceipts, markDelivered } = require('./messageReceipts');
+const { historyCharacterBudget } = require('../config/translation');
+const { sync } = require('../config/messages');
+
+// Messages markDelivered accepts at once
+const DELIVERY_BATCH = 500;
+
+/**
+ * Creates an error carrying the HTTP status the caller should answer with
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+const createSyncError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Returns the device a socket belongs to, from the client's handshake auth.
+ * Clients that send none share one cursor per user.
+ * @param {Object} socket - Socket connection
+ * @returns {string}
+ */
+const getDeviceId = (socket) => {
+  const deviceId = socket.handshake?.auth?.deviceId;
+  return typeof deviceId === 'string' && /^[\w-]{1,100}$/.test(deviceId) ? deviceId : 'default';
+};
+
+/**
+ * Builds the query of a conversation's messages as seen by a user
+ * @param {string} userId
+ * @param {Object} conversation - { room } or { partner }
+ * @returns {Object}
+ */
+const getConversationQuery = (userId, { room, partner }) => (room
+  ? { room }
+  : {
+    $or: [
+      { sender: userId, receiver: partner },
+      { sender: partner, receiver: userId }
+    ],
+    room: { $exists: false }
+  });
+
+/**
+ * Prepares a stored message for a reader the way chat history shows it: deleted messages
+ * as tombstones, the sender's own messages with their receipts, and the reader's rendering
+ * @param {Object} message - Chat message with sender populated
+ * @param {Object} preference - From getReadingPreferences
+ * @param {string} userId - Reader
+ * @returns {Object}
+ */
+const renderHistoryMessage = (message, preference, userId) => {
+  if (message.deletedAt) {
+    return toTombstone(message);
+  }
+  const messageObj = message.toObject();
+  delete messageObj.receipts;
+  if ((message.sender._id || message.sender).toString() === userId) {
+    messageObj.receipt = summarizeReceipts(message);
+  }
+
+  const { language, displayMode } = preference;
+  if (displayMode !== 'original' && !understands(preference, messageObj.originalLanguage || 'en')
+    && !(messageObj.translations && messageObj.translations.has(language))) {
+    messageObj.needsTranslation = true;
+  }
+
+  return { ...messageObj, ...renderForRecipient(messageObj, preference) };
+};
+
+/**
+ * Builds the query of the messages after a cursor position, in (timestamp, _id) order.
+ * Positions without an ID, from the registration or older cursors, compare by time only.
+ * @param {{at: Date, id?: Object}} position
+ * @returns {Object}
+ */
+const afterPosition = ({ at, id }) => (id
+  ? { $or: [{ timestamp: { $gt: at } }, { timestamp: at, _id: { $gt: id } }] }
+  : { timestamp: { $gt: at } });
+
+/**
+ * Moves a cursor forward to a message. Cursors never move back, so acknowledgements
+ * may arrive in any order.
+ * @param {Object} filter - Device and conversation of the cursor
+ * @param {Object} message - Chat message with its timestamp
+ */
+const moveCursor = async (filter, message) => {
+  const behind = {
+    ...filter,
+    $or: [
+      { lastMessageAt: { $lt: message.timestamp } },
+      { lastMessageAt: message.timestamp, lastMessageId: { $not: { $gte: message._id } } }
+    ]
+  };
+  const update = { $set: { lastMessageAt: message.timestamp, lastMessageId: message._id } };
+  try {
+    await SyncCursor.updateOne(behind, update, { upsert: true });
+  } catch (err) {
+    // The cursor is already past the message, or another acknowledgement created it first
+    if (err.code !== 11000) {
+      throw err;
+    }
+    await SyncCursor.updateOne(behind, update);
+  }
+};
+
+/**
+ * Moves a device's cursor of a conversation up to an acknowledged message, and
+ * remembers that the device acknowledges what it receives
+ * @param {string} userId
+ * @param {string} device - From getDeviceId
+ * @param {string} messageId - Latest message the device received in its conversation
+ */
+const advanceSyncCursor = async (userId, device, messageId) => {
+  const message = mongoose.Types.ObjectId.isValid(messageId)
+    ? await Chat.findById(messageId).select('sender receiver room timestamp')
+    : null;
+  const isParticipant = message && (message.room
+    ? await isRoomMember(message.room, userId)
+    : [message.sender.toString(), message.receiver?.toString()].includes(userId));
+  if (!isParticipant) {
+    throw createSyncError(404, 'Message not found');
+  }
+
+  await moveCursor({
+    user: userId,
+    device,
+    room: message.room || null,
+    partner: message.room ? null : (message.sender.toString() === userId ? message.receiver : message.sender)
+  }, message);
+  await SyncCursor.updateOne({ user: userId, device, room: null, partner: null }, { $set: { acknowledges: true } });
+};
+
+/**
+ * Loads a device's cursors, registering the device on its first connection.
+ * Nothing before the registration counts as missed; the client loads that history itself.
+ * @param {string} userId
+ * @param {string} device
+ * @returns {Promise<{since: Date, changesSince: Date, acknowledges: boolean, cursors: Map<string, Object>}>}
+ *   Cursor positions ({ at, id }) keyed by room ID or partner ID
+ */
+const loadCursors = async (userId, device) => {
+  const now = new Date();
+  const registration = await SyncCursor.findOneAndUpdate(
+    { user: userId, device, room: null, partner: null },
+    { $setOnInsert: { lastMessageAt: now, changesSyncedAt: now } },
+    { upsert: true, new: true }
+  );
+  const cursors = new Map();
+  (await SyncCursor.find({ user: userId, device, _id: { $ne: registration._id } })).forEach(cursor => {
+    cursors.set(cursor.room || cursor.partner.toString(), { at: cursor.lastMessageAt, id: cursor.lastMessageId });
+  });
+  return {
+    since: registration.lastMessageAt,
+    changesSince: registration.changesSyncedAt || registration.lastMessageAt,
+    acknowledges: registration.acknowledges,
+    cursors
+  };
+};
+
+/**
+ * Lists the conversations that may have messages for a user since a time: their
+ * rooms, and direct conversations with new, edited or deleted messages in either direction
+ * @param {string} userId
+ * @param {Date} since
+ * @param {Date} changesSince
+ * @returns {Promise<Object[]>} - { room } or { partner } each
+ */
+const findConversations = async (userId, since, changesSince) => {
+  const direct = {
+    room: { $exists: false },
+    $or: [
+      { timestamp: { $gt: since } },
+      { editedAt: { $gt: changesSince } },
+      { deletedAt: { $gt: changesSince } }
+    ]
+  };
+  const [roomIds, senders, receivers] = await Promise.all([
+    getUserRoomIds(userId),
+    Chat.distinct('sender', { ...direct, receiver: userId }),
+    Chat.distinct('receiver', { ...direct, sender: userId })
+  ]);
+  const partners = new Set([...senders, ...receivers].filter(Boolean).map(id => id.toString()));
+  return [
+    ...roomIds.map(room => ({ room })),
+    ...[...partners].map(partner => ({ partner }))
+  ];
+};
+
+/**
+ * Loads up to limit + 1 messages of a query in (timestamp, _id) order, ready to render
+ * @param {Object} query
+ * @param {number} limit
+ * @returns {Promise<Object[]>}
+ */
+const findSyncMessages = (query, limit) => Chat.find(query)
+  .sort({ timestamp: 1, _id: 1 })
+  .limit(limit + 1)
+  .populate('sender', 'username preferredLanguage')
+  .populate('receiver', 'username preferredLanguage');
+
+/**
+ * Pushes the messages a device missed while it was offline, per conversation in
+ * 'syncMessages' batches and rendered in the user's current language, then messages
+ * it already had that were edited or deleted since its last sync in 'syncChanges'
+ * batches, then 'syncComplete'. Each device acknowledges what it received with
+ * 'syncAck', so every device of a user catches up on its own; for devices that never
+ * acknowledge, whatever was pushed counts as received.
+ * @param {Object} socket - Authenticated socket connection
+ * @returns {Promise<{messages: number, changes: number, truncated: boolean}>}
+ */
+const syncMissedMessages = async (socket) => {
+  const userId = socket.user.userId;
+  const device = getDeviceId(socket);
+  // Changes made from here on reach the connected device live
+  const startedAt = new Date();
+  const { since, changesSince, acknowledges, cursors } = await loadCursors(userId, device);
+  const user = await User.findById(userId);
+  if (!user) {
+    return { messages: 0, changes: 0, truncated: false };
+  }
+
+  const conversations = await findConversations(userId, since, changesSince);
+  let remaining = sync.maxMessages;
+  let budget = historyCharacterBudget;
+  let total = 0;
+  let totalChanges = 0;
+  let truncated = false;
+
+  for (const conversation of conversations) {
+    if (remaining <= 0) {
+      truncated = true;
+      break;
+    }
+    const cursor = cursors.get(conversation.room || conversation.partner);
+    const position = cursor && cursor.at > since ? cursor : { at: since };
+    const query = getConversationQuery(userId, conversation);
+    const messages = await findSyncMessages({ $and: [query, afterPosition(position)] }, remaining);
+    if (messages.length > remaining) {
+      messages.length = remaining;
+      truncated = true;
+    }
+    remaining -= messages.length;
+
+    const changes = remaining > 0
+      ? await findSyncMessages({
+        $and: [
+          query,
+          { $nor: [afterPosition(position)] },
+          { $or: [{ editedAt: { $gt: changesSince } }, { deletedAt: { $gt: changesSince } }] }
+        ]
+      }, remaining)
+      : [];
+    if (changes.length > remaining) {
+      changes.length = remaining;
+      truncated = true;
+    }
+    remaining -= changes.length;
+
+    if (messages.length === 0 && changes.length === 0) {
+      continue;
+    }
+    total += messages.length;
+    totalChanges += changes.length;
+
+    const preference = (await getReadingPreferences([user], {
+      room: conversation.room,
+      sender: userId,
+      receiver: conversation.partner
+    })).get(userId);
+    if (preference.displayMode !== 'original' && budget > 0) {
+      const { characters } = await translateHistory([...messages, ...changes], preference.language, {
+        userId,
+        budget,
+        understoodLanguages: preference.understoodLanguages
+      });
+      budget -= characters;
+    }
+
+    const target = conversation.room ? { roomId: conversation.room } : { userId: conversation.partner };
+    for (let i = 0; i < messages.length; i += sync.batchSize) {
+      socket.emit('syncMessages', {
+        ...target,
+        messages: messages.slice(i, i + sync.batchSize).map(message => renderHistoryMessage(message, preference, userId)),
+        final: i + sync.batchSize >= messages.length
+      });
+    }
+    for (let i = 0; i < changes.length; i += sync.batchSize) {
+      socket.emit('syncChanges', {
+        ...target,
+        messages: changes.slice(i, i + sync.batchSize).map(message => renderHistoryMessage(message, preference, userId)),
+        final: i + sync.batchSize >= changes.length
+      });
+    }
+
+    // Pushed to a connected device, so they count as delivered
+    const undelivered = messages
+      .filter(message => message.receipts.some(receipt => receipt.user.toString() === userId && !receipt.deliveredAt))
+      .map(message => message._id.toString());
+    for (let i = 0; i < undelivered.length; i += DELIVERY_BATCH) {
+      await markDelivered(userId, undelivered.slice(i, i + DELIVERY_BATCH));
+    }
+
+    // Otherwise a device that never acknowledges would get the same messages on every reconnect
+    if (!acknowledges && messages.length > 0) {
+      await moveCursor({
+        user: userId,
+        device,
+        room: conversation.room || null,
+        partner: conversation.partner || null
+      }, messages[messages.length - 1]);
+    }
+  }
+
+  // Changes left out by the limit follow on the next reconnect
+  if (!truncated) {
+    await SyncCursor.updateOne(
+      { user: userId, device, room: null, partner: null },
+      { $set: { changesSyncedAt: startedAt } }
+    );
+  }
+
+  socket.emit('syncComplete', { device, messages: total, changes: totalChanges, truncated });
+  return { messages: total, changes: totalChanges, truncated };
+};
+
+module.exports = {
+  getDeviceId,
+  renderHistoryMessage,
+  advanceSyncCursor,
+  syncMissedMessages
+};
@@ -0,0 +1,92 @@
+// Spans that must reach the reader exactly as written. Order matters: earlier
+// patterns claim their text first, so a URL inside inline code stays code.
+const TOKEN_PATTERNS = [
+  { type: 'codeBlock', pattern: /```[\s\S]*?```/g },
+  { type: 'inlineCode', pattern: /`[^`\n]+`/g },
+  { type: 'url', pattern: /\b(?:https?:\/\/|www\.)[^\s<>()]+(?:\([^\s<>()]*\)[^\s<>()]*)*/gi },
+  { type: 'email', pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  // \p{M} keeps combining vowel signs of Indic scripts inside the name ("@राम")
+  { type: 'mention', pattern: /(?<![\p{L}\p{M}\p{N}_])@[\p{L}\p{M}\p{N}_.-]+/gu },
+  { type: 'hashtag', pattern: /(?<![\p{L}\p{M}\p{N}_])#[\p{L}\p{M}\p{N}_]+/gu },
+  { type: 'emoji', pattern: /\p{Extended_Pictographic}(?:\u{FE0F}|[\u{1F3FB}-\u{1F3FF}]|\u200D\p{Extended_Pictographic})*/gu }
+];
+
+// Markdown emphasis we translate as HTML so providers keep the markers around the right words
+const MARKDOWN_TO_HTML = [
+  { pattern: /\*\*(?=\S)([\s\S]*?\S)\*\*/g, tag: 'b' },
+  { pattern: /~~(?=\S)([\s\S]*?\S)~~/g, tag: 's' },
+  { pattern: /(?<![*\p{L}\p{N}])\*(?=\S)([^*\n]*?\S)\*(?![*\p{L}\p{N}])/gu, tag: 'i' }
+];
+
+const HTML_TO_MARKDOWN = { b: '**', s: '~~', i: '*' };
+
+const RICH_FORMATTING_REGEX = /\*\*\S|~~\S|(?<![*\p{L}\p{N}])\*\S[^*\n]*\*/u;
+
+/**
+ * Finds the non-translatable spans of a message
+ * @param {string} text - Message text
+ * @returns {Array<{start: number, end: number, restoreAs: string, type: string}>}
+ */
+const tokenizeMessage = (text) => {
+  const spans = [];
+  TOKEN_PATTERNS.forEach(({ type, pattern }) => {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (!spans.some(span => start < span.end && end > span.start)) {
+        spans.push({ start, end, restoreAs: match[0], type });
+      }
+    }
+  });
+  return spans.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Whether a text carries markdown emphasis that should be translated as HTML
+ * @param {string} text
+ * @returns {boolean}
+ */
+const hasRichFormatting = (text) => RICH_FORMATTING_REGEX.test(text);
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const unescapeHtml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Converts markdown emphasis to HTML, escaping everything else
+ * @param {string} text - Text with placeholders already in place
+ * @returns {string}
+ */
+const markdownToHtml = (text) => MARKDOWN_TO_HTML.reduce(
+  (html, { pattern, tag }) => html.replace(pattern, `<${tag}>$1</${tag}>`),
+  escapeHtml(text)
+);
+
+/**
+ * Converts a translated HTML fragment back to markdown text
+ * @param {string} html - Provider output
+ * @returns {string}
+ */
+const htmlToMarkdown = (html) => unescapeHtml(
+  html.replace(/<(b|s|i)>\s*([\s\S]*?)\s*<\/\1>/gi, (match, tag, inner) => {
+    const marker = HTML_TO_MARKDOWN[tag.toLowerCase()];
+    return `${marker}${inner}${marker}`;
+  })
+);
+
+module.exports = {
+  tokenizeMessage,
+  hasRichFormatting,
+  markdownToHtml,
+  htmlToMarkdown
+};
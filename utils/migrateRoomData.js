@@ -0,0 +1,57 @@
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const connectDB = require('../config/db');
+const Chat = require('../models/Chat');
+const Room = require('../models/Room');
+
+// Create Room documents for rooms that only exist as strings on messages.
+// Everyone who wrote in a room becomes a member; the first writer owns it.
+const migrateRoomData = async () => {
+  try {
+    await connectDB();
+    console.log('Starting migration of room data...');
+    
+    const roomIds = await Chat.distinct('room', { room: { $exists: true, $ne: null } });
+    const existing = new Set(await Room.find({ _id: { $in: roomIds } }).distinct('_id'));
+    const legacyRoomIds = roomIds.filter(roomId => !existing.has(roomId));
+    
+    console.log(`Found ${legacyRoomIds.length} rooms to migrate`);
+    
+    for (const roomId of legacyRoomIds) {
+      try {
+        // Senders in order of their first message in the room
+        const senders = await Chat.aggregate([
+          { $match: { room: roomId } },
+          { $group: { _id: '$sender', firstMessageAt: { $min: '$timestamp' } } },
+          { $sort: { firstMessageAt: 1 } }
+        ]);
+        
+        await Room.create({
+          _id: roomId,
+          name: roomId,
+          createdBy: senders[0]?._id,
+          members: senders.map((sender, i) => ({
+            user: sender._id,
+            role: i === 0 ? 'owner' : 'member',
+            joinedAt: sender.firstMessageAt
+          }))
+        });
+        console.log(`Migrated room ${roomId} with ${senders.length} members`);
+      } catch (err) {
+        console.error(`Error migrating room ${roomId}:`, err);
+      }
+    }
+    
+    console.log('Room data migration completed');
+    process.exit(0);
+  } catch (err) {
+    console.error('Error during room data migration:', err);
+    process.exit(1);
+  }
+};
+
+// Run migration
+migrateRoomData();
@@ -0,0 +1,210 @@
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const { translateToMany } = require('./translator');
+const { buildRomanizations } = require('./transliterator');
+const { getReadingPreferences, renderForRecipient } = require('./conversationSettings');
+const { getRoomMemberIds } = require('./rooms');
+const { emitToUser } = require('../socket/emitter');
+const { delivery } = require('../config/translation');
+
+let retryTimer = null;
+
+/**
+ * Marks the languages a new message still has to be translated into, before it is saved
+ * @param {Object} message - Unsaved chat message
+ * @param {String[]} languages - Target languages
+ */
+const markTranslationsPending = (message, languages) => {
+  message.pendingTranslations = languages;
+  message.translationStatus = languages.length > 0 ? 'pending' : 'complete';
+  // Keeps the retry sweep away while the first attempt runs
+  message.nextTranslationAttemptAt = languages.length > 0 ? new Date(Date.now() + delivery.retryBaseDelay) : undefined;
+};
+
+/**
+ * Users who receive a message, with their language preferences: the room's
+ * current members, or both sides of a direct conversation
+ * @param {Object} message - Chat message
+ * @returns {Promise<Object[]>}
+ */
+const getRecipients = async (message) => {
+  const userIds = message.room
+    ? await getRoomMemberIds(message.room)
+    : [message.sender, message.receiver].filter(Boolean);
+  return User.find({ _id: { $in: userIds } }).select('_id preferredLanguage understoodLanguages scriptPreference');
+};
+
+/**
+ * Pushes the translation state of a message to everyone who received it
+ * @param {Object} message - Chat message
+ */
+const emitMessageTranslated = async (message) => {
+  const update = {
+    messageId: message._id,
+    room: message.room,
+    receiver: message.receiver,
+    translationStatus: message.translationStatus,
+    pendingTranslations: message.pendingTranslations,
+    failedTranslations: message.failedTranslations,
+    translations: Object.fromEntries(message.translations),
+    romanizations: Object.fromEntries(message.romanizations),
+    translationProviders: Object.fromEntries(message.translationProviders)
+  };
+
+  const recipients = await getRecipients(message);
+  const preferences = await getReadingPreferences(recipients, message);
+  recipients.forEach(user => {
+    const isSender = user._id.toString() === message.sender.toString();
+    // The sender keeps seeing what they wrote
+    const rendering = isSender
+      ? { content: message.originalContent }
+      : renderForRecipient(message, preferences.get(user._id.toString()));
+    emitToUser(user._id, 'messageTranslated', { ...update, ...rendering });
+  });
+};
+
+/**
+ * Translates the pending languages of a message, stores the results and notifies
+ * its recipients. Languages that fail stay pending for a background retry until
+ * the attempts run out; exceeded quotas are not retried.
+ * @param {Object} message - Chat message with pending translations
+ * @param {Object} [options]
+ * @param {String} [options.priority='live'] - Scheduler priority of the provider requests
+ * @returns {Promise<Object>} - The updated message
+ */
+const translatePendingMessage = async (message, { priority = 'live' } = {}) => {
+  const languages = [...message.pendingTranslations];
+  if (languages.length === 0) {
+    return message;
+  }
+  // The message may be edited or deleted while this runs; the save below then matches
+  // nothing and the results, translations of the old text, are dropped
+  message.$where = { editedAt: message.editedAt || null, deletedAt: null };
+
+  const text = message.normalizedContent || message.originalContent;
+  const translateFrom = message.languageUncertain ? null : message.originalLanguage;
+  const { translations: results, errors } = await translateToMany(text, translateFrom, languages, {
+    userId: message.sender.toString(),
+    roomId: message.room,
+    priority
+  });
+
+  const translated = new Map();
+  results.forEach(({ text: result, provider, glossaryHits }, language) => {
+    if (result) {
+      translated.set(language, result);
+      message.translations.set(language, result);
+      message.translationProviders.set(language, provider);
+      message.glossaryHits.push(...glossaryHits);
+    }
+  });
+  (await buildRomanizations(translated)).forEach((romanized, language) => {
+    message.romanizations.set(language, romanized);
+  });
+
+  let quotaError = null;
+  const failed = [];
+  errors.forEach((err, language) => {
+    console.error(`Failed to translate message ${message._id} to ${language}:`, err.message);
+    if (err.code === 'QUOTA_EXCEEDED') {
+      quotaError = err;
+      failed.push(language);
+    }
+  });
+
+  message.translationAttempts += 1;
+  let pending = languages.filter(language => !translated.has(language) && !failed.includes(language));
+  if (pending.length > 0 && message.translationAttempts >= delivery.maxAttempts) {
+    console.error(`Giving up translating message ${message._id} to ${pending.join(', ')}`);
+    failed.push(...pending);
+    pending = [];
+  }
+
+  message.pendingTranslations = pending;
+  message.failedTranslations = [...new Set([...(message.failedTranslations || []), ...failed])];
+  if (pending.length > 0) {
+    message.translationStatus = 'pending';
+    message.nextTranslationAttemptAt = new Date(Date.now() + delivery.retryBaseDelay * 2 ** (message.translationAttempts - 1));
+  } else {
+    message.translationStatus = message.failedTranslations.length > 0 ? 'failed' : 'complete';
+    message.nextTranslationAttemptAt = undefined;
+  }
+  try {
+    await message.save();
+  } catch (err) {
+    if (err.name !== 'DocumentNotFoundError') {
+      throw err;
+    }
+    console.log(`Message ${message._id} was edited or deleted while translating, dropping stale translations`);
+    return message;
+  }
+
+  if (quotaError) {
+    emitToUser(message.sender, 'error', { message: quotaError.message, code: quotaError.code, ...quotaError.details });
+  }
+  // Nothing changed for recipients while a retry is still to come
+  if (translated.size > 0 || pending.length === 0) {
+    await emitMessageTranslated(message);
+  }
+  return message;
+};
+
+/**
+ * Starts translating a freshly delivered message without blocking the caller
+ * @param {Object} message - Saved chat message
+ */
+const translateInBackground = (message) => {
+  translatePendingMessage(message).catch(err => {
+    console.error(`Background translation of message ${message._id} failed:`, err.message);
+  });
+};
+
+/**
+ * Retries pending translations that are due. Each message is claimed before it is
+ * processed, so several server instances never translate the same message twice.
+ * @returns {Promise<number>} - Number of messages processed
+ */
+const retryPendingTranslations = async () => {
+  let processed = 0;
+  for (let i = 0; i < delivery.sweepBatchSize; i++) {
+    const now = new Date();
+    const message = await Chat.findOneAndUpdate(
+      { translationStatus: 'pending', nextTranslationAttemptAt: { $lte: now }, deletedAt: { $exists: false } },
+      { $set: { nextTranslationAttemptAt: new Date(now.getTime() + delivery.retryBaseDelay) } },
+      { new: true, sort: { nextTranslationAttemptAt: 1 } }
+    );
+    if (!message) {
+      break;
+    }
+    try {
+      await translatePendingMessage(message, { priority: 'normal' });
+    } catch (err) {
+      console.error(`Retrying translation of message ${message._id} failed:`, err.message);
+    }
+    processed++;
+  }
+  return processed;
+};
+
+/**
+ * Periodically retries pending translations, including those interrupted by a restart
+ */
+const startTranslationRetryWorker = () => {
+  if (retryTimer) {
+    return;
+  }
+  retryTimer = setInterval(() => {
+    retryPendingTranslations().catch(err => {
+      console.error('Translation retry sweep failed:', err.message);
+    });
+  }, delivery.sweepInterval);
+};
+
+module.exports = {
+  getRecipients,
+  markTranslationsPending,
+  translatePendingMessage,
+  translateInBackground,
+  retryPendingTranslations,
+  startTranslationRetryWorker
+};
@@ -0,0 +1,315 @@
+const axios = require('axios');
+const { azure } = require('../../config/translation');
+
+// Azure Translator accepts at most 100 text elements per request
+const MAX_BATCH_SIZE = 100;
+
+// Dictionary lookups and examples accept at most 10 elements per request
+const MAX_DICTIONARY_BATCH_SIZE = 10;
+
+// Create a reusable axios instance with common configuration
+const translatorClient = axios.create({
+  baseURL: azure.endpoint,
+  headers: {
+    'Ocp-Apim-Subscription-Key': azure.key,
+    'Ocp-Apim-Subscription-Region': azure.region,
+    'Content-type': 'application/json',
+  },
+  // Add reasonable timeouts to prevent hanging requests
+  timeout: azure.timeout
+});
+
+/**
+ * Wraps an axios error into a provider error carrying the HTTP status
+ * @param {Error} error - Original axios error
+ * @returns {Error}
+ */
+const toProviderError = (error) => {
+  const message = error.response?.data?.error?.message || error.message;
+  const providerError = new Error(message);
+  providerError.provider = 'azure';
+  providerError.status = error.response?.status;
+  providerError.retryAfter = error.response?.headers?.['retry-after'];
+  return providerError;
+};
+
+/**
+ * Query parameters for the Custom Translator category and profanity handling
+ * @param {Object} options - { category, profanityAction, profanityMarker }
+ * @returns {Object} - Only the options that are set
+ */
+const getTranslationParams = ({ category, profanityAction, profanityMarker }) => {
+  const params = {};
+  if (category) {
+    params.category = category;
+  }
+  if (profanityAction) {
+    params.profanityAction = profanityAction;
+  }
+  if (profanityMarker) {
+    params.profanityMarker = profanityMarker;
+  }
+  return params;
+};
+
+/**
+ * Checks whether Azure credentials are available
+ * @returns {boolean}
+ */
+const isConfigured = () => Boolean(azure.key && azure.region);
+
+/**
+ * Translates a list of texts with Azure Translator
+ * @param {string[]} texts - Texts to translate
+ * @param {Object} options
+ * @param {string} [options.from] - Source language code, omitted for auto-detection
+ * @param {string} options.to - Target language code
+ * @param {string} [options.textType] - 'plain' (default) or 'html'
+ * @param {string} [options.category] - Custom Translator category
+ * @param {string} [options.profanityAction] - 'Marked' or 'Deleted'
+ * @param {string} [options.profanityMarker] - 'Asterisk'
+ * @returns {Promise<string[]>} - Translated texts in input order
+ */
+const translate = async (texts, { from, to, textType, ...translationOptions }) => {
+  const results = [];
+
+  try {
+    for (let i = 0; i < texts.length; i += MAX_BATCH_SIZE) {
+      const chunk = texts.slice(i, i + MAX_BATCH_SIZE).map(text => ({ text }));
+
+      const params = { 'api-version': '3.0', to };
+      if (from) {
+        params.from = from;
+      }
+      if (textType === 'html') {
+        params.textType = 'html';
+      }
+      Object.assign(params, getTranslationParams(translationOptions));
+
+      const response = await translatorClient.post('/translate', chunk, { params });
+
+      response.data.forEach(item => {
+        const text = item?.translations?.[0]?.text;
+        if (text === undefined) {
+          throw new Error('Invalid translation response');
+        }
+        results.push(text);
+      });
+    }
+  } catch (error) {
+    throw toProviderError(error);
+  }
+
+  return results;
+};
+
+/**
+ * Translates texts into several languages with one Azure request per batch
+ * @param {string[]} texts - Texts to translate
+ * @param {Object} options
+ * @param {string} [options.from] - Source language code, omitted for auto-detection
+ * @param {string[]} options.to - Target language codes
+ * @param {string} [options.textType] - 'plain' (default) or 'html'
+ * @param {string} [options.category] - Custom Translator category
+ * @param {string} [options.profanityAction] - 'Marked' or 'Deleted'
+ * @param {string} [options.profanityMarker] - 'Asterisk'
+ * @returns {Promise<Object>} - Map of target language to translated texts in input order
+ */
+const translateMany = async (texts, { from, to, textType, ...translationOptions }) => {
+  const results = {};
+  to.forEach(language => {
+    results[language] = [];
+  });
+
+  try {
+    for (let i = 0; i < texts.length; i += MAX_BATCH_SIZE) {
+      const chunk = texts.slice(i, i + MAX_BATCH_SIZE).map(text => ({ text }));
+
+      // Azure expects the `to` parameter repeated once per language
+      const params = new URLSearchParams({ 'api-version': '3.0' });
+      to.forEach(language => params.append('to', language));
+      if (from) {
+        params.append('from', from);
+      }
+      if (textType === 'html') {
+        params.append('textType', 'html');
+      }
+      Object.entries(getTranslationParams(translationOptions)).forEach(([name, value]) => params.append(name, value));
+
+      const response = await translatorClient.post('/translate', chunk, { params });
+
+      response.data.forEach(item => {
+        to.forEach(language => {
+          const text = item?.translations?.find(translation => translation.to === language)?.text;
+          if (text === undefined) {
+            throw new Error(`Invalid translation response for ${language}`);
+          }
+          results[language].push(text);
+        });
+      });
+    }
+  } catch (error) {
+    throw toProviderError(error);
+  }
+
+  return results;
+};
+
+/**
+ * Detects the language of each text with Azure Translator
+ * @param {string[]} texts - Texts to inspect
+ * @returns {Promise<Array<{language: string, confidence: number}>>}
+ */
+const detect = async (texts) => {
+  const results = [];
+
+  try {
+    for (let i = 0; i < texts.length; i += MAX_BATCH_SIZE) {
+      const chunk = texts.slice(i, i + MAX_BATCH_SIZE).map(text => ({ text }));
+      const response = await translatorClient.post('/detect', chunk, {
+        params: { 'api-version': '3.0' }
+      });
+      response.data.forEach(item => {
+        results.push({ language: item.language, confidence: item.score });
+      });
+    }
+  } catch (error) {
+    throw toProviderError(error);
+  }
+
+  return results;
+};
+
+/**
+ * Converts texts between scripts of one language with Azure Translator
+ * @param {string[]} texts - Texts to convert
+ * @param {Object} options
+ * @param {string} options.language - Language code, e.g. 'hi'
+ * @param {string} options.fromScript - ISO 15924 script of the input, e.g. 'Latn'
+ * @param {string} options.toScript - ISO 15924 script of the output, e.g. 'Deva'
+ * @returns {Promise<string[]>} - Converted texts in input order
+ */
+const transliterate = async (texts, { language, fromScript, toScript }) => {
+  const results = [];
+
+  try {
+    for (let i = 0; i < texts.length; i += MAX_BATCH_SIZE) {
+      const chunk = texts.slice(i, i + MAX_BATCH_SIZE).map(text => ({ text }));
+      const response = await translatorClient.post('/transliterate', chunk, {
+        params: { 'api-version': '3.0', language, fromScript, toScript }
+      });
+      response.data.forEach(item => results.push(item.text));
+    }
+  } catch (error) {
+    throw toProviderError(error);
+  }
+
+  return results;
+};
+
+/**
+ * Looks up dictionary translations of single words or short phrases.
+ * Azure only offers dictionaries for pairs that include English.
+ * @param {string[]} texts - Words to look up
+ * @param {Object} options
+ * @param {string} options.from - Source language code
+ * @param {string} options.to - Target language code
+ * @returns {Promise<Array<{word: string, translations: Object[]}>>} - One entry per input word
+ */
+const lookup = async (texts, { from, to }) => {
+  const results = [];
+
+  try {
+    for (let i = 0; i < texts.length; i += MAX_DICTIONARY_BATCH_SIZE) {
+      const chunk = texts.slice(i, i + MAX_DICTIONARY_BATCH_SIZE).map(text => ({ text }));
+      const response = await translatorClient.post('/dictionary/lookup', chunk, {
+        params: { 'api-version': '3.0', from, to }
+      });
+      response.data.forEach(item => {
+        results.push({
+          word: item.displaySource,
+          translations: (item.translations || []).map(translation => ({
+            text: translation.displayTarget,
+            normalizedText: translation.normalizedTarget,
+            partOfSpeech: translation.posTag,
+            confidence: translation.confidence,
+            backTranslations: (translation.backTranslations || []).map(back => back.displayText)
+          }))
+        });
+      });
+    }
+  } catch (error) {
+    throw toProviderError(error);
+  }
+
+  return results;
+};
+
+/**
+ * Fetches example sentences for word/translation pairs found by lookup
+ * @param {Array<{text: string, translation: string}>} pairs - Source word and its normalized translation
+ * @param {Object} options
+ * @param {string} options.from - Source language code
+ * @param {string} options.to - Target language code
+ * @returns {Promise<Array<Array<{source: string, target: string}>>>} - Examples per pair
+ */
+const examples = async (pairs, { from, to }) => {
+  const results = [];
+
+  try {
+    for (let i = 0; i < pairs.length; i += MAX_DICTIONARY_BATCH_SIZE) {
+      const chunk = pairs.slice(i, i + MAX_DICTIONARY_BATCH_SIZE);
+      const response = await translatorClient.post('/dictionary/examples', chunk, {
+        params: { 'api-version': '3.0', from, to }
+      });
+      response.data.forEach(item => {
+        results.push((item.examples || []).map(example => ({
+          source: `${example.sourcePrefix}${example.sourceTerm}${example.sourceSuffix}`,
+          target: `${example.targetPrefix}${example.targetTerm}${example.targetSuffix}`
+        })));
+      });
+    }
+  } catch (error) {
+    throw toProviderError(error);
+  }
+
+  return results;
+};
+
+/**
+ * Fetches languages supported for text translation
+ * @returns {Promise<Object>} - Map of language code to { name, nativeName, dir }
+ */
+const getLanguages = async () => {
+  try {
+    const response = await translatorClient.get('/languages', {
+      params: { 'api-version': '3.0', scope: 'translation' }
+    });
+
+    const languages = {};
+    Object.entries(response.data.translation).forEach(([code, details]) => {
+      languages[code] = {
+        name: details.name,
+        nativeName: details.nativeName,
+        dir: details.dir
+      };
+    });
+    return languages;
+  } catch (error) {
+    throw toProviderError(error);
+  }
+};
+
+module.exports = {
+  name: 'azure',
+  // Translation options only this provider honours
+  features: ['html', 'category', 'profanity'],
+  isConfigured,
+  translate,
+  translateMany,
+  detect,
+  transliterate,
+  lookup,
+  examples,
+  getLanguages
+};
@@ -0,0 +1,73 @@
+/**
+ * Wraps an unofficial client error into a provider error carrying the HTTP status
+ * @param {Error} error - Original client error
+ * @returns {Error}
+ */
+const toProviderError = (error) => {
+  const providerError = new Error(error.message);
+  providerError.provider = 'free';
+  providerError.status = error.status || error.statusCode;
+  return providerError;
+};
+
+/**
+ * The unofficial Google endpoint needs no credentials
+ * @returns {boolean}
+ */
+const isConfigured = () => true;
+
+/**
+ * Translates texts with the free @vitalets/google-translate-api client.
+ * The endpoint only takes one text per call, so texts are sent sequentially.
+ * @param {string[]} texts - Texts to translate
+ * @param {Object} options
+ * @param {string} [options.from] - Source language code, omitted for auto-detection
+ * @param {string} options.to - Target language code
+ * @returns {Promise<string[]>} - Translated texts in input order
+ */
+const translate = async (texts, { from, to }) => {
+  const { translate: freeTranslate } = require('@vitalets/google-translate-api');
+  const results = [];
+
+  try {
+    for (const text of texts) {
+      const { text: translated } = await freeTranslate(text, { from: from || 'auto', to });
+      results.push(translated);
+    }
+  } catch (error) {
+    throw toProviderError(error);
+  }
+
+  return results;
+};
+
+/**
+ * Detects languages from the source-language field of a translation response
+ * @param {string[]} texts - Texts to inspect
+ * @returns {Promise<Array<{language: string, confidence: number}>>}
+ */
+const detect = async (texts) => {
+  const { translate: freeTranslate } = require('@vitalets/google-translate-api');
+  const results = [];
+
+  try {
+    for (const text of texts) {
+      const { raw } = await freeTranslate(text, { from: 'auto', to: 'en' });
+      results.push({
+        language: raw.src,
+        confidence: raw.ld_result?.srclangs_confidences?.[0] ?? raw.confidence ?? 0
+      });
+    }
+  } catch (error) {
+    throw toProviderError(error);
+  }
+
+  return results;
+};
+
+module.exports = {
+  name: 'free',
+  isConfigured,
+  translate,
+  detect
+};
@@ -0,0 +1,101 @@
+const { google } = require('../../config/translation');
+
+// Lazily created client - the Google SDK is heavy and only needed when selected
+let client = null;
+
+/**
+ * Returns the shared Google Cloud Translation (v2) client
+ * @returns {Object}
+ */
+const getClient = () => {
+  if (!client) {
+    const { Translate } = require('@google-cloud/translate').v2;
+    client = new Translate({
+      projectId: google.projectId,
+      key: google.apiKey,
+      keyFilename: google.keyFilename
+    });
+  }
+  return client;
+};
+
+/**
+ * Wraps a Google client error into a provider error carrying the HTTP status
+ * @param {Error} error - Original client error
+ * @returns {Error}
+ */
+const toProviderError = (error) => {
+  const providerError = new Error(error.message);
+  providerError.provider = 'google';
+  providerError.status = typeof error.code === 'number' ? error.code : undefined;
+  return providerError;
+};
+
+/**
+ * Checks whether Google Cloud credentials are available
+ * @returns {boolean}
+ */
+const isConfigured = () => Boolean(google.apiKey || google.keyFilename);
+
+/**
+ * Translates a list of texts with Google Cloud Translation
+ * @param {string[]} texts - Texts to translate
+ * @param {Object} options
+ * @param {string} [options.from] - Source language code, omitted for auto-detection
+ * @param {string} options.to - Target language code
+ * @param {string} [options.textType] - 'plain' (default) or 'html'
+ * @returns {Promise<string[]>} - Translated texts in input order
+ */
+const translate = async (texts, { from, to, textType }) => {
+  try {
+    const [translations] = await getClient().translate(texts, {
+      from: from || undefined,
+      to,
+      format: textType === 'html' ? 'html' : 'text'
+    });
+    return Array.isArray(translations) ? translations : [translations];
+  } catch (error) {
+    throw toProviderError(error);
+  }
+};
+
+/**
+ * Detects the language of each text with Google Cloud Translation
+ * @param {string[]} texts - Texts to inspect
+ * @returns {Promise<Array<{language: string, confidence: number}>>}
+ */
+const detect = async (texts) => {
+  try {
+    const [detections] = await getClient().detect(texts);
+    return (Array.isArray(detections) ? detections : [detections])
+      .map(({ language, confidence }) => ({ language, confidence }));
+  } catch (error) {
+    throw toProviderError(error);
+  }
+};
+
+/**
+ * Fetches languages supported for text translation
+ * @returns {Promise<Object>} - Map of language code to { name, nativeName, dir }
+ */
+const getLanguages = async () => {
+  try {
+    const [list] = await getClient().getLanguages('en');
+    const languages = {};
+    list.forEach(({ code, name }) => {
+      languages[code] = { name, nativeName: name, dir: 'ltr' };
+    });
+    return languages;
+  } catch (error) {
+    throw toProviderError(error);
+  }
+};
+
+module.exports = {
+  name: 'google',
+  features: ['html'],
+  isConfigured,
+  translate,
+  detect,
+  getLanguages
+};
@@ -0,0 +1,282 @@
+const translationConfig = require('../../config/translation');
+const { createCircuitBreaker } = require('../circuitBreaker');
+const { createTranslationScheduler } = require('../translationScheduler');
+
+// Registered translation providers, keyed by configuration name
+const providers = {
+  azure: require('./azureProvider'),
+  google: require('./googleProvider'),
+  free: require('./freeGoogleProvider'),
+  local: require('./localProvider')
+};
+
+// One circuit breaker and one set of counters per provider
+const breakers = {};
+const providerStats = {};
+Object.keys(providers).forEach(name => {
+  breakers[name] = createCircuitBreaker(translationConfig.circuitBreaker);
+  providerStats[name] = { requests: 0, characters: 0, errors: 0, retries: 0, failovers: 0 };
+});
+
+// Every provider call is admitted through one scheduler, so bursts share the rate limit
+const scheduler = createTranslationScheduler(translationConfig.scheduler);
+
+/**
+ * Returns a provider by name
+ * @param {string} name - Provider name ('azure', 'google', 'free' or 'local')
+ * @returns {Object} - Provider implementing isConfigured and translate, plus optional capabilities such as getLanguages
+ */
+const getProvider = (name) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown translation provider: ${name}`);
+  }
+  return provider;
+};
+
+/**
+ * Returns the configured failover chain of providers
+ * @returns {Object[]}
+ */
+const getProviderChain = () => translationConfig.providerChain.map(getProvider);
+
+/**
+ * Returns the first provider of the chain
+ * @returns {Object}
+ */
+const getActiveProvider = () => getProviderChain()[0];
+
+/**
+ * Rate limits, server errors and network failures are worth retrying;
+ * other client errors (bad language code, payload too large) are not.
+ * @param {Error} error - Provider error
+ * @returns {boolean}
+ */
+const isRetryable = (error) => !error.status || error.status === 408 || error.status === 429 || error.status >= 500;
+
+/**
+ * Exponential backoff with full jitter, honouring Retry-After when present
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Error} error - Error that triggered the retry
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelay = (attempt, error) => {
+  const { baseDelay, maxDelay } = translationConfig.retry;
+  if (error.retryAfter) {
+    return Math.min(parseFloat(error.retryAfter) * 1000, maxDelay);
+  }
+  const ceiling = Math.min(baseDelay * 2 ** attempt, maxDelay);
+  return Math.round(Math.random() * ceiling);
+};
+
+/**
+ * Runs one provider call with bounded retries
+ * @param {Object} provider - Provider to call
+ * @param {Function} call - (provider) => Promise
+ * @returns {Promise<*>}
+ */
+const callWithRetry = async (provider, call) => {
+  const { maxRetries } = translationConfig.retry;
+  const stats = providerStats[provider.name];
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      stats.requests++;
+      return await call(provider);
+    } catch (error) {
+      stats.errors++;
+      if (attempt >= maxRetries || !isRetryable(error)) {
+        throw error;
+      }
+      stats.retries++;
+      const delay = getRetryDelay(attempt, error);
+      if (error.status === 429) {
+        // The provider is throttling us; hold back queued calls as well
+        scheduler.pause(delay);
+      }
+      console.log(`Translation provider ${provider.name} failed (${error.status || error.message}), retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+};
+
+/**
+ * Translation options that only some providers honour. A provider that would
+ * ignore one is skipped, so domain or filtered requests never get general output
+ * and rich text is never translated as plain text, tags and placeholders included.
+ * @param {Object} options - { textType, category, profanityAction }
+ * @returns {string[]} - Features the provider must declare
+ */
+const getRequiredFeatures = ({ textType, category, profanityAction }) => [
+  ...(textType === 'html' ? ['html'] : []),
+  ...(category ? ['category'] : []),
+  ...(profanityAction ? ['profanity'] : [])
+];
+
+/**
+ * Runs a call against each provider of the chain until one succeeds.
+ * Providers that are not configured, whose circuit is open or that lack the
+ * requested capability or features are skipped.
+ * @param {Function} call - (provider) => Promise
+ * @param {string} [capability] - Provider method the call relies on
+ * @param {string[]} [features] - Translation options the provider must support
+ * @returns {Promise<{result: *, provider: string}>}
+ */
+const runChain = async (call, capability, features = []) => {
+  const errors = [];
+  let rejectedCount = 0;
+
+  for (const provider of getProviderChain()) {
+    const breaker = breakers[provider.name];
+    if (!provider.isConfigured()) {
+      continue;
+    }
+    if (capability && typeof provider[capability] !== 'function') {
+      continue;
+    }
+    const unsupported = features.filter(feature => !(provider.features || []).includes(feature));
+    if (unsupported.length > 0) {
+      rejectedCount++;
+      errors.push(`${provider.name}: ${unsupported.join(' and ')} not supported`);
+      continue;
+    }
+    // Checked last: it claims the half-open trial, which the call below then settles
+    if (!breaker.canRequest()) {
+      continue;
+    }
+
+    try {
+      const result = await callWithRetry(provider, call);
+      breaker.recordSuccess();
+      return { result, provider: provider.name };
+    } catch (error) {
+      // Only outages count against the breaker; a rejected request still shows the
+      // provider is up, and settles a half-open trial
+      if (isRetryable(error)) {
+        breaker.recordFailure();
+      } else {
+        breaker.recordSuccess();
+        rejectedCount++;
+      }
+      providerStats[provider.name].failovers++;
+      errors.push(`${provider.name}: ${error.message}`);
+      console.error(`Translation provider ${provider.name} failed, trying next provider:`, error.message);
+    }
+  }
+
+  const error = new Error(errors.length
+    ? `All translation providers failed (${errors.join('; ')})`
+    : 'No translation provider is configured or available');
+  error.code = 'TRANSLATION_UNAVAILABLE';
+  // Every provider rejected the request itself (e.g. an unsupported language) rather than being down
+  error.clientError = errors.length > 0 && rejectedCount === errors.length;
+  throw error;
+};
+
+/**
+ * Runs a call through the scheduler and the failover chain
+ * @param {Function} call - (provider) => Promise
+ * @param {Object} [options]
+ * @param {string} [options.capability] - Provider method the call relies on, e.g. 'lookup'
+ * @param {string[]} [options.features] - Translation options the provider must support
+ * @param {string} [options.key] - Identifies the call; identical in-flight calls share one result
+ * @param {number} [options.cost=0] - Characters sent, charged against the rate limit
+ * @param {string} [options.priority='live'] - 'live', 'normal' or 'backfill'
+ * @returns {Promise<{result: *, provider: string, shared: boolean}>} - shared when the call joined an
+ *   identical one in flight, so callers meter the provider request once
+ */
+const runWithFailover = async (call, { capability, features, key, cost = 0, priority = 'live' } = {}) => {
+  let ran = false;
+  const outcome = await scheduler.schedule({ key, cost, priority }, () => {
+    ran = true;
+    return runChain(call, capability, features);
+  });
+  return { ...outcome, shared: !ran };
+};
+
+/**
+ * Single-flight key of a translation call; the same texts into the same languages collapse
+ * @param {string} operation
+ * @param {string[]} texts
+ * @param {Object} options - { from, to, textType, category, profanityAction, profanityMarker }
+ * @returns {string}
+ */
+const getCallKey = (operation, texts, { from, to, textType, category, profanityAction, profanityMarker }) =>
+  JSON.stringify([operation, from || 'auto', to, textType || 'plain', category || 'general', profanityAction || 'NoAction', profanityMarker || null, texts]);
+
+/**
+ * Translates texts through the failover chain
+ * @param {string[]} texts - Texts to translate
+ * @param {Object} options - { from, to, textType, category, profanityAction, profanityMarker }
+ * @param {Object} [scheduling] - { priority }
+ * @returns {Promise<{translations: string[], provider: string, shared: boolean}>} - see runWithFailover
+ */
+const translateWithFailover = async (texts, options, { priority } = {}) => {
+  const characters = texts.reduce((sum, text) => sum + text.length, 0);
+  const { result, provider, shared } = await runWithFailover(async (p) => {
+    const translations = await p.translate(texts, options);
+    providerStats[p.name].characters += characters;
+    return translations;
+  }, { features: getRequiredFeatures(options), key: getCallKey('translate', texts, options), cost: characters, priority });
+  return { translations: result, provider, shared };
+};
+
+/**
+ * Translates texts into several target languages through the failover chain.
+ * Providers that support it do this in one request; others get one request per language.
+ * @param {string[]} texts - Texts to translate
+ * @param {Object} options - { from, to: string[], textType, category, profanityAction, profanityMarker }
+ * @param {Object} [scheduling] - { priority }
+ * @returns {Promise<{translations: Object, provider: string, shared: boolean}>} - translations maps each
+ *   language to texts in input order; shared as for runWithFailover
+ */
+const translateManyWithFailover = async (texts, options, { priority } = {}) => {
+  const characters = texts.reduce((sum, text) => sum + text.length, 0) * options.to.length;
+  const { result, provider, shared } = await runWithFailover(async (p) => {
+    let translations;
+    if (p.translateMany) {
+      translations = await p.translateMany(texts, options);
+    } else {
+      translations = {};
+      for (const language of options.to) {
+        translations[language] = await p.translate(texts, { ...options, to: language });
+      }
+    }
+    providerStats[p.name].characters += characters;
+    return translations;
+  }, { features: getRequiredFeatures(options), key: getCallKey('translateMany', texts, options), cost: characters, priority });
+  return { translations: result, provider, shared };
+};
+
+/**
+ * Returns queue depth and counters of the provider request scheduler
+ * @returns {Object}
+ */
+const getSchedulerStats = () => scheduler.getStats();
+
+/**
+ * Returns counters and circuit breaker state for every provider
+ * @returns {Object}
+ */
+const getProviderStats = () => {
+  const stats = {};
+  Object.keys(providers).forEach(name => {
+    stats[name] = {
+      ...providerStats[name],
+      configured: providers[name].isConfigured(),
+      circuit: breakers[name].getState()
+    };
+  });
+  return stats;
+};
+
+module.exports = {
+  getProvider,
+  getProviderChain,
+  getActiveProvider,
+  runWithFailover,
+  translateWithFailover,
+  translateManyWithFailover,
+  getProviderStats,
+  getSchedulerStats
+};
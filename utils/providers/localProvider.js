@@ -0,0 +1,118 @@
+const fs = require('fs');
+const { local } = require('../../config/translation');
+const { detectLanguageHeuristically } = require('../languageHeuristics');
+
+// Small built-in dictionary so offline development shows something meaningful
+const builtInDictionary = {
+  hi: { 'hello': 'नमस्ते', 'thank you': 'धन्यवाद', 'how are you?': 'आप कैसे हैं?', 'good morning': 'सुप्रभात' },
+  es: { 'hello': 'hola', 'thank you': 'gracias', 'how are you?': '¿cómo estás?', 'good morning': 'buenos días' },
+  fr: { 'hello': 'bonjour', 'thank you': 'merci', 'how are you?': 'comment ça va ?', 'good morning': 'bonjour' },
+  de: { 'hello': 'hallo', 'thank you': 'danke', 'how are you?': 'wie geht es dir?', 'good morning': 'guten Morgen' }
+};
+
+/**
+ * Loads the dictionary, merging an optional JSON file over the built-in entries
+ * @returns {Object}
+ */
+const loadDictionary = () => {
+  const dictionary = JSON.parse(JSON.stringify(builtInDictionary));
+  if (!local.dictionaryPath) {
+    return dictionary;
+  }
+
+  try {
+    const custom = JSON.parse(fs.readFileSync(local.dictionaryPath, 'utf8'));
+    Object.entries(custom).forEach(([lang, entries]) => {
+      dictionary[lang] = { ...dictionary[lang], ...entries };
+    });
+  } catch (error) {
+    console.error('Failed to load local translation dictionary:', error.message);
+  }
+  return dictionary;
+};
+
+const dictionary = loadDictionary();
+
+/**
+ * The local provider needs no credentials
+ * @returns {boolean}
+ */
+const isConfigured = () => true;
+
+/**
+ * Translates texts deterministically: dictionary hit or "[lang] text" echo
+ * @param {string[]} texts - Texts to translate
+ * @param {Object} options
+ * @param {string} options.to - Target language code
+ * @returns {Promise<string[]>} - Translated texts in input order
+ */
+const translate = async (texts, { to }) => {
+  const entries = dictionary[to] || {};
+  return texts.map(text => entries[text.trim().toLowerCase()] || `[${to}] ${text}`);
+};
+
+/**
+ * Detects languages with the offline script/stopword heuristic
+ * @param {string[]} texts - Texts to inspect
+ * @returns {Promise<Array<{language: string, confidence: number}>>}
+ */
+const detect = async (texts) => texts.map(detectLanguageHeuristically);
+
+/**
+ * Offline transliteration is not available; texts are returned unchanged
+ * @param {string[]} texts - Texts to convert
+ * @returns {Promise<string[]>}
+ */
+const transliterate = async (texts) => texts;
+
+/**
+ * Looks words up in the local dictionary (English source only)
+ * @param {string[]} texts - Words to look up
+ * @param {Object} options
+ * @param {string} options.to - Target language code
+ * @returns {Promise<Array<{word: string, translations: Object[]}>>}
+ */
+const lookup = async (texts, { to }) => {
+  const entries = dictionary[to] || {};
+  return texts.map(text => {
+    const translation = entries[text.trim().toLowerCase()];
+    return {
+      word: text,
+      translations: translation
+        ? [{ text: translation, normalizedText: translation.toLowerCase(), partOfSpeech: 'OTHER', confidence: 1, backTranslations: [text] }]
+        : []
+    };
+  });
+};
+
+/**
+ * The local dictionary has no example sentences
+ * @param {Array<{text: string, translation: string}>} pairs
+ * @returns {Promise<Array<Array<{source: string, target: string}>>>}
+ */
+const examples = async (pairs) => pairs.map(() => []);
+
+/**
+ * Lists the languages known to the dictionary
+ * @returns {Promise<Object>} - Map of language code to { name, nativeName, dir }
+ */
+const getLanguages = async () => {
+  const languages = { en: { name: 'en', nativeName: 'en', dir: 'ltr' } };
+  Object.keys(dictionary).forEach(code => {
+    languages[code] = { name: code, nativeName: code, dir: 'ltr' };
+  });
+  return languages;
+};
+
+module.exports = {
+  name: 'local',
+  // Texts come back as sent, so markup survives
+  features: ['html'],
+  isConfigured,
+  translate,
+  detect,
+  transliterate,
+  lookup,
+  examples,
+  getLanguages
+};
@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const os = require('os');
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const RetranslationJob = require('../models/RetranslationJob');
+const { translateHistory } = require('./historyTranslator');
+const { getUserRoomIds } = require('./rooms');
+const { emitToUser } = require('../socket/emitter');
+const { retranslation } = require('../config/translation');
+
+// Identifies this server instance as the owner of the jobs it runs
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// Latest job per user on this instance; an older job stops at its next batch
+const activeJobs = new Map();
+let resumeTimer = null;
+
+/**
+ * Returns the fields of a job clients need to show progress
+ * @param {Object} job - RetranslationJob document
+ * @returns {Object}
+ */
+const serializeJob = (job) => ({
+  jobId: job._id,
+  language: job.language,
+  status: job.status,
+  conversations: job.conversations,
+  totalMessages: job.totalMessages,
+  processedMessages: job.processedMessages,
+  translatedMessages: job.translatedMessages,
+  untranslatedMessages: job.untranslatedMessages,
+  error: job.error,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
+
+/**
+ * Lists a user's most recently active conversations: rooms they are a member of,
+ * whether or not they wrote in them, and direct chats
+ * @param {string} userId
+ * @param {number} limit
+ * @returns {Promise<Array<{room: string|null, partner: Object|null}>>}
+ */
+const findRecentConversations = async (userId, limit) => {
+  const id = new mongoose.Types.ObjectId(userId);
+  const roomIds = await getUserRoomIds(userId);
+  const conversations = await Chat.aggregate([
+    {
+      $match: {
+        $or: [
+          { room: { $in: roomIds } },
+          { room: { $exists: false }, $or: [{ sender: id }, { receiver: id }] }
+        ]
+      }
+    },
+    {
+      $group: {
+        _id: {
+          room: '$room',
+          partner: {
+            $cond: [
+              { $ifNull: ['$room', false] },
+              null,
+              { $cond: [{ $eq: ['$sender', id] }, '$receiver', '$sender'] }
+            ]
+          }
+        },
+        lastMessageAt: { $max: '$timestamp' }
+      }
+    },
+    { $sort: { lastMessageAt: -1 } },
+    { $limit: limit }
+  ]);
+  return conversations.map(({ _id }) => ({ room: _id.room || null, partner: _id.partner || null }));
+};
+
+/**
+ * Loads the latest messages of a conversation that lack a translation into a language,
+ * are not deleted and are not written in a language the user reads anyway
+ * @param {string} userId
+ * @param {Object} conversation - { room, partner }
+ * @param {string} language
+ * @param {string[]} understoodLanguages - Includes `language`
+ * @returns {Promise<Object[]>} - Newest first
+ */
+const findUntranslatedMessages = async (userId, conversation, language, understoodLanguages) => {
+  const query = conversation.room
+    ? { room: conversation.room }
+    : {
+      $or: [
+        { sender: userId, receiver: conversation.partner },
+        { sender: conversation.partner, receiver: userId }
+      ],
+      room: { $exists: false }
+    };
+  return Chat.find({
+    ...query,
+    deletedAt: { $exists: false },
+    originalLanguage: { $nin: understoodLanguages },
+    [`translations.${language}`]: { $exists: false }
+  })
+    .sort({ timestamp: -1 })
+    .limit(retranslation.messagesPerConversation);
+};
+
+/**
+ * Saves a job, renewing this instance's lease, and pushes its progress to the user's
+ * sockets. The save matches nothing once another instance has taken the job over.
+ * @param {Object} job - RetranslationJob document
+ */
+const reportProgress = async (job) => {
+  job.leaseExpiresAt = new Date(Date.now() + retranslation.lease);
+  job.$where = { owner: INSTANCE_ID };
+  await job.save();
+  emitToUser(job.user, 'retranslationProgress', serializeJob(job));
+};
+
+/**
+ * Whether a job should go on: it is still the user's latest job here and, in the
+ * database, still running on this instance. A newer job started on any instance
+ * cancels it there.
+ * @param {Object} job - RetranslationJob document
+ * @returns {Promise<boolean>}
+ */
+const shouldContinue = async (job) => {
+  if (activeJobs.get(job.user.toString()) !== job._id.toString()) {
+    return false;
+  }
+  return Boolean(await RetranslationJob.exists({ _id: job._id, owner: INSTANCE_ID, status: 'running' }));
+};
+
+/**
+ * Backfills translations of the user's recent conversations in low-priority batches
+ * @param {Object} job - RetranslationJob document
+ */
+const runJob = async (job) => {
+  const userId = job.user.toString();
+
+  job.status = 'running';
+  job.startedAt = job.startedAt || new Date();
+  await reportProgress(job);
+
+  const user = await User.findById(userId).select('understoodLanguages');
+  const understoodLanguages = [...new Set([job.language, ...(user?.understoodLanguages || [])])];
+
+  const conversations = await findRecentConversations(userId, retranslation.conversations);
+  const messages = [];
+  for (const conversation of conversations) {
+    messages.push(...await findUntranslatedMessages(userId, conversation, job.language, understoodLanguages));
+  }
+  job.conversations = conversations.length;
+  job.totalMessages = messages.length;
+  job.processedMessages = 0;
+  job.translatedMessages = 0;
+  job.untranslatedMessages = 0;
+  await reportProgress(job);
+
+  for (let i = 0; i < messages.length; i += retranslation.batchSize) {
+    if (!(await shouldContinue(job))) {
+      job.status = 'cancelled';
+      break;
+    }
+
+    // translateHistory expects chronological order
+    const batch = messages.slice(i, i + retranslation.batchSize).reverse();
+    const { translated, untranslated, error } = await translateHistory(batch, job.language, { userId, understoodLanguages });
+    job.processedMessages += batch.length;
+    job.translatedMessages += translated;
+    job.untranslatedMessages += untranslated.length;
+
+    if (error) {
+      job.status = 'failed';
+      job.error = error.error;
+      break;
+    }
+    await reportProgress(job);
+  }
+
+  if (job.status === 'running') {
+    job.status = 'completed';
+  }
+  job.finishedAt = new Date();
+  await reportProgress(job);
+};
+
+/**
+ * Runs a job in the background, recording unexpected failures on the job
+ * @param {Object} job - RetranslationJob document
+ */
+const runInBackground = (job) => {
+  activeJobs.set(job.user.toString(), job._id.toString());
+  runJob(job)
+    .catch(async (err) => {
+      if (err.name === 'DocumentNotFoundError') {
+        console.log(`Re-translation job ${job._id} was taken over by another instance`);
+        return;
+      }
+      console.error(`Re-translation job ${job._id} failed:`, err.message);
+      job.status = 'failed';
+      job.error = 'Re-translation failed';
+      job.finishedAt = new Date();
+      await reportProgress(job).catch(() => {});
+    })
+    .finally(() => {
+      if (activeJobs.get(job.user.toString()) === job._id.toString()) {
+        activeJobs.delete(job.user.toString());
+      }
+    });
+};
+
+/**
+ * Starts backfilling a user's recent conversations into their new language.
+ * A job already running for the user is cancelled.
+ * @param {string} userId
+ * @param {string} language - New preferred language
+ * @returns {Promise<Object>} - The queued job
+ */
+const startRetranslationJob = async (userId, language) => {
+  await RetranslationJob.updateMany(
+    { user: userId, status: { $in: ['queued', 'running'] } },
+    { $set: { status: 'cancelled', finishedAt: new Date() } }
+  );
+  const job = await RetranslationJob.create({
+    user: userId,
+    language,
+    owner: INSTANCE_ID,
+    leaseExpiresAt: new Date(Date.now() + retranslation.lease)
+  });
+  runInBackground(job);
+  return job;
+};
+
+/**
+ * Takes over jobs whose instance stopped or restarted, i.e. whose lease ran out.
+ * Each job is claimed atomically, so two instances never run the same one. Messages
+ * translated before the interruption are skipped, since only missing translations are looked up.
+ * @returns {Promise<number>} - Number of resumed jobs
+ */
+const resumeRetranslationJobs = async () => {
+  let resumed = 0;
+  for (;;) {
+    const now = new Date();
+    const job = await RetranslationJob.findOneAndUpdate(
+      {
+        // Not a job this instance is still running with a late lease renewal
+        _id: { $nin: [...activeJobs.values()] },
+        status: { $in: ['queued', 'running'] },
+        $or: [{ leaseExpiresAt: { $exists: false } }, { leaseExpiresAt: { $lte: now } }]
+      },
+      { $set: { owner: INSTANCE_ID, leaseExpiresAt: new Date(now.getTime() + retranslation.lease) } },
+      { new: true }
+    );
+    if (!job) {
+      return resumed;
+    }
+    runInBackground(job);
+    resumed++;
+  }
+};
+
+/**
+ * Resumes interrupted jobs now and whenever a lease of another instance runs out
+ */
+const startRetranslationJobWorker = () => {
+  if (resumeTimer) {
+    return;
+  }
+  const resume = () => resumeRetranslationJobs().catch(err => {
+    console.error('Failed to resume re-translation jobs:', err);
+  });
+  resume();
+  resumeTimer = setInterval(resume, retranslation.lease);
+};
+
+/**
+ * Returns a user's job, or their latest job when no ID is given
+ * @param {string} userId
+ * @param {string} [jobId]
+ * @returns {Promise<Object|null>}
+ */
+const getRetranslationJob = async (userId, jobId) => {
+  if (jobId) {
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return null;
+    }
+    return RetranslationJob.findOne({ _id: jobId, user: userId });
+  }
+  return RetranslationJob.findOne({ user: userId }).sort({ createdAt: -1 });
+};
+
+module.exports = {
+  serializeJob,
+  startRetranslationJob,
+  resumeRetranslationJobs,
+  startRetranslationJobWorker,
+  getRetranslationJob
+};
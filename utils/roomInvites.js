@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const RoomInvite = require('../models/RoomInvite');
+const RoomJoinRequest = require('../models/RoomJoinRequest');
+const {
+  ADMIN_ROLES,
+  createRoomError,
+  isRoomAdmin,
+  getRoomMemberIds,
+  admitMember,
+  joinRoom
+} = require('./rooms');
+const { emitToUser } = require('../socket/emitter');
+
+const DAY_SECONDS = 24 * 60 * 60;
+const DEFAULT_INVITE_LIFETIME = 7 * DAY_SECONDS;
+const MAX_INVITE_LIFETIME = 30 * DAY_SECONDS;
+const MAX_INVITE_USES = 1000;
+
+/**
+ * Returns the fields of an invite admins need
+ * @param {Object} invite - RoomInvite document
+ * @returns {Object}
+ */
+const serializeInvite = (invite) => ({
+  inviteId: invite._id,
+  roomId: invite.room,
+  token: invite.token,
+  expiresAt: invite.expiresAt,
+  maxUses: invite.maxUses || null,
+  uses: invite.uses,
+  revoked: Boolean(invite.revokedAt),
+  createdBy: invite.createdBy,
+  createdAt: invite.createdAt
+});
+
+/**
+ * Returns the fields of a join request clients need
+ * @param {Object} request - RoomJoinRequest document, optionally with user populated
+ * @returns {Object}
+ */
+const serializeJoinRequest = (request) => ({
+  requestId: request._id,
+  roomId: request.room,
+  userId: request.user._id || request.user,
+  username: request.user.username,
+  message: request.message,
+  status: request.status,
+  reviewedBy: request.reviewedBy,
+  reviewedAt: request.reviewedAt,
+  createdAt: request.createdAt
+});
+
+/**
+ * Fails unless the user is an owner or admin of the room
+ * @param {string} roomId
+ * @param {string} userId
+ */
+const assertRoomAdmin = async (roomId, userId) => {
+  if (!(await isRoomAdmin(roomId, userId))) {
+    throw createRoomError(403, 'Not allowed to manage this room');
+  }
+};
+
+/**
+ * Marks a user's open join request as approved once they got in another way
+ * @param {string} roomId
+ * @param {string} userId
+ * @param {string} reviewerId - Who let them in
+ */
+const closePendingRequest = async (roomId, userId, reviewerId) => {
+  await RoomJoinRequest.updateOne(
+    { room: roomId, user: userId, status: 'pending' },
+    { $set: { status: 'approved', reviewedBy: reviewerId, reviewedAt: new Date() } }
+  );
+};
+
+/**
+ * Creates an invite link for a room (admins only)
+ * @param {string} roomId
+ * @param {Object} options
+ * @param {number} [options.expiresIn] - Lifetime in seconds, 7 days by default and 30 at most
+ * @param {number} [options.maxUses] - How many users can join with it; unlimited when not set
+ * @param {string} userId - Acting user
+ * @returns {Promise<Object>} - The invite
+ */
+const createInvite = async (roomId, { expiresIn, maxUses }, userId) => {
+  const lifetime = expiresIn === undefined ? DEFAULT_INVITE_LIFETIME : Number(expiresIn);
+  if (!Number.isInteger(lifetime) || lifetime < 60 || lifetime > MAX_INVITE_LIFETIME) {
+    throw createRoomError(400, `expiresIn must be between 60 and ${MAX_INVITE_LIFETIME} seconds`);
+  }
+  if (maxUses !== undefined && maxUses !== null
+    && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES)) {
+    throw createRoomError(400, `maxUses must be between 1 and ${MAX_INVITE_USES}`);
+  }
+  await assertRoomAdmin(roomId, userId);
+
+  return RoomInvite.create({
+    room: roomId,
+    token: crypto.randomBytes(18).toString('base64url'),
+    createdBy: userId,
+    expiresAt: new Date(Date.now() + lifetime * 1000),
+    maxUses: maxUses || undefined
+  });
+};
+
+/**
+ * Lists a room's invites, newest first (admins only)
+ * @param {string} roomId
+ * @param {string} userId - Acting user
+ * @returns {Promise<Object[]>}
+ */
+const listInvites = async (roomId, userId) => {
+  await assertRoomAdmin(roomId, userId);
+  return RoomInvite.find({ room: roomId }).sort({ createdAt: -1 }).limit(100);
+};
+
+/**
+ * Stops an invite from being redeemed (admins only)
+ * @param {string} roomId
+ * @param {string} inviteId
+ * @param {string} userId - Acting user
+ * @returns {Promise<Object>} - The invite
+ */
+const revokeInvite = async (roomId, inviteId, userId) => {
+  await assertRoomAdmin(roomId, userId);
+  const invite = mongoose.Types.ObjectId.isValid(inviteId)
+    ? await RoomInvite.findOneAndUpdate(
+      { _id: inviteId, room: roomId },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    )
+    : null;
+  if (!invite) {
+    throw createRoomError(404, 'Invite not found');
+  }
+  return invite;
+};
+
+/**
+ * Joins a room with an invite token. The use is counted atomically, so a
+ * usage-limited invite never admits more users than it allows.
+ * @param {string} token
+ * @param {string} userId
+ * @returns {Promise<Object>} - The room
+ */
+const redeemInvite = async (token, userId) => {
+  const invite = typeof token === 'string' ? await RoomInvite.findOne({ token }) : null;
+  if (!invite || invite.revokedAt) {
+    throw createRoomError(404, 'Invite not found');
+  }
+  if (invite.expiresAt <= new Date() || (invite.maxUses && invite.uses >= invite.maxUses)) {
+    throw createRoomError(410, 'This invite has expired');
+  }
+  if ((await getRoomMemberIds(invite.room)).includes(userId)) {
+    throw createRoomError(409, 'Already a member of this room');
+  }
+
+  const claimed = await RoomInvite.findOneAndUpdate(
+    {
+      _id: invite._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+      $or: [{ maxUses: { $exists: false } }, { $expr: { $lt: ['$uses', '$maxUses'] } }]
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw createRoomError(410, 'This invite has expired');
+  }
+
+  try {
+    const room = await admitMember(invite.room, userId, { action: 'joined', by: userId });
+    await closePendingRequest(invite.room, userId, invite.createdBy);
+    return room;
+  } catch (err) {
+    // Joined in the meantime; give the use back
+    await RoomInvite.updateOne({ _id: invite._id }, { $inc: { uses: -1 } });
+    throw err;
+  }
+};
+
+/**
+ * Enters a room the way its settings allow: with an invite token, directly when
+ * the room is public, or through a join request in approval-queue mode
+ * @param {string} roomId
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.inviteToken] - Invite for this room
+ * @param {string} [options.message] - Note to the admins for a join request
+ * @returns {Promise<{status: string, room?: Object, request?: Object}>} - status 'joined' or 'pending'
+ */
+const enterRoom = async (roomId, userId, { inviteToken, message } = {}) => {
+  if (inviteToken) {
+    const invite = await RoomInvite.findOne({ token: String(inviteToken), room: roomId }).select('_id');
+    if (!invite) {
+      throw createRoomError(404, 'Invite not found');
+    }
+    return { status: 'joined', room: await redeemInvite(String(inviteToken), userId) };
+  }
+
+  const room = await Room.findById(roomId).select('isPrivate requireApproval members.user');
+  if (!room) {
+    throw createRoomError(404, 'Room not found');
+  }
+  if (!room.isPrivate || room.members.some(member => member.user.toString() === userId)) {
+    return { status: 'joined', room: await joinRoom(roomId, userId) };
+  }
+  if (!room.requireApproval) {
+    throw createRoomError(403, 'This room is private');
+  }
+  if (message !== undefined && (typeof message !== 'string' || message.length > 500)) {
+    throw createRoomError(400, 'Message must be at most 500 characters');
+  }
+
+  const existing = await RoomJoinRequest.findOne({ room: roomId, user: userId, status: 'pending' });
+  if (existing) {
+    return { status: 'pending', request: existing };
+  }
+
+  let request;
+  try {
+    request = await RoomJoinRequest.create({ room: roomId, user: userId, message });
+  } catch (err) {
+    // A concurrent request won the unique index
+    if (err.code === 11000) {
+      return { status: 'pending', request: await RoomJoinRequest.findOne({ room: roomId, user: userId, status: 'pending' }) };
+    }
+    throw err;
+  }
+
+  await request.populate('user', 'username');
+  const admins = await getRoomMemberIds(roomId, ADMIN_ROLES);
+  admins.forEach(adminId => emitToUser(adminId, 'joinRequestCreated', serializeJoinRequest(request)));
+  return { status: 'pending', request };
+};
+
+/**
+ * Lists the pending join requests of a room, oldest first (admins only)
+ * @param {string} roomId
+ * @param {string} userId - Acting user
+ * @returns {Promise<Object[]>}
+ */
+const listJoinRequests = async (roomId, userId) => {
+  await assertRoomAdmin(roomId, userId);
+  return RoomJoinRequest.find({ room: roomId, status: 'pending' })
+    .sort({ createdAt: 1 })
+    .populate('user', 'username');
+};
+
+/**
+ * Approves or denies a join request (room admins only). The requester and the
+ * room's admins are told, so every admin's queue stays current.
+ * @param {Object} params
+ * @param {string} params.requestId - Join request ID
+ * @param {boolean} params.approve - true to let the user in
+ * @param {string} params.userId - Reviewing user
+ * @returns {Promise<Object>} - The reviewed request
+ */
+const reviewJoinRequest = async ({ requestId, approve, userId }) => {
+  const request = mongoose.Types.ObjectId.isValid(requestId) ? await RoomJoinRequest.findById(requestId) : null;
+  if (!request) {
+    throw createRoomError(404, 'Join request not found');
+  }
+  await assertRoomAdmin(request.room, userId);
+
+  const reviewed = await RoomJoinRequest.findOneAndUpdate(
+    { _id: request._id, status: 'pending' },
+    { $set: { status: approve ? 'approved' : 'denied', reviewedBy: userId, reviewedAt: new Date() } },
+    { new: true }
+  ).populate('user', 'username');
+  if (!reviewed) {
+    throw createRoomError(409, `Join request was already ${request.status}`);
+  }
+
+  if (approve) {
+    try {
+      await admitMember(reviewed.room, reviewed.user._id, { action: 'added', by: userId });
+    } catch (err) {
+      // Already got in through an invite or an admin
+      if (err.status !== 409) {
+        throw err;
+      }
+    }
+  }
+
+  const payload = serializeJoinRequest(reviewed);
+  const admins = await getRoomMemberIds(reviewed.room, ADMIN_ROLES);
+  new Set([reviewed.user._id.toString(), ...admins]).forEach(recipientId => emitToUser(recipientId, 'joinRequestReviewed', payload));
+  return reviewed;
+};
+
+module.exports = {
+  serializeInvite,
+  serializeJoinRequest,
+  createInvite,
+  listInvites,
+  revokeInvite,
+  redeemInvite,
+  enterRoom,
+  listJoinRequests,
+  reviewJoinRequest
+};
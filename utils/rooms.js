@@ -0,0 +1,467 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const { emitToUser, removeUserFromSocketRoom } = require('../socket/emitter');
+
+const ADMIN_ROLES = ['owner', 'admin'];
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+/**
+ * Creates an error carrying the HTTP status the caller should answer with
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+const createRoomError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Finds a user's membership entry in a room
+ * @param {Object} room - Room document
+ * @param {string} userId
+ * @returns {Object|null} - { user, role, joinedAt }
+ */
+const findMember = (room, userId) => room.members.find(member => (member.user._id || member.user).toString() === userId.toString()) || null;
+
+/**
+ * Whether a user is a member of a room
+ * @param {string} roomId
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+const isRoomMember = async (roomId, userId) => {
+  if (!roomId || !userId) {
+    return false;
+  }
+  return Boolean(await Room.exists({ _id: roomId, 'members.user': userId }));
+};
+
+/**
+ * Whether a user is the owner or an admin of a room
+ * @param {string} roomId
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+const isRoomAdmin = async (roomId, userId) => {
+  if (!roomId || !userId) {
+    return false;
+  }
+  return Boolean(await Room.exists({ _id: roomId, members: { $elemMatch: { user: userId, role: { $in: ADMIN_ROLES } } } }));
+};
+
+/**
+ * Lists the IDs of a room's members
+ * @param {string} roomId
+ * @param {string[]} [roles] - Only members with one of these roles
+ * @returns {Promise<string[]>}
+ */
+const getRoomMemberIds = async (roomId, roles) => {
+  const room = await Room.findById(roomId).select('members').lean();
+  if (!room) {
+    return [];
+  }
+  return room.members
+    .filter(member => !roles || roles.includes(member.role))
+    .map(member => member.user.toString());
+};
+
+/**
+ * Lists the rooms a user is a member of
+ * @param {string} userId
+ * @returns {Promise<string[]>}
+ */
+const getUserRoomIds = async (userId) => {
+  return Room.find({ 'members.user': userId }).distinct('_id');
+};
+
+/**
+ * Lists the rooms a user administers
+ * @param {string} userId
+ * @returns {Promise<string[]>}
+ */
+const getAdministeredRoomIds = async (userId) => {
+  return Room.find({ members: { $elemMatch: { user: userId, role: { $in: ADMIN_ROLES } } } }).distinct('_id');
+};
+
+/**
+ * Returns the fields of a room clients need
+ * @param {Object} room - Room document, optionally with members.user populated
+ * @returns {Object}
+ */
+const serializeRoom = (room) => ({
+  roomId: room._id,
+  name: room.name,
+  description: room.description,
+  avatar: room.avatar,
+  isPrivate: room.isPrivate,
+  requireApproval: room.requireApproval,
+  members: room.members.map(({ user, role, joinedAt }) => ({
+    userId: user._id || user,
+    username: user.username,
+    role,
+    joinedAt
+  })),
+  createdBy: room.createdBy,
+  createdAt: room.createdAt,
+  updatedAt: room.updatedAt
+});
+
+/**
+ * Loads a room with member usernames
+ * @param {string} roomId
+ * @returns {Promise<Object|null>}
+ */
+const loadRoom = async (roomId) => {
+  return Room.findById(roomId).populate('members.user', 'username');
+};
+
+/**
+ * Loads a room the acting user belongs to, optionally requiring an admin role
+ * @param {string} roomId
+ * @param {string} userId - Acting user
+ * @param {Object} [options]
+ * @param {string[]} [options.roles] - Roles allowed to act
+ * @returns {Promise<{room: Object, member: Object}>}
+ */
+const loadRoomForMember = async (roomId, userId, { roles } = {}) => {
+  const room = await loadRoom(roomId);
+  const member = room && findMember(room, userId);
+  if (!member) {
+    throw createRoomError(404, 'Room not found');
+  }
+  if (roles && !roles.includes(member.role)) {
+    throw createRoomError(403, 'Not allowed to manage this room');
+  }
+  return { room, member };
+};
+
+/**
+ * Pushes a membership change to every member and to the affected user
+ * @param {Object} room - Room document after the change
+ * @param {Object} change - { userId, action, role, by }
+ */
+const emitMembershipChange = (room, change) => {
+  const payload = { roomId: room._id, ...change };
+  const recipients = new Set([...room.members.map(member => (member.user._id || member.user).toString()), change.userId.toString()]);
+  recipients.forEach(userId => emitToUser(userId, 'roomMembershipChanged', payload));
+};
+
+/**
+ * Validates room details from a request; undefined fields are left out
+ * @param {Object} details - { name, description, avatar, isPrivate, requireApproval }
+ * @returns {Object}
+ */
+const validateRoomDetails = ({ name, description, avatar, isPrivate, requireApproval }) => {
+  const details = {};
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+      throw createRoomError(400, `Name is required and must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    details.name = name.trim();
+  }
+  if (description !== undefined) {
+    if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+      throw createRoomError(400, `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    details.description = description.trim();
+  }
+  if (avatar !== undefined) {
+    if (typeof avatar !== 'string' || (avatar && !/^https?:\/\//i.test(avatar))) {
+      throw createRoomError(400, 'Avatar must be an http(s) URL');
+    }
+    details.avatar = avatar.trim();
+  }
+  if (isPrivate !== undefined) {
+    details.isPrivate = Boolean(isPrivate);
+  }
+  if (requireApproval !== undefined) {
+    details.requireApproval = Boolean(requireApproval);
+  }
+  return details;
+};
+
+/**
+ * Checks that a user exists
+ * @param {string} userId
+ */
+const assertUserExists = async (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId) || !(await User.exists({ _id: userId }))) {
+    throw createRoomError(404, 'User not found');
+  }
+};
+
+/**
+ * Creates a room owned by its creator
+ * @param {Object} details - { name, description, avatar, isPrivate, requireApproval, memberIds }
+ * @param {string} userId - Creator, who becomes the owner
+ * @returns {Promise<Object>} - The room
+ */
+const createRoom = async ({ memberIds = [], ...fields }, userId) => {
+  const details = validateRoomDetails(fields);
+  if (!details.name) {
+    throw createRoomError(400, 'Name is required');
+  }
+  if (!Array.isArray(memberIds)) {
+    throw createRoomError(400, 'memberIds must be an array of user IDs');
+  }
+
+  const otherIds = [...new Set(memberIds.map(String))]
+    .filter(id => id !== userId && mongoose.Types.ObjectId.isValid(id));
+  const others = await User.find({ _id: { $in: otherIds } }).select('_id');
+
+  const room = await Room.create({
+    ...details,
+    createdBy: userId,
+    members: [
+      { user: userId, role: 'owner' },
+      ...others.map(other => ({ user: other._id, role: 'member' }))
+    ]
+  });
+  others.forEach(other => emitMembershipChange(room, { userId: other._id, action: 'added', role: 'member', by: userId }));
+  return loadRoom(room._id);
+};
+
+/**
+ * Lists the rooms a user is a member of, most recently updated first
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+const listUserRooms = async (userId) => {
+  return Room.find({ 'members.user': userId })
+    .sort({ updatedAt: -1 })
+    .populate('members.user', 'username');
+};
+
+/**
+ * Returns a room to one of its members
+ * @param {string} roomId
+ * @param {string} userId
+ * @returns {Promise<Object>}
+ */
+const getRoomForMember = async (roomId, userId) => {
+  const { room } = await loadRoomForMember(roomId, userId);
+  return room;
+};
+
+/**
+ * Changes a room's name, description, avatar, privacy or approval mode (admins only)
+ * @param {string} roomId
+ * @param {Object} changes - { name, description, avatar, isPrivate, requireApproval }
+ * @param {string} userId - Acting user
+ * @returns {Promise<Object>} - The updated room
+ */
+const updateRoom = async (roomId, changes, userId) => {
+  const details = validateRoomDetails(changes);
+  if (Object.keys(details).length === 0) {
+    throw createRoomError(400, 'name, description, avatar, isPrivate or requireApproval is required');
+  }
+  const { room } = await loadRoomForMember(roomId, userId, { roles: ADMIN_ROLES });
+
+  room.set(details);
+  await room.save();
+  room.members.forEach(member => emitToUser(member.user._id, 'roomUpdated', serializeRoom(room)));
+  return room;
+};
+
+/**
+ * Adds a user to a room as a member and tells the room. Callers check that
+ * the user may enter; this only guards against double membership.
+ * @param {string} roomId
+ * @param {string} userId - User to add
+ * @param {Object} change - { action, by } reported in 'roomMembershipChanged'
+ * @returns {Promise<Object>} - The room
+ */
+const admitMember = async (roomId, userId, { action, by }) => {
+  const updated = await Room.findOneAndUpdate(
+    { _id: roomId, 'members.user': { $ne: userId } },
+    { $push: { members: { user: userId, role: 'member' } } },
+    { new: true }
+  ).populate('members.user', 'username');
+  if (!updated) {
+    throw createRoomError(409, 'Already a member of this room');
+  }
+  emitMembershipChange(updated, { userId, action, role: 'member', by });
+  return updated;
+};
+
+/**
+ * Joins a public room
+ * @param {string} roomId
+ * @param {string} userId
+ * @returns {Promise<Object>} - The room
+ */
+const joinRoom = async (roomId, userId) => {
+  const room = await Room.findById(roomId).select('isPrivate members.user');
+  if (!room) {
+    throw createRoomError(404, 'Room not found');
+  }
+  if (findMember(room, userId)) {
+    throw createRoomError(409, 'Already a member of this room');
+  }
+  if (room.isPrivate) {
+    throw createRoomError(403, 'This room is private');
+  }
+
+  return admitMember(roomId, userId, { action: 'joined', by: userId });
+};
+
+/**
+ * Adds a user to a room (admins only); the way into private rooms
+ * @param {string} roomId
+ * @param {string} targetId - User to add
+ * @param {string} userId - Acting user
+ * @returns {Promise<Object>} - The room
+ */
+const addMember = async (roomId, targetId, userId) => {
+  const { room } = await loadRoomForMember(roomId, userId, { roles: ADMIN_ROLES });
+  await assertUserExists(targetId);
+  if (findMember(room, targetId)) {
+    throw createRoomError(409, 'User is already a member of this room');
+  }
+
+  return admitMember(roomId, targetId, { action: 'added', by: userId });
+};
+
+/**
+ * Hands a room without an owner to its longest-serving admin, or else to its
+ * longest-serving member. The update only applies while the room has no owner and
+ * the heir is still a member, so concurrent membership changes are never overwritten.
+ * @param {string} roomId
+ * @returns {Promise<Object|null>} - The new owner's membership entry, or null if nobody is left
+ */
+const transferOwnership = async (roomId) => {
+  for (;;) {
+    const room = await Room.findById(roomId).select('members');
+    if (!room || room.members.length === 0 || room.members.some(member => member.role === 'owner')) {
+      return null;
+    }
+    const byTenure = [...room.members].sort((a, b) => a.joinedAt - b.joinedAt);
+    const heir = byTenure.find(member => member.role === 'admin') || byTenure[0];
+    const updated = await Room.findOneAndUpdate(
+      { _id: roomId, 'members.role': { $ne: 'owner' }, 'members.user': heir.user },
+      { $set: { 'members.$[heir].role': 'owner' } },
+      { arrayFilters: [{ 'heir.user': heir.user }] }
+    );
+    if (updated) {
+      return heir;
+    }
+  }
+};
+
+/**
+ * Leaves a room. An owner who leaves hands the room to the longest-serving
+ * admin, or else to the longest-serving member.
+ * @param {string} roomId
+ * @param {string} userId
+ * @returns {Promise<Object>} - The room
+ */
+const leaveRoom = async (roomId, userId) => {
+  await loadRoomForMember(roomId, userId);
+
+  // Atomic, so members admitted meanwhile stay; the room as it was tells the role held
+  const before = await Room.findOneAndUpdate(
+    { _id: roomId, 'members.user': userId },
+    { $pull: { members: { user: userId } } }
+  );
+  const member = before && findMember(before, userId);
+  if (!member) {
+    throw createRoomError(404, 'Room not found');
+  }
+  const newOwner = member.role === 'owner' ? await transferOwnership(roomId) : null;
+  const room = await loadRoom(roomId);
+
+  removeUserFromSocketRoom(userId, roomId);
+  emitMembershipChange(room, { userId, action: 'left', by: userId });
+  if (newOwner) {
+    emitMembershipChange(room, { userId: newOwner.user, action: 'roleChanged', role: 'owner', by: userId });
+  }
+  return room;
+};
+
+/**
+ * Removes a member from a room. Admins can remove members; only the owner can remove admins.
+ * @param {string} roomId
+ * @param {string} targetId - Member to remove
+ * @param {string} userId - Acting user
+ * @returns {Promise<Object>} - The room
+ */
+const removeMember = async (roomId, targetId, userId) => {
+  if (targetId === userId) {
+    throw createRoomError(400, 'Leave the room instead of removing yourself');
+  }
+  const { room, member } = await loadRoomForMember(roomId, userId, { roles: ADMIN_ROLES });
+  const target = findMember(room, targetId);
+  if (!target) {
+    throw createRoomError(404, 'User is not a member of this room');
+  }
+  if (target.role === 'owner' || (target.role === 'admin' && member.role !== 'owner')) {
+    throw createRoomError(403, 'Not allowed to remove this member');
+  }
+
+  const updated = await Room.findByIdAndUpdate(
+    roomId,
+    { $pull: { members: { user: targetId } } },
+    { new: true }
+  ).populate('members.user', 'username');
+  removeUserFromSocketRoom(targetId, roomId);
+  emitMembershipChange(updated, { userId: targetId, action: 'removed', by: userId });
+  return updated;
+};
+
+/**
+ * Promotes a member to admin or demotes an admin to member (owner only)
+ * @param {string} roomId
+ * @param {string} targetId - Member whose role changes
+ * @param {string} role - 'admin' or 'member'
+ * @param {string} userId - Acting user
+ * @returns {Promise<Object>} - The room
+ */
+const setMemberRole = async (roomId, targetId, role, userId) => {
+  if (!['admin', 'member'].includes(role)) {
+    throw createRoomError(400, 'Role must be "admin" or "member"');
+  }
+  const { room } = await loadRoomForMember(roomId, userId, { roles: ['owner'] });
+  const target = findMember(room, targetId);
+  if (!target) {
+    throw createRoomError(404, 'User is not a member of this room');
+  }
+  if (target.role === 'owner') {
+    throw createRoomError(400, 'The owner\'s role cannot be changed');
+  }
+  if (target.role === role) {
+    return room;
+  }
+
+  const updated = await Room.findOneAndUpdate(
+    { _id: roomId, 'members.user': targetId },
+    { $set: { 'members.$.role': role } },
+    { new: true }
+  ).populate('members.user', 'username');
+  emitMembershipChange(updated, { userId: targetId, action: 'roleChanged', role, by: userId });
+  return updated;
+};
+
+module.exports = {
+  ADMIN_ROLES,
+  createRoomError,
+  isRoomMember,
+  isRoomAdmin,
+  getRoomMemberIds,
+  getUserRoomIds,
+  getAdministeredRoomIds,
+  serializeRoom,
+  admitMember,
+  createRoom,
+  listUserRooms,
+  getRoomForMember,
+  updateRoom,
+  joinRoom,
+  addMember,
+  leaveRoom,
+  removeMember,
+  setMemberRole
+};
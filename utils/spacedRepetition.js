@@ -0,0 +1,62 @@
+// SM-2 defaults: new cards start at ease 2.5 and never drop below 1.3
+const INITIAL_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the scheduling state of a card that has never been reviewed
+ * @param {Date} [now]
+ * @returns {{easeFactor: number, interval: number, repetitions: number, lapses: number, dueAt: Date}}
+ */
+const initialSchedule = (now = new Date()) => ({
+  easeFactor: INITIAL_EASE_FACTOR,
+  interval: 0,
+  repetitions: 0,
+  lapses: 0,
+  dueAt: now
+});
+
+/**
+ * Applies one SM-2 review to a card's scheduling state
+ * @param {Object} state - Current { easeFactor, interval, repetitions, lapses }
+ * @param {number} quality - Recall quality from 0 (blackout) to 5 (perfect)
+ * @param {Date} [now]
+ * @returns {{easeFactor: number, interval: number, repetitions: number, lapses: number, dueAt: Date}}
+ */
+const applyReview = (state, quality, now = new Date()) => {
+  let { easeFactor, interval, repetitions, lapses } = { ...initialSchedule(now), ...state };
+
+  if (quality >= 3) {
+    if (repetitions === 0) {
+      interval = 1;
+    } else if (repetitions === 1) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * easeFactor);
+    }
+    repetitions++;
+  } else {
+    // Forgotten cards start over but keep their (lowered) ease
+    repetitions = 0;
+    interval = 1;
+    lapses++;
+  }
+
+  easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  return {
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    interval,
+    repetitions,
+    lapses,
+    dueAt: new Date(now.getTime() + interval * DAY_MS)
+  };
+};
+
+module.exports = {
+  initialSchedule,
+  applyReview
+};
@@ -0,0 +1,72 @@
+// Placeholder shape that machine translation leaves alone; the restore pattern
+// also accepts the spacing and underscore variations providers sometimes introduce
+const makePlaceholder = (index) => `__VG${index}__`;
+const PLACEHOLDER_REGEX = /_{1,2}\s*VG\s*(\d+)\s*_{1,2}/gi;
+
+/**
+ * Replaces spans of a text with placeholders before translation
+ * @param {string} text - Original text
+ * @param {Array<{start: number, end: number, restoreAs: string}>} spans - Spans to protect;
+ *   overlapping spans are dropped in favour of the earliest, longest one
+ * @returns {{text: string, restore: function(string): string, protect: function(string): (string|null)}}
+ *   `protect` does the reverse of `restore` for a translation written by hand; it returns
+ *   null when the translation does not contain every protected span
+ */
+const protectSpans = (text, spans) => {
+  if (!spans.length) {
+    return { text, restore: translated => translated, protect: translated => translated };
+  }
+
+  const ordered = [...spans].sort((a, b) => a.start - b.start || b.end - a.end);
+  const kept = [];
+  let lastEnd = -1;
+  ordered.forEach(span => {
+    if (span.start >= lastEnd) {
+      kept.push(span);
+      lastEnd = span.end;
+    }
+  });
+
+  let protectedText = '';
+  let cursor = 0;
+  kept.forEach((span, index) => {
+    protectedText += text.slice(cursor, span.start) + makePlaceholder(index);
+    cursor = span.end;
+  });
+  protectedText += text.slice(cursor);
+
+  const restore = (translated) => {
+    const seen = new Set();
+    let restored = translated.replace(PLACEHOLDER_REGEX, (match, index) => {
+      const span = kept[parseInt(index)];
+      if (!span) {
+        return match;
+      }
+      seen.add(span);
+      return span.restoreAs;
+    });
+
+    // A provider occasionally drops a placeholder; keep the content rather than lose it
+    const missing = kept.filter(span => !seen.has(span));
+    if (missing.length) {
+      restored = `${restored} ${missing.map(span => span.restoreAs).join(' ')}`;
+    }
+    return restored;
+  };
+
+  const protect = (translated) => {
+    let result = translated;
+    for (let index = 0; index < kept.length; index++) {
+      const position = result.indexOf(kept[index].restoreAs);
+      if (position === -1) {
+        return null;
+      }
+      result = result.slice(0, position) + makePlaceholder(index) + result.slice(position + kept[index].restoreAs.length);
+    }
+    return result;
+  };
+
+  return { text: protectedText, restore, protect };
+};
+
+module.exports = { protectSpans };
@@ -1,45 +1,11 @@
 const sdk = require("microsoft-cognitiveservices-speech-sdk");
 const { Readable } = require('stream');
+const { speechRecognitionLocales: languageCodeMap } = require('../config/languages');
 
 // Azure Speech Service configuration
 const SPEECH_KEY = process.env.AZURE_SPEECH_KEY;
 const SPEECH_REGION = process.env.AZURE_SPEECH_REGION;
 
-// Language code mapping for Azure Speech Service
-const languageCodeMap = {
-  'en': 'en-US',
-  'hi': 'hi-IN',
-  'es': 'es-ES',
-  'fr': 'fr-FR',
-  'de': 'de-DE',
-  'it': 'it-IT',
-  'ja': 'ja-JP',
-  'ko': 'ko-KR',
-  'pt': 'pt-BR',
-  'ru': 'ru-RU',
-  'zh': 'zh-CN',
-  'pa': 'pa-IN',
-  // Indian languages
-  'mr': 'mr-IN',  // Marathi
-  'bn': 'bn-IN',  // Bengali
-  'gu': 'gu-IN',  // Gujarati
-  'kn': 'kn-IN',  // Kannada
-  'ml': 'ml-IN',  // Malayalam
-  'or': 'or-IN',  // Odia/Oriya
-  'ta': 'ta-IN',  // Tamil
-  'te': 'te-IN',  // Telugu
-  'ur': 'ur-IN',  // Urdu
-  'as': 'as-IN',  // Assamese
-  'sa': 'sa-IN',  // Sanskrit
-  'sd': 'sd-IN',  // Sindhi
-  'ne': 'ne-NP',  // Nepali
-  'si': 'si-LK',  // Sinhala
-  'kok': 'kok-IN', // Konkani
-  'doi': 'doi-IN', // Dogri
-  'mai': 'mai-IN', // Maithili
-  'bho': 'bho-IN', // Bhojpuri
-};
-
 // Cache for validated language codes
 const validatedLanguageCache = new Map();
 
@@ -1,6 +1,7 @@
 const { speechToText } = require('./speechToTextModule');
 const { textToSpeech } = require('./textToSpeechModule');
 const { translateText, translateBatch } = require('./translator');
+const { checkQuota, recordUsage } = require('./usageMeter');
 
 // Cache frequently used regex patterns
 const PUNCTUATION_REGEX = /[.!?]$/;
@@ -18,9 +19,12 @@ const DEFAULT_RESULT = Object.freeze({
  * @param {ArrayBuffer|Buffer|string} audioData - Raw audio data (Buffer, ArrayBuffer, or base64 string)
  * @param {string} sourceLanguage - Source language code
  * @param {string} targetLanguage - Target language code
- * @returns {Promise<{text: {original: string, translated: string}, audio: Buffer|null, error: string|null}>}
+ * @param {Object} [usage] - Who is charged for transcription, translation and synthesis
+ * @param {string} [usage.userId]
+ * @param {string} [usage.roomId]
+ * @returns {Promise<{text: {original: string, translated: string}, audio: Buffer|null, error: string|null, code?: string}>}
  */
-const translateSpeech = async (audioData, sourceLanguage, targetLanguage) => {
+const translateSpeech = async (audioData, sourceLanguage, targetLanguage, usage = {}) => {
   // Early validation to fail fast
   if (!audioData) {
     return { ...DEFAULT_RESULT, error: 'Invalid or missing audio data' };
@@ -47,11 +51,27 @@ const translateSpeech = async (audioData, sourceLanguage, targetLanguage) => {
     const isSameLanguage = normalizedSourceLang === normalizedTargetLang;
     
     // 1. Speech to text - run only once
+    const seconds = getAudioDurationSeconds(audioBuffer);
+    try {
+      await checkQuota(usage.userId, 'stt', seconds);
+    } catch (quotaError) {
+      return { ...DEFAULT_RESULT, error: quotaError.message, code: quotaError.code };
+    }
+
     const { text: originalText, error: sttError } = await performSpeechToText(audioBuffer, normalizedSourceLang);
     
     if (sttError) {
       return { ...DEFAULT_RESULT, error: sttError };
     }
+
+    recordUsage({
+      userId: usage.userId,
+      roomId: usage.roomId,
+      kind: 'stt',
+      units: seconds,
+      provider: 'azure-speech',
+      sourceLanguage: normalizedSourceLang
+    });
     
     if (!originalText) {
       return { ...DEFAULT_RESULT, error: 'No speech detected or empty transcription' };
@@ -63,7 +83,7 @@ const translateSpeech = async (audioData, sourceLanguage, targetLanguage) => {
     
     if (!isSameLanguage) {
       // 2. Translation
-      const translationResult = await performTranslation(originalText, normalizedSourceLang, normalizedTargetLang);
+      const translationResult = await performTranslation(originalText, normalizedSourceLang, normalizedTargetLang, usage);
       translatedText = translationResult.text;
       translationError = translationResult.error;
       
@@ -71,7 +91,8 @@ const translateSpeech = async (audioData, sourceLanguage, targetLanguage) => {
         return {
           ...DEFAULT_RESULT,
           text: { original: originalText, translated: '' },
-          error: translationError
+          error: translationError,
+          code: translationResult.code
         };
       }
     } else {
@@ -79,6 +100,17 @@ const translateSpeech = async (audioData, sourceLanguage, targetLanguage) => {
     }
 
     // 3. Text to speech
+    try {
+      await checkQuota(usage.userId, 'tts', translatedText.length);
+    } catch (quotaError) {
+      return {
+        ...DEFAULT_RESULT,
+        text: { original: originalText, translated: translatedText },
+        error: quotaError.message,
+        code: quotaError.code
+      };
+    }
+
     const { audio: translatedAudio, error: ttsError } = 
       await performTextToSpeech(translatedText, normalizedTargetLang);
     
@@ -90,6 +122,15 @@ const translateSpeech = async (audioData, sourceLanguage, targetLanguage) => {
       };
     }
 
+    recordUsage({
+      userId: usage.userId,
+      roomId: usage.roomId,
+      kind: 'tts',
+      units: translatedText.length,
+      provider: 'azure-speech',
+      targetLanguage: normalizedTargetLang
+    });
+
     // Success
     return {
       text: { original: originalText, translated: translatedText },
@@ -318,6 +359,22 @@ function normalizeLanguage(language) {
   return normalized;
 }
 
+/**
+ * Estimates the duration of an audio buffer for metering. WAV input is measured
+ * from its header; raw input is assumed to be 16kHz 16-bit mono PCM.
+ * @param {Buffer} audioBuffer
+ * @returns {number} - Seconds, rounded up to a tenth
+ */
+function getAudioDurationSeconds(audioBuffer) {
+  let byteRate = WAV_BYTE_RATE;
+  let dataLength = audioBuffer.length;
+  if (audioBuffer.length >= 44 && audioBuffer.slice(0, 4).toString('ascii') === VALID_WAV_HEADER) {
+    byteRate = audioBuffer.readUInt32LE(28) || WAV_BYTE_RATE;
+    dataLength = audioBuffer.length - 44;
+  }
+  return Math.ceil((dataLength / byteRate) * 10) / 10;
+}
+
 /**
  * Performs speech-to-text conversion - optimized
  * @param {Buffer} audioBuffer
@@ -353,9 +410,10 @@ async function performSpeechToText(audioBuffer, language) {
  * @param {string} text
  * @param {string} sourceLanguage
  * @param {string} targetLanguage
- * @returns {Promise<{text: string, error: string|null}>}
+ * @param {Object} [usage] - { userId, roomId } charged for the translation
+ * @returns {Promise<{text: string, error: string|null, code?: string}>}
  */
-async function performTranslation(text, sourceLanguage, targetLanguage) {
+async function performTranslation(text, sourceLanguage, targetLanguage, usage = {}) {
   // Skip translation if languages are the same
   if (sourceLanguage === targetLanguage) {
     return { text, error: null };
@@ -376,10 +434,10 @@ async function performTranslation(text, sourceLanguage, targetLanguage) {
         return PUNCTUATION_REGEX.test(trimmed) ? trimmed : trimmed + '.';
       });
       
-      const translatedSegments = await translateBatch(segmentsWithPunctuation, sourceLanguage, targetLanguage);
+      const translatedSegments = await translateBatch(segmentsWithPunctuation, sourceLanguage, targetLanguage, usage);
       translatedText = translatedSegments.join(' ');
     } else {
-      translatedText = await translateText(text, sourceLanguage, targetLanguage);
+      translatedText = await translateText(text, sourceLanguage, targetLanguage, usage);
     }
     
     if (!translatedText || typeof translatedText !== 'string' || !translatedText.trim()) {
@@ -391,7 +449,8 @@ async function performTranslation(text, sourceLanguage, targetLanguage) {
     console.error('Translation error:', error);
     return {
       text: '',
-      error: `Translation failed: ${error.message || 'Unknown error'}`
+      error: `Translation failed: ${error.message || 'Unknown error'}`,
+      code: error.code
     };
   }
 }
@@ -2,6 +2,7 @@ const sdk = require('microsoft-cognitiveservices-speech-sdk');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const { speechSynthesisVoices: voiceMap } = require('../config/languages');
 
 // Azure Speech Service configuration
 const SPEECH_KEY = process.env.AZURE_SPEECH_KEY;
@@ -19,72 +20,6 @@ if (!SPEECH_KEY || !SPEECH_REGION) {
   console.error('Azure Speech Service credentials not configured!');
 }
 
-// Updated language to voice mapping with more Indian languages
-const voiceMap = {
-  'en': 'en-US-JennyNeural',
-  'hi': 'hi-IN-SwaraNeural',
-  'es': 'es-ES-ElviraNeural',
-  'fr': 'fr-FR-DeniseNeural',
-  'de': 'de-DE-KatjaNeural',
-  'it': 'it-IT-ElsaNeural',
-  'ja': 'ja-JP-NanamiNeural',
-  'ko': 'ko-KR-SunHiNeural',
-  'pt': 'pt-BR-FranciscaNeural',
-  'ru': 'ru-RU-SvetlanaNeural',
-  'zh': 'zh-CN-XiaoxiaoNeural',
-  'ar': 'ar-SA-ZariyahNeural',
-  'cs': 'cs-CZ-VlastaNeural',
-  'da': 'da-DK-ChristelNeural',
-  'nl': 'nl-NL-ColetteNeural',
-  'fi': 'fi-FI-NooraNeural',
-  'el': 'el-GR-AthinaNeural',
-  'he': 'he-IL-HilaNeural',
-  'hu': 'hu-HU-NoemiNeural',
-  'id': 'id-ID-GadisNeural',
-  'ms': 'ms-MY-YasminNeural',
-  'nb': 'nb-NO-IselinNeural',
-  'pl': 'pl-PL-ZofiaNeural',
-  'ro': 'ro-RO-AlinaNeural',
-  'sk': 'sk-SK-ViktoriaNeural',
-  'sl': 'sl-SI-PetraNeural',
-  'sv': 'sv-SE-SofieNeural',
-  'ta': 'ta-IN-PallaviNeural',
-  'te': 'te-IN-ShrutiNeural',
-  'th': 'th-TH-AcharaNeural',
-  'tr': 'tr-TR-EmelNeural',
-  'uk': 'uk-UA-PolinaNeural',
-  'vi': 'vi-VN-HoaiMyNeural',
-  'af': 'af-ZA-AdriNeural',
-  'bg': 'bg-BG-KalinaNeural',
-  'fil': 'fil-PH-BlessicaNeural',
-  'ca': 'ca-ES-AlbaNeural',
-  'cy': 'cy-GB-NiaNeural',
-  // Adding more Indian languages
-  'bn': 'bn-IN-TanishaaNeural',   // Bengali
-  'gu': 'gu-IN-DhwaniNeural',     // Gujarati
-  'kn': 'kn-IN-SapnaNeural',      // Kannada
-  'ml': 'ml-IN-SobhanaNeural',    // Malayalam
-  'mr': 'mr-IN-AarohiNeural',     // Marathi
-  'or': 'or-IN-SwaraNeural',      // Odia
-  'pa': 'pa-IN-VaaniNeural',    // Punjabi
-  'sa': 'sa-IN-ShrutiNeural',     // Sanskrit
-  'ur': 'ur-IN-GulNeural'  ,       // Urdu
-  'ta':'ta-IN-PallaviNeural',    // Tamil
-  'te':'te-IN-ShrutiNeural',    // Telugu
-  // Additional Indian languages for the voiceMap
-'as': 'as-IN-DiptiNeural',     // Assamese
-'brx': 'brx-IN-KamalNeural',   // Bodo
-'doi': 'doi-IN-PreetamNeural', // Dogri
-'gom': 'gom-IN-AnamikaNeural', // Konkani (Goan)
-'kok': 'kok-IN-JasmineNeural', // Konkani
-'kas': 'kas-IN-RafikaNeural',  // Kashmiri
-'sd': 'sd-IN-KalpenNeural',    // Sindhi
-'si': 'si-LK-ThiliniNeural',   // Sinhala
-'ne': 'ne-NP-HemkalaNeural',   // Nepali
-'mai': 'mai-IN-ShiwaniNeural', // Maithili
-'mni': 'mni-IN-OinaNeural',    // Manipuri
-};
-
 /**
  * Get voice name based on language code
  * @param {string} languageCode - Language code
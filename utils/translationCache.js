@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const TranslationMemory = require('../models/TranslationMemory');
+const { createLruCache } = require('./lruCache');
+const { cache: cacheConfig } = require('../config/translation');
+
+// Process-local layer in front of the shared translation memory
+const memoryCache = createLruCache({ max: cacheConfig.memoryMaxSize, ttl: cacheConfig.memoryTtl });
+
+// Remembers that a room or user has no preferred translation of a text, so lookups
+// in that scope do not query MongoDB every time. Other instances therefore serve a
+// new approval once their memory entry expires.
+const ABSENT = { absent: true };
+
+const stats = {
+  memoryHits: 0,
+  persistentHits: 0,
+  misses: 0,
+  persistentErrors: 0
+};
+
+/**
+ * Normalizes text so trivially different inputs share one cache entry. Line breaks
+ * are kept, since translations keep them; only spacing within and around lines collapses.
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeText = (text) => text.normalize('NFC')
+  .replace(/\r\n?/g, '\n')
+  .replace(/[^\S\n]+/g, ' ')
+  .replace(/ ?\n ?/g, '\n')
+  .trim();
+
+/**
+ * Returns the scope human-approved translations are stored under: the room, or for
+ * direct messages the sender whose glossary applies. Approvals therefore only change
+ * what that room or sender's messages are translated to.
+ * @param {Object} context
+ * @param {string} [context.roomId]
+ * @param {string} [context.userId]
+ * @returns {string|null}
+ */
+const getPreferenceScope = ({ roomId, userId } = {}) => {
+  if (roomId) {
+    return `room:${roomId}`;
+  }
+  return userId ? `user:${userId}` : null;
+};
+
+/**
+ * Builds the cache key for a text and language pair
+ * @param {string} text - Source text
+ * @param {string|null} sourceLanguage - Source language code, null for auto-detection
+ * @param {string} targetLanguage - Target language code
+ * @param {Object} [options]
+ * @param {string} [options.textType] - 'html' results are kept apart from plain ones
+ * @param {string} [options.category] - Custom Translator category; general results have none
+ * @param {string} [options.profanityAction] - Filtered results are kept apart from unfiltered ones
+ * @param {string} [options.profanityMarker]
+ * @param {string} [options.scope] - Room or user a preferred translation belongs to, see getPreferenceScope
+ * @returns {{key: string, textHash: string}}
+ */
+const buildKey = (text, sourceLanguage, targetLanguage, options = {}) => {
+  const textHash = crypto.createHash('sha256').update(normalizeText(text)).digest('hex');
+  const parts = [sourceLanguage || 'auto', targetLanguage];
+  if (options.textType === 'html') {
+    parts.push('html');
+  }
+  if (options.category) {
+    parts.push(`category=${options.category}`);
+  }
+  if (options.profanityAction) {
+    parts.push(`profanity=${options.profanityAction}${options.profanityMarker ? `/${options.profanityMarker}` : ''}`);
+  }
+  if (options.scope) {
+    parts.push(`scope=${options.scope}`);
+  }
+  parts.push(textHash);
+  return { key: parts.join(':'), textHash };
+};
+
+/**
+ * The shared collection is only used while MongoDB is connected,
+ * so standalone scripts never block on mongoose command buffering
+ * @returns {boolean}
+ */
+const isPersistentAvailable = () => mongoose.connection.readyState === 1;
+
+/**
+ * Looks up cached translations for a list of texts. Within a scope, a preferred
+ * translation of that room or user wins over the shared entry.
+ * @param {string[]} texts - Source texts
+ * @param {string|null} sourceLanguage - Source language code
+ * @param {string} targetLanguage - Target language code
+ * @param {Object} [options] - Key options, see buildKey
+ * @param {string|null} [scope] - From getPreferenceScope
+ * @returns {Promise<Map<number, {result: string, provider: string}>>} - Hits keyed by input index
+ */
+const getMany = async (texts, sourceLanguage, targetLanguage, options = {}, scope = null) => {
+  const hits = new Map();
+  // Keys of each text, most specific first
+  const lookups = texts.map(text => [
+    ...(scope ? [buildKey(text, sourceLanguage, targetLanguage, { ...options, scope }).key] : []),
+    buildKey(text, sourceLanguage, targetLanguage, options).key
+  ]);
+  const values = new Map();
+  const pending = new Set();
+
+  lookups.forEach(keys => {
+    for (const key of keys) {
+      const cached = values.get(key) || memoryCache.get(key);
+      if (cached) {
+        values.set(key, cached);
+        if (cached !== ABSENT) {
+          return;
+        }
+      } else {
+        pending.add(key);
+      }
+    }
+  });
+
+  const persistent = new Set();
+  if (pending.size > 0 && isPersistentAvailable()) {
+    try {
+      const entries = await TranslationMemory.find({ key: { $in: [...pending] } })
+        .select('key translatedText provider preferred')
+        .lean();
+
+      entries.forEach(entry => {
+        const value = { result: entry.translatedText, provider: entry.provider, preferred: Boolean(entry.preferred) };
+        memoryCache.set(entry.key, value);
+        values.set(entry.key, value);
+        persistent.add(entry.key);
+      });
+      if (scope) {
+        lookups.forEach(([scopedKey]) => {
+          if (pending.has(scopedKey) && !values.has(scopedKey)) {
+            memoryCache.set(scopedKey, ABSENT);
+          }
+        });
+      }
+
+      if (entries.length > 0) {
+        // Bump counters and slide the expiry (preferred entries never expire) without delaying the caller
+        TranslationMemory.updateMany(
+          { key: { $in: entries.map(entry => entry.key) } },
+          [{
+            $set: {
+              hits: { $add: [{ $ifNull: ['$hits', 0] }, 1] },
+              lastUsedAt: new Date(),
+              expiresAt: { $cond: [{ $eq: ['$preferred', true] }, '$$REMOVE', getExpiryDate()] }
+            }
+          }]
+        ).catch(err => {
+          stats.persistentErrors++;
+          console.error('Failed to update translation memory hits:', err.message);
+        });
+      }
+    } catch (err) {
+      stats.persistentErrors++;
+      console.error('Translation memory lookup failed:', err.message);
+    }
+  }
+
+  lookups.forEach((keys, i) => {
+    const key = keys.find(candidate => values.has(candidate) && values.get(candidate) !== ABSENT);
+    if (!key) {
+      stats.misses++;
+      return;
+    }
+    stats[persistent.has(key) ? 'persistentHits' : 'memoryHits']++;
+    hits.set(i, values.get(key));
+  });
+  return hits;
+};
+
+/**
+ * Stores translations in both cache layers. Machine output never replaces a
+ * preferred (human-approved) entry; preferred entries replace anything and do not expire.
+ * @param {Array<{text: string, result: string}>} items - Source texts and their translations
+ * @param {string|null} sourceLanguage - Source language code
+ * @param {string} targetLanguage - Target language code
+ * @param {string} provider - Provider that produced the translations
+ * @param {Object} [options] - Key options, see buildKey
+ * @param {boolean} [options.preferred] - Store as a human-approved translation
+ * @returns {Promise<void>}
+ */
+const setMany = async (items, sourceLanguage, targetLanguage, provider, options = {}) => {
+  const preferred = Boolean(options.preferred);
+  const operations = items.map(({ text, result }) => {
+    const { key, textHash } = buildKey(text, sourceLanguage, targetLanguage, options);
+    const existing = memoryCache.get(key);
+    if (preferred || !existing || !existing.preferred) {
+      memoryCache.set(key, { result, provider, preferred });
+    }
+
+    const content = {
+      sourceLanguage: sourceLanguage || 'auto',
+      targetLanguage,
+      textHash,
+      sourceText: normalizeText(text),
+      translatedText: result,
+      provider
+    };
+    const update = preferred
+      ? {
+        $set: { ...content, preferred: true, lastUsedAt: new Date() },
+        $unset: { expiresAt: '' },
+        $setOnInsert: { hits: 0 }
+      }
+      : {
+        // Only misses are written, so an existing entry is either fresh or preferred; keep it
+        $set: { lastUsedAt: new Date() },
+        $setOnInsert: { ...content, hits: 0, expiresAt: getExpiryDate() }
+      };
+    return { updateOne: { filter: { key }, update, upsert: true } };
+  });
+
+  if (operations.length === 0 || !isPersistentAvailable()) {
+    return;
+  }
+
+  try {
+    await TranslationMemory.bulkWrite(operations, { ordered: false });
+  } catch (err) {
+    stats.persistentErrors++;
+    console.error('Failed to store translation memory entries:', err.message);
+  }
+};
+
+/**
+ * Expiry date for entries written or used now
+ * @returns {Date}
+ */
+function getExpiryDate() {
+  return new Date(Date.now() + cacheConfig.persistentTtlDays * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Returns cache counters
+ * @returns {Object}
+ */
+const getCacheStats = () => ({
+  ...stats,
+  memorySize: memoryCache.size
+});
+
+module.exports = {
+  normalizeText,
+  getPreferenceScope,
+  buildKey,
+  getMany,
+  setMany,
+  getCacheStats
+};
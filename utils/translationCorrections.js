@@ -0,0 +1,312 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Glossary = require('../models/Glossary');
+const TranslationCorrection = require('../models/TranslationCorrection');
+const { recordPreferredTranslation } = require('./translator');
+const { invalidateGlossary } = require('./glossary');
+const { getNativeScript, toLatinScript } = require('./transliterator');
+const { ADMIN_ROLES, isRoomMember, isRoomAdmin, getRoomMemberIds, getAdministeredRoomIds } = require('./rooms');
+const { emitToUser } = require('../socket/emitter');
+
+const MAX_CORRECTION_LENGTH = 5000;
+
+// Reviewers may also add corrections of short messages to the glossary, so the
+// phrase is fixed inside longer messages too
+const MAX_GLOSSARY_TERM_WORDS = 3;
+
+/**
+ * Creates an error carrying the HTTP status the caller should answer with
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+const createCorrectionError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Whether a user can see a message: room messages to the room's members,
+ * direct messages only to their two participants
+ * @param {Object} message - Chat message
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+const canViewMessage = async (message, userId) => (message.room
+  ? isRoomMember(message.room, userId)
+  : message.sender.toString() === userId || message.receiver?.toString() === userId);
+
+/**
+ * Whether a user may accept or reject corrections of a message:
+ * its sender, and the admins of its room
+ * @param {Object} message - Chat message
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+const canReviewCorrection = async (message, userId) => message.sender.toString() === userId
+  || Boolean(message.room && await isRoomAdmin(message.room, userId));
+
+/**
+ * Users who receive a message and therefore need correction updates
+ * @param {Object} message - Chat message
+ * @returns {Promise<string[]>}
+ */
+const getMessageAudience = async (message) => {
+  if (!message.room) {
+    return [message.sender, message.receiver].filter(Boolean).map(id => id.toString());
+  }
+  return getRoomMemberIds(message.room);
+};
+
+/**
+ * Returns the text a correction translates, as the translation memory and glossary key it
+ * @param {Object} message - Chat message
+ * @returns {string}
+ */
+const getCorrectionSource = (message) => (message.normalizedContent || message.originalContent).trim();
+
+/**
+ * Rejects a request to add a correction to the glossary when the message is too long to be a term
+ * @param {Object} message - Chat message
+ * @param {boolean} addToGlossary
+ */
+const checkGlossaryTerm = (message, addToGlossary) => {
+  if (addToGlossary && getCorrectionSource(message).split(/\s+/).length > MAX_GLOSSARY_TERM_WORDS) {
+    throw createCorrectionError(400, `Only messages of up to ${MAX_GLOSSARY_TERM_WORDS} words can be added to the glossary`);
+  }
+};
+
+/**
+ * Makes an accepted correction the preferred output for identical future text in the
+ * message's room, or from its sender: stored in the translation memory under that
+ * scope and, when the reviewer asks for it, in the glossary
+ * @param {Object} message - Corrected chat message
+ * @param {string} language - Corrected language
+ * @param {string} text - Accepted translation
+ * @param {string} reviewerId - User who accepted the correction
+ * @param {boolean} addToGlossary - Whether to add the message as a glossary term
+ */
+const recordPreferredOutput = async (message, language, text, reviewerId, addToGlossary) => {
+  const source = getCorrectionSource(message);
+  const context = { userId: message.sender.toString(), roomId: message.room };
+  const sourceLanguage = message.languageUncertain ? null : message.originalLanguage;
+
+  try {
+    const stored = await recordPreferredTranslation(source, sourceLanguage, language, text, context);
+    if (!stored) {
+      console.log(`Correction of message ${message._id} does not keep its protected spans, not cached`);
+    }
+  } catch (err) {
+    console.error('Failed to cache accepted correction:', err.message);
+  }
+
+  if (!addToGlossary) {
+    return;
+  }
+
+  try {
+    const scope = message.room
+      ? { scope: 'room', room: message.room }
+      : { scope: 'user', owner: message.sender };
+    const entry = await Glossary.findOne({ ...scope, term: source });
+    if (entry) {
+      entry.translations.set(language, text);
+      await entry.save();
+    } else {
+      await Glossary.create({
+        ...scope,
+        term: source,
+        translations: new Map([[language, text]]),
+        createdBy: reviewerId
+      });
+    }
+    invalidateGlossary();
+  } catch (err) {
+    console.error('Failed to add accepted correction to glossary:', err.message);
+  }
+};
+
+/**
+ * Writes an accepted correction into the message, notifies its audience and
+ * records the text as the preferred output
+ * @param {Object} correction - Correction already marked as accepted
+ * @param {Object} message - Corrected chat message
+ * @param {string} reviewerId - User accepting the correction
+ * @param {boolean} addToGlossary - Whether to add the message as a glossary term
+ * @returns {Promise<Object>} - Updated message
+ */
+const applyCorrection = async (correction, message, reviewerId, addToGlossary) => {
+  const { language, suggestedTranslation } = correction;
+
+  message.translations.set(language, suggestedTranslation);
+  message.translationProviders.set(language, 'human');
+  if (getNativeScript(language)) {
+    message.romanizations.set(language, await toLatinScript(suggestedTranslation, language));
+  }
+  await message.save();
+
+  const update = {
+    messageId: message._id,
+    correctionId: correction._id,
+    language,
+    translation: suggestedTranslation,
+    romanizedContent: message.romanizations.get(language) || null,
+    translations: Object.fromEntries(message.translations),
+    translationProviders: Object.fromEntries(message.translationProviders),
+    room: message.room
+  };
+  (await getMessageAudience(message)).forEach(userId => emitToUser(userId, 'translationCorrected', update));
+
+  await recordPreferredOutput(message, language, suggestedTranslation, reviewerId, addToGlossary);
+  return message;
+};
+
+/**
+ * Suggests a corrected translation of a message. Suggestions from someone who may
+ * review them (the sender or a room admin) are accepted straight away; others wait for review.
+ * @param {Object} params
+ * @param {string} params.messageId - Chat message ID
+ * @param {string} params.language - Language of the translation being corrected
+ * @param {string} params.text - Suggested translation
+ * @param {boolean} [params.addToGlossary] - Also add the message as a glossary term, when accepted straight away
+ * @param {string} params.userId - Suggesting user
+ * @returns {Promise<Object>} - The correction
+ */
+const suggestCorrection = async ({ messageId, language, text, addToGlossary = false, userId }) => {
+  const suggestion = typeof text === 'string' ? text.trim() : '';
+  if (!messageId || typeof language !== 'string' || !language || !suggestion) {
+    throw createCorrectionError(400, 'Message ID, language and text are required');
+  }
+  if (suggestion.length > MAX_CORRECTION_LENGTH) {
+    throw createCorrectionError(400, `Correction must be at most ${MAX_CORRECTION_LENGTH} characters`);
+  }
+
+  const message = mongoose.Types.ObjectId.isValid(messageId) ? await Chat.findById(messageId) : null;
+  if (!message || message.deletedAt || !(await canViewMessage(message, userId))) {
+    throw createCorrectionError(404, 'Message not found');
+  }
+  if (language === message.originalLanguage) {
+    throw createCorrectionError(400, 'The original text cannot be corrected');
+  }
+  const previousTranslation = message.translations.get(language);
+  if (!previousTranslation) {
+    throw createCorrectionError(400, `Message has no ${language} translation`);
+  }
+  if (previousTranslation === suggestion) {
+    throw createCorrectionError(400, 'Correction is identical to the current translation');
+  }
+
+  const isReviewer = await canReviewCorrection(message, userId);
+  if (isReviewer) {
+    checkGlossaryTerm(message, addToGlossary);
+  }
+
+  const correction = await TranslationCorrection.create({
+    message: message._id,
+    messageSender: message.sender,
+    room: message.room,
+    language,
+    previousTranslation,
+    suggestedTranslation: suggestion,
+    suggestedBy: userId,
+    ...(isReviewer && { status: 'accepted', reviewedBy: userId, reviewedAt: new Date() })
+  });
+
+  if (isReviewer) {
+    await applyCorrection(correction, message, userId, addToGlossary);
+  } else {
+    const reviewers = new Set([message.sender.toString(), ...(message.room ? await getRoomMemberIds(message.room, ADMIN_ROLES) : [])]);
+    reviewers.forEach(reviewerId => emitToUser(reviewerId, 'correctionSuggested', correction.toObject()));
+  }
+
+  return correction;
+};
+
+/**
+ * Accepts or rejects a pending correction. The correction is claimed atomically,
+ * so of two concurrent reviews only the first one takes effect.
+ * @param {Object} params
+ * @param {string} params.correctionId - Correction ID
+ * @param {boolean} params.accept - true to accept, false to reject
+ * @param {boolean} [params.addToGlossary] - Also add the message as a glossary term when accepting
+ * @param {string} params.userId - Reviewing user
+ * @returns {Promise<Object>} - The reviewed correction
+ */
+const reviewCorrection = async ({ correctionId, accept, addToGlossary = false, userId }) => {
+  const pending = mongoose.Types.ObjectId.isValid(correctionId)
+    ? await TranslationCorrection.findById(correctionId)
+    : null;
+  if (!pending) {
+    throw createCorrectionError(404, 'Correction not found');
+  }
+  if (pending.status !== 'pending') {
+    throw createCorrectionError(409, `Correction was already ${pending.status}`);
+  }
+
+  const message = await Chat.findById(pending.message);
+  if (!message || message.deletedAt) {
+    throw createCorrectionError(404, 'Message not found');
+  }
+  if (!(await canReviewCorrection(message, userId))) {
+    throw createCorrectionError(403, 'Not allowed to review corrections of this message');
+  }
+  if (accept) {
+    checkGlossaryTerm(message, addToGlossary);
+  }
+
+  const correction = await TranslationCorrection.findOneAndUpdate(
+    { _id: pending._id, status: 'pending' },
+    { $set: { status: accept ? 'accepted' : 'rejected', reviewedBy: userId, reviewedAt: new Date() } },
+    { new: true }
+  );
+  if (!correction) {
+    throw createCorrectionError(409, 'Correction was already reviewed');
+  }
+
+  if (accept) {
+    await applyCorrection(correction, message, userId, addToGlossary);
+  }
+
+  emitToUser(correction.suggestedBy, 'correctionReviewed', correction.toObject());
+  return correction;
+};
+
+/**
+ * Lists pending corrections the user may review
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+const getPendingCorrections = async (userId) => {
+  const roomIds = await getAdministeredRoomIds(userId);
+  return TranslationCorrection.find({
+    status: 'pending',
+    $or: [{ messageSender: userId }, { room: { $in: roomIds } }]
+  })
+    .sort({ createdAt: -1 })
+    .populate('suggestedBy', 'username')
+    .populate('message', 'originalContent originalLanguage room');
+};
+
+/**
+ * Lists the corrections of one message
+ * @param {string} messageId
+ * @param {string} userId - Requesting user, who must be able to see the message
+ * @returns {Promise<Object[]>}
+ */
+const getMessageCorrections = async (messageId, userId) => {
+  const message = mongoose.Types.ObjectId.isValid(messageId) ? await Chat.findById(messageId) : null;
+  if (!message || !(await canViewMessage(message, userId))) {
+    throw createCorrectionError(404, 'Message not found');
+  }
+  return TranslationCorrection.find({ message: message._id })
+    .sort({ createdAt: -1 })
+    .populate('suggestedBy', 'username');
+};
+
+module.exports = {
+  suggestCorrection,
+  reviewCorrection,
+  getPendingCorrections,
+  getMessageCorrections
+};
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const TranslationProfile = require('../models/TranslationProfile');
+const User = require('../models/User');
+const { createLruCache } = require('./lruCache');
+
+const PROFANITY_ACTIONS = ['NoAction', 'Marked', 'Deleted'];
+// Azure's 'Tag' marker wraps profanity in <profanity> tags, which plain-text chat would show as is
+const PROFANITY_MARKERS = ['Asterisk'];
+
+// Profiles change rarely; keep the resolved options briefly so every message does not hit MongoDB
+const profileCache = createLruCache({ max: 1000, ttl: 60000 });
+
+/**
+ * Turns a profile into provider options. Default settings add nothing, so general
+ * translations keep the request and cache key they always had.
+ * @param {Object|null} profile - TranslationProfile
+ * @returns {{category?: string, profanityAction?: string, profanityMarker?: string}}
+ */
+const toProviderOptions = (profile) => {
+  const options = {};
+  if (!profile) {
+    return options;
+  }
+  if (profile.category && profile.category !== 'general') {
+    options.category = profile.category;
+  }
+  if (profile.profanityAction && profile.profanityAction !== 'NoAction') {
+    options.profanityAction = profile.profanityAction;
+    if (profile.profanityAction === 'Marked') {
+      // Profiles saved while 'Tag' was allowed fall back to asterisks too
+      options.profanityMarker = PROFANITY_MARKERS.includes(profile.profanityMarker) ? profile.profanityMarker : 'Asterisk';
+    }
+  }
+  return options;
+};
+
+/**
+ * Resolves the provider options of a translation context: the room's profile,
+ * or else the profile of the sender's organisation
+ * @param {Object} context
+ * @param {string} [context.userId] - Sender whose organisation applies
+ * @param {string} [context.roomId] - Room whose profile applies
+ * @returns {Promise<{category?: string, profanityAction?: string, profanityMarker?: string}>}
+ */
+const loadTranslationProfile = async ({ userId, roomId } = {}) => {
+  if ((!userId && !roomId) || mongoose.connection.readyState !== 1) {
+    return {};
+  }
+
+  const cacheKey = `${userId || ''}:${roomId || ''}`;
+  const cached = profileCache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    let profile = roomId ? await TranslationProfile.findOne({ scope: 'room', room: roomId }).lean() : null;
+    if (!profile && userId) {
+      const user = await User.findById(userId).select('organization').lean();
+      if (user?.organization) {
+        profile = await TranslationProfile.findOne({ scope: 'organization', organization: user.organization }).lean();
+      }
+    }
+    const options = toProviderOptions(profile);
+    profileCache.set(cacheKey, options);
+    return options;
+  } catch (err) {
+    console.error('Failed to load translation profile:', err.message);
+    return {};
+  }
+};
+
+/**
+ * Drops cached profile options after a profile or an organisation membership changes
+ */
+const invalidateTranslationProfiles = () => {
+  profileCache.clear();
+};
+
+/**
+ * Builds the filter of a room's or an organisation's profile
+ * @param {Object} target - { roomId } or { organization }
+ * @returns {Object}
+ */
+const getProfileFilter = ({ roomId, organization }) => (roomId
+  ? { scope: 'room', room: roomId }
+  : { scope: 'organization', organization });
+
+/**
+ * Returns the profile of a room or an organisation, or null when it uses the defaults
+ * @param {Object} target - { roomId } or { organization }
+ * @returns {Promise<Object|null>}
+ */
+const getTranslationProfile = async (target) => {
+  return TranslationProfile.findOne(getProfileFilter(target));
+};
+
+/**
+ * Creates or updates the profile of a room or an organisation
+ * @param {Object} target - { roomId } or { organization }
+ * @param {Object} update - { category, profanityAction, profanityMarker }; undefined fields are kept
+ * @param {string} userId - User making the change
+ * @returns {Promise<Object>}
+ */
+const saveTranslationProfile = async (target, { category, profanityAction, profanityMarker }, userId) => {
+  const $set = { updatedBy: userId };
+  if (category !== undefined) {
+    $set.category = category;
+  }
+  if (profanityAction !== undefined) {
+    $set.profanityAction = profanityAction;
+  }
+  if (profanityMarker !== undefined) {
+    $set.profanityMarker = profanityMarker;
+  }
+
+  const profile = await TranslationProfile.findOneAndUpdate(
+    getProfileFilter(target),
+    { $set },
+    { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+  );
+  invalidateTranslationProfiles();
+  return profile;
+};
+
+/**
+ * Removes the profile of a room or an organisation, restoring general translation
+ * @param {Object} target - { roomId } or { organization }
+ * @returns {Promise<boolean>} - Whether a profile existed
+ */
+const deleteTranslationProfile = async (target) => {
+  const result = await TranslationProfile.deleteOne(getProfileFilter(target));
+  invalidateTranslationProfiles();
+  return result.deletedCount > 0;
+};
+
+module.exports = {
+  PROFANITY_ACTIONS,
+  PROFANITY_MARKERS,
+  loadTranslationProfile,
+  invalidateTranslationProfiles,
+  getTranslationProfile,
+  saveTranslationProfile,
+  deleteTranslationProfile
+};
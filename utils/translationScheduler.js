@@ -0,0 +1,198 @@
+// Lower number runs first: live chat ahead of anything done in the background
+const PRIORITIES = ['live', 'normal', 'backfill'];
+
+/**
+ * Creates a scheduler that admits provider calls through a character token bucket,
+ * a concurrency limit and a priority queue, and coalesces identical in-flight calls
+ * @param {Object} options
+ * @param {number} options.charsPerMinute - Bucket refill rate; 0 disables rate limiting
+ * @param {number} options.burst - Bucket capacity in characters
+ * @param {number} options.maxConcurrent - Calls running at the same time
+ * @param {number} options.maxQueueSize - Waiting calls before new ones are refused
+ * @returns {{schedule: Function, pause: Function, getStats: Function}}
+ */
+const createTranslationScheduler = ({ charsPerMinute, burst, maxConcurrent, maxQueueSize }) => {
+  const ratePerMs = charsPerMinute / 60000;
+  const capacity = burst || charsPerMinute;
+  const queues = {};
+  PRIORITIES.forEach(priority => {
+    queues[priority] = [];
+  });
+  // Key -> { promise, job } of calls queued or running
+  const inFlight = new Map();
+
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  let running = 0;
+  let timer = null;
+
+  const stats = {
+    dispatched: 0,
+    coalesced: 0,
+    promoted: 0,
+    rejected: 0,
+    pauses: 0,
+    maxWaitMs: 0
+  };
+
+  const refill = (now) => {
+    tokens = Math.min(capacity, tokens + (now - lastRefill) * ratePerMs);
+    lastRefill = now;
+  };
+
+  const queuedCount = () => PRIORITIES.reduce((sum, priority) => sum + queues[priority].length, 0);
+
+  /**
+   * Moves a queued job up to a more urgent priority, so a live request that joins a
+   * backfill call does not wait behind the backfill queue
+   * @param {Object} job - Queued job
+   * @param {string} priority - Priority of the joining request
+   */
+  const promote = (job, priority) => {
+    if (!job.queued || !queues[priority] || PRIORITIES.indexOf(priority) >= PRIORITIES.indexOf(job.priority)) {
+      return;
+    }
+    const queue = queues[job.priority];
+    queue.splice(queue.indexOf(job), 1);
+    job.priority = priority;
+    queues[priority].push(job);
+    stats.promoted++;
+    pump();
+  };
+
+  const wakeAfter = (delay) => {
+    if (timer) {
+      return;
+    }
+    timer = setTimeout(() => {
+      timer = null;
+      pump();
+    }, Math.max(1, Math.ceil(delay)));
+    // A waiting queue should not keep scripts alive
+    timer.unref?.();
+  };
+
+  function pump() {
+    while (running < maxConcurrent) {
+      const priority = PRIORITIES.find(p => queues[p].length > 0);
+      if (!priority) {
+        return;
+      }
+
+      const now = Date.now();
+      if (now < pausedUntil) {
+        wakeAfter(pausedUntil - now);
+        return;
+      }
+
+      const job = queues[priority][0];
+      if (charsPerMinute > 0) {
+        refill(now);
+        // A call larger than the whole bucket only waits for a full bucket
+        const cost = Math.min(job.cost, capacity);
+        if (tokens < cost) {
+          wakeAfter((cost - tokens) / ratePerMs);
+          return;
+        }
+        tokens -= cost;
+      }
+
+      queues[priority].shift();
+      job.queued = false;
+      running++;
+      stats.dispatched++;
+      stats.maxWaitMs = Math.max(stats.maxWaitMs, now - job.enqueuedAt);
+
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          running--;
+          pump();
+        });
+    }
+  }
+
+  /**
+   * Runs a task once the scheduler admits it
+   * @param {Object} options
+   * @param {string} [options.key] - Identical keys share one in-flight call, which runs
+   *   at the most urgent priority among the requests sharing it
+   * @param {number} [options.cost=0] - Characters the call consumes
+   * @param {string} [options.priority='live'] - 'live', 'normal' or 'backfill'
+   * @param {Function} task - () => Promise
+   * @returns {Promise<*>}
+   */
+  const schedule = ({ key, cost = 0, priority = 'live' } = {}, task) => {
+    if (key && inFlight.has(key)) {
+      stats.coalesced++;
+      const shared = inFlight.get(key);
+      promote(shared.job, priority);
+      return shared.promise;
+    }
+
+    if (queuedCount() >= maxQueueSize) {
+      stats.rejected++;
+      const error = new Error('Translation queue is full');
+      error.code = 'TRANSLATION_BUSY';
+      error.status = 503;
+      return Promise.reject(error);
+    }
+
+    const queuePriority = queues[priority] ? priority : 'normal';
+    let job;
+    const promise = new Promise((resolve, reject) => {
+      job = { task, cost, resolve, reject, priority: queuePriority, queued: true, enqueuedAt: Date.now() };
+      queues[queuePriority].push(job);
+    });
+
+    if (key) {
+      inFlight.set(key, { promise, job });
+      const forget = () => inFlight.delete(key);
+      promise.then(forget, forget);
+    }
+
+    pump();
+    return promise;
+  };
+
+  /**
+   * Stops dispatching for a while, e.g. after the provider answered 429
+   * @param {number} ms
+   */
+  const pause = (ms) => {
+    stats.pauses++;
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+  };
+
+  /**
+   * Returns queue depth per priority and scheduler counters
+   * @returns {Object}
+   */
+  const getStats = () => {
+    const queueDepth = {};
+    PRIORITIES.forEach(priority => {
+      queueDepth[priority] = queues[priority].length;
+    });
+    if (charsPerMinute > 0) {
+      refill(Date.now());
+    }
+    return {
+      ...stats,
+      queueDepth,
+      queued: queuedCount(),
+      running,
+      inFlightKeys: inFlight.size,
+      tokens: charsPerMinute > 0 ? Math.floor(tokens) : null,
+      paused: Date.now() < pausedUntil
+    };
+  };
+
+  return { schedule, pause, getStats };
+};
+
+module.exports = {
+  PRIORITIES,
+  createTranslationScheduler
+};
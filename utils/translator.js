@@ -1,267 +1,525 @@
-const axios = require('axios');
-const dotenv = require('dotenv');
-// Load environment variables once during initialization
-dotenv.config();
-
-// Azure Translator configuration - store in constants to avoid repeatedly accessing process.env
-const AZURE_TRANSLATOR_KEY = process.env.AZURE_TRANSLATOR_KEY;
-const AZURE_TRANSLATOR_REGION = process.env.AZURE_TRANSLATOR_REGION;
-const TRANSLATOR_ENDPOINT = 'https://api.cognitive.microsofttranslator.com';
-
-// Create a reusable axios instance with common configuration
-const translatorClient = axios.create({
-  baseURL: TRANSLATOR_ENDPOINT,
-  headers: {
-    'Ocp-Apim-Subscription-Key': AZURE_TRANSLATOR_KEY,
-    'Ocp-Apim-Subscription-Region': AZURE_TRANSLATOR_REGION,
-    'Content-type': 'application/json',
-  },
-  // Add reasonable timeouts to prevent hanging requests
-  timeout: 10000
-});
+const { getActiveProvider, runWithFailover, translateWithFailover, translateManyWithFailover, getProviderStats, getSchedulerStats } = require('./providers');
+const { getMany: getCachedTranslations, setMany: cacheTranslations, getPreferenceScope, getCacheStats } = require('./translationCache');
+const { detectLanguageHeuristically } = require('./languageHeuristics');
+const { createLruCache } = require('./lruCache');
+const { loadGlossary, findGlossarySpans } = require('./glossary');
+const { loadTranslationProfile } = require('./translationProfile');
+const { protectSpans } = require('./spanProtector');
+const { tokenizeMessage, hasRichFormatting, markdownToHtml, htmlToMarkdown } = require('./messageTokenizer');
+const { checkQuota, recordUsage } = require('./usageMeter');
+const { detectionConfidenceThreshold } = require('../config/translation');
+
+// Detection results for recently seen texts
+const detectionCache = createLruCache({ max: 2000, ttl: 3600000 });
 
-// Cache translation results for identical requests
-const translationCache = new Map();
-const CACHE_TTL = 3600000; // 1 hour in milliseconds
-const CACHE_MAX_SIZE = 1000; // Maximum cache entries
+// Counters shared by every translation path (REST, socket and speech)
+const metrics = {
+  requests: 0,
+  errors: 0
+};
 
 /**
- * Clears expired cache entries
+ * Translates a list of texts through the cache and the provider failover chain
+ * @param {string[]} texts - Texts to translate
+ * @param {string|null} sourceLanguage - Source language code, null for auto-detection
+ * @param {string} targetLanguage - Target language code
+ * @param {Object} [providerOptions]
+ * @param {string} [providerOptions.textType] - 'plain' (default) or 'html'
+ * @param {string} [providerOptions.category] - Custom Translator category, see loadTranslationProfile
+ * @param {string} [providerOptions.profanityAction] - 'Marked' or 'Deleted'
+ * @param {string} [providerOptions.profanityMarker] - 'Asterisk'
+ * @param {Object} [usage] - Who is charged for characters sent to the provider
+ * @param {string} [usage.userId]
+ * @param {string} [usage.roomId]
+ * @param {string} [usage.priority] - Scheduler priority of the provider request
+ * @param {string|null} [scope] - Room or sender whose approved translations apply, see getPreferenceScope
+ * @returns {Promise<Array<{text: string, provider: string|null}>>} - Results in input order
  */
-function cleanCache() {
-  const now = Date.now();
-  for (const [key, { timestamp }] of translationCache.entries()) {
-    if (now - timestamp > CACHE_TTL) {
-      translationCache.delete(key);
+async function translateThroughCache(texts, sourceLanguage, targetLanguage, providerOptions = {}, usage = {}, scope = null) {
+  const results = [];
+  const candidates = [];
+  const candidateIndices = [];
+
+  texts.forEach((text, i) => {
+    // Skip translation for empty text
+    if (!text || text.trim().length === 0) {
+      results[i] = { text, provider: null };
+      return;
+    }
+    candidates.push(text);
+    candidateIndices.push(i);
+  });
+
+  // Check the in-process and shared translation memory first
+  const cached = await getCachedTranslations(candidates, sourceLanguage, targetLanguage, providerOptions, scope);
+  const textsToTranslate = [];
+  const indices = [];
+
+  candidates.forEach((text, i) => {
+    const hit = cached.get(i);
+    if (hit) {
+      results[candidateIndices[i]] = { text: hit.result, provider: hit.provider };
+      return;
     }
+    textsToTranslate.push(text);
+    indices.push(candidateIndices[i]);
+  });
+
+  // If all texts were cached or empty, return early
+  if (textsToTranslate.length === 0) {
+    return results;
+  }
+
+  // Only characters that reach a provider cost money, so only they count against quotas
+  const characters = textsToTranslate.reduce((sum, text) => sum + text.length, 0);
+  await checkQuota(usage.userId, 'translation', characters);
+
+  let translations;
+  let provider;
+  let shared;
+  try {
+    ({ translations, provider, shared } = await translateWithFailover(textsToTranslate, {
+      from: sourceLanguage,
+      to: targetLanguage,
+      ...providerOptions
+    }, { priority: usage.priority }));
+  } catch (error) {
+    metrics.errors++;
+    console.error('Translation error:', error.message);
+    const translationError = new Error(`Translation failed: ${error.message}`);
+    translationError.code = error.code;
+    throw translationError;
+  }
+
+  // A call that joined an identical one in flight was paid for by that one
+  if (!shared) {
+    recordUsage({
+      userId: usage.userId,
+      roomId: usage.roomId,
+      kind: 'translation',
+      units: characters,
+      provider,
+      sourceLanguage,
+      targetLanguage
+    });
   }
-}
 
-// Schedule periodic cache cleaning
-setInterval(cleanCache, CACHE_TTL);
+  // Reconstruct the original order
+  indices.forEach((originalIndex, resultIndex) => {
+    results[originalIndex] = { text: translations[resultIndex], provider };
+  });
+
+  // Remember each translation; the shared write happens in the background
+  cacheTranslations(
+    textsToTranslate.map((text, i) => ({ text, result: translations[i] })),
+    sourceLanguage,
+    targetLanguage,
+    provider,
+    providerOptions
+  );
+
+  return results;
+}
 
 /**
- * Generate cache key for translation requests
+ * Protects the non-translatable spans of a text and converts markdown emphasis to HTML
+ * @param {string} text - Source text
+ * @param {Object[]} glossary - Glossary entries in effect
+ * @param {string} targetLanguage - Target language code
+ * @returns {{text: string, restore: Function, protect: Function, hits: Object[], rich: boolean}}
  */
-function getCacheKey(text, sourceLanguage, targetLanguage) {
-  return `${sourceLanguage}:${targetLanguage}:${text}`;
+function prepareText(text, glossary, targetLanguage) {
+  if (!text) {
+    return { text, restore: translated => translated, protect: translated => translated, hits: [], rich: false };
+  }
+  const { spans: glossarySpans, hits } = findGlossarySpans(text, glossary, targetLanguage);
+  const { text: protectedText, restore, protect } = protectSpans(text, [...tokenizeMessage(text), ...glossarySpans]);
+  const rich = hasRichFormatting(protectedText);
+  return {
+    text: rich ? markdownToHtml(protectedText) : protectedText,
+    restore: rich ? translated => restore(htmlToMarkdown(translated)) : restore,
+    protect: rich
+      ? translated => {
+        const protectedTranslation = protect(translated);
+        return protectedTranslation === null ? null : markdownToHtml(protectedTranslation);
+      }
+      : protect,
+    hits,
+    rich
+  };
 }
 
 /**
- * Manages the cache size by removing oldest entries when needed
+ * Translates a list of texts, keeping glossary terms, URLs, mentions, emoji and code
+ * out of the provider's reach and translating markdown emphasis as HTML
+ * @param {string[]} texts - Texts to translate
+ * @param {string|null} sourceLanguage - Source language code, null for auto-detection
+ * @param {string} targetLanguage - Target language code
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Sender whose glossary and organisation profile apply
+ * @param {string} [options.roomId] - Room whose glossary and translation profile apply
+ * @param {string} [options.billedUserId] - User charged for the translation, when not the sender
+ * @param {string} [options.priority='live'] - Scheduler priority; 'backfill' for history and background jobs
+ * @returns {Promise<Array<{text: string, provider: string|null, glossaryHits: Object[]}>>} - Results in input order
  */
-function ensureCacheSize() {
-  if (translationCache.size > CACHE_MAX_SIZE) {
-    // Convert to array to sort by timestamp
-    const entries = Array.from(translationCache.entries());
-    entries.sort((a, b) => a[1].timestamp - b[1].timestamp);
-    
-    // Remove oldest 10% of entries
-    const removeCount = Math.ceil(CACHE_MAX_SIZE * 0.1);
-    for (let i = 0; i < removeCount && i < entries.length; i++) {
-      translationCache.delete(entries[i][0]);
+async function runTranslation(texts, sourceLanguage, targetLanguage, options = {}) {
+  metrics.requests++;
+
+  // Early return for same languages
+  if (sourceLanguage && sourceLanguage === targetLanguage) {
+    return texts.map(text => ({ text, provider: null, glossaryHits: [] }));
+  }
+
+  // Swap non-translatable spans for placeholders so providers and the cache never see them
+  const glossary = await loadGlossary(options);
+  const profile = await loadTranslationProfile(options);
+  const prepared = texts.map(text => prepareText(text, glossary, targetLanguage));
+  const usage = { userId: options.billedUserId || options.userId, roomId: options.roomId, priority: options.priority };
+  const scope = getPreferenceScope(options);
+
+  // Plain and rich texts go to the provider as separate requests with their own text type
+  const results = [];
+  for (const rich of [false, true]) {
+    const indices = prepared.map((item, i) => (item.rich === rich ? i : -1)).filter(i => i !== -1);
+    if (indices.length === 0) {
+      continue;
     }
+    const translated = await translateThroughCache(
+      indices.map(i => prepared[i].text),
+      sourceLanguage,
+      targetLanguage,
+      { textType: rich ? 'html' : 'plain', ...profile },
+      usage,
+      scope
+    );
+    translated.forEach((result, j) => {
+      const item = prepared[indices[j]];
+      results[indices[j]] = {
+        text: result.text ? item.restore(result.text) : result.text,
+        provider: result.provider,
+        glossaryHits: item.hits
+      };
+    });
   }
+
+  return results;
 }
 
 /**
- * Validates if translation is required (returns original if same language)
+ * Translates one prepared text into several languages: cache first, then a single
+ * multi-target provider request. When that request is rejected (one bad language
+ * fails all of them), each language is retried on its own so failures stay isolated.
+ * @param {string} text - Prepared text (placeholders in place, HTML when rich)
+ * @param {string|null} sourceLanguage - Source language code, null for auto-detection
+ * @param {string[]} targetLanguages - Target language codes
+ * @param {Object} providerOptions - { textType } and the translation profile options
+ * @param {Object} usage - { userId, roomId } charged for the translation, and the scheduler priority
+ * @param {string|null} scope - Room or sender whose approved translations apply, see getPreferenceScope
+ * @returns {Promise<{results: Map<string, {text: string, provider: string}>, errors: Map<string, Error>}>}
  */
-function validateTranslationRequest(text, sourceLanguage, targetLanguage) {
-  // Skip translation if source and target languages are the same
-  if (sourceLanguage === targetLanguage) {
-    return text;
+async function translateManyThroughCache(text, sourceLanguage, targetLanguages, providerOptions, usage, scope) {
+  const results = new Map();
+  const errors = new Map();
+
+  const hits = await Promise.all(targetLanguages.map(language => getCachedTranslations([text], sourceLanguage, language, providerOptions, scope)));
+  const missing = [];
+  targetLanguages.forEach((language, i) => {
+    const hit = hits[i].get(0);
+    if (hit) {
+      results.set(language, { text: hit.result, provider: hit.provider });
+    } else {
+      missing.push(language);
+    }
+  });
+
+  if (missing.length === 0) {
+    return { results, errors };
   }
-  
-  // Skip translation for empty text
-  if (!text || text.trim().length === 0) {
-    return text;
+
+  const characters = text.length * missing.length;
+  try {
+    await checkQuota(usage.userId, 'translation', characters);
+  } catch (error) {
+    missing.forEach(language => errors.set(language, error));
+    return { results, errors };
+  }
+
+  try {
+    const { translations, provider, shared } = await translateManyWithFailover([text], {
+      from: sourceLanguage,
+      to: missing,
+      ...providerOptions
+    }, { priority: usage.priority });
+    missing.forEach(language => {
+      if (!shared) {
+        recordUsage({ userId: usage.userId, roomId: usage.roomId, kind: 'translation', units: text.length, provider, sourceLanguage, targetLanguage: language });
+      }
+      const translated = translations[language][0];
+      results.set(language, { text: translated, provider });
+      cacheTranslations([{ text, result: translated }], sourceLanguage, language, provider, providerOptions);
+    });
+  } catch (error) {
+    if (!error.clientError || missing.length === 1) {
+      metrics.errors++;
+      console.error('Translation error:', error.message);
+      missing.forEach(language => errors.set(language, error));
+      return { results, errors };
+    }
+
+    await Promise.all(missing.map(async (language) => {
+      try {
+        const [result] = await translateThroughCache([text], sourceLanguage, language, providerOptions, usage, scope);
+        results.set(language, result);
+      } catch (languageError) {
+        errors.set(language, languageError);
+      }
+    }));
   }
-  
-  return null; // Indicates translation is needed
+
+  return { results, errors };
 }
 
 /**
- * Translates text from source language to target language
+ * Translates one text into several languages in as few provider requests as possible.
+ * Failures are reported per language instead of failing the whole call.
  * @param {string} text - Text to translate
- * @param {string} sourceLanguage - Source language code
- * @param {string} targetLanguage - Target language code
- * @returns {Promise<string>} - Translated text
+ * @param {string|null} sourceLanguage - Source language code, null for auto-detection
+ * @param {string[]} targetLanguages - Target language codes
+ * @param {Object} [options] - Translation context, see runTranslation
+ * @returns {Promise<{translations: Map<string, {text: string, provider: string|null, glossaryHits: Object[]}>, errors: Map<string, Error>}>}
  */
-const translateText = async (text, sourceLanguage, targetLanguage) => {
-  // Validate required configuration early to fail fast
-  if (!AZURE_TRANSLATOR_KEY || !AZURE_TRANSLATOR_REGION) {
-    throw new Error('Azure Translator credentials not configured');
-  }
-  
-  // Early return for cases where translation isn't needed
-  const skipResult = validateTranslationRequest(text, sourceLanguage, targetLanguage);
-  if (skipResult !== null) {
-    return skipResult;
+const translateToMany = async (text, sourceLanguage, targetLanguages, options = {}) => {
+  metrics.requests++;
+
+  const translations = new Map();
+  const errors = new Map();
+  const targets = [...new Set(targetLanguages)].filter(Boolean);
+
+  // Nothing to do for the source language itself or for empty text
+  targets.filter(language => language === sourceLanguage || !text || !text.trim())
+    .forEach(language => translations.set(language, { text, provider: null, glossaryHits: [] }));
+  const pending = targets.filter(language => !translations.has(language));
+  if (pending.length === 0) {
+    return { translations, errors };
   }
-  
-  // Check cache first
-  const cacheKey = getCacheKey(text, sourceLanguage, targetLanguage);
-  if (translationCache.has(cacheKey)) {
-    const { result, timestamp } = translationCache.get(cacheKey);
-    if (Date.now() - timestamp < CACHE_TTL) {
-      console.log('Translation cache hit');
-      return result;
+
+  // Glossary replacements depend on the target language, so languages are
+  // grouped by the text they actually send to the provider
+  const glossary = await loadGlossary(options);
+  const profile = await loadTranslationProfile(options);
+  const usage = { userId: options.billedUserId || options.userId, roomId: options.roomId, priority: options.priority };
+  const scope = getPreferenceScope(options);
+  const groups = new Map();
+  pending.forEach(language => {
+    const prepared = prepareText(text, glossary, language);
+    const key = `${prepared.rich}:${prepared.text}`;
+    if (!groups.has(key)) {
+      groups.set(key, { text: prepared.text, rich: prepared.rich, languages: [], prepared: new Map() });
     }
-    // Expired cache entry
-    translationCache.delete(cacheKey);
-  }
-  
-  try {
-    // For very short texts, use a simpler request structure
-    const payload = [{ text }];
-    
-    const response = await translatorClient.post('/translate', 
-      payload,
-      {
-        params: {
-          'api-version': '3.0',
-          'from': sourceLanguage,
-          'to': targetLanguage
-        }
-      }
+    groups.get(key).languages.push(language);
+    groups.get(key).prepared.set(language, prepared);
+  });
+
+  await Promise.all([...groups.values()].map(async (group) => {
+    const { results, errors: groupErrors } = await translateManyThroughCache(
+      group.text,
+      sourceLanguage,
+      group.languages,
+      { textType: group.rich ? 'html' : 'plain', ...profile },
+      usage,
+      scope
     );
-    
-    // Use optional chaining for more concise error handling
-    const result = response.data?.[0]?.translations?.[0]?.text;
-    if (!result) {
-      throw new Error('Invalid translation response');
-    }
-    
-    // Cache the result
-    translationCache.set(cacheKey, {
-      result,
-      timestamp: Date.now()
+    results.forEach((result, language) => {
+      const prepared = group.prepared.get(language);
+      translations.set(language, {
+        text: result.text ? prepared.restore(result.text) : result.text,
+        provider: result.provider,
+        glossaryHits: prepared.hits
+      });
     });
-    ensureCacheSize();
-    
-    return result;
-  } catch (error) {
-    // Handle rate limiting specially with backoff
-    if (error.response?.status === 429) {
-      const retryAfter = error.response.headers['retry-after'] || 1;
-      console.log(`Rate limited, retrying after ${retryAfter} seconds`);
-      await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-      return translateText(text, sourceLanguage, targetLanguage);
-    }
-    
-    // Improved error handling with more useful error information
-    const errorMessage = error.response?.data?.error?.message || error.message;
-    console.error('Translation error:', errorMessage);
-    throw new Error(`Translation failed: ${errorMessage}`);
+    groupErrors.forEach((error, language) => errors.set(language, error));
+  }));
+
+  return { translations, errors };
+};
+
+/**
+ * Translates text and reports which provider produced the translation
+ * @param {string} text - Text to translate
+ * @param {string|null} sourceLanguage - Source language code, null for auto-detection
+ * @param {string} targetLanguage - Target language code
+ * @param {Object} [options] - Translation context, see runTranslation
+ * @returns {Promise<{text: string, provider: string|null, glossaryHits: Object[]}>} - provider is null when no translation was needed
+ */
+const translateTextWithProvider = async (text, sourceLanguage, targetLanguage, options = {}) => {
+  const [result] = await runTranslation([text], sourceLanguage, targetLanguage, options);
+  if (!result || result.text === undefined || result.text === null) {
+    throw new Error('Translation failed: Invalid translation response');
   }
+  return result;
+};
+
+/**
+ * Translates text from source language to target language
+ * @param {string} text - Text to translate
+ * @param {string|null} sourceLanguage - Source language code, null for auto-detection
+ * @param {string} targetLanguage - Target language code
+ * @param {Object} [options] - Translation context, see runTranslation
+ * @returns {Promise<string>} - Translated text
+ */
+const translateText = async (text, sourceLanguage, targetLanguage, options = {}) => {
+  const { text: result } = await translateTextWithProvider(text, sourceLanguage, targetLanguage, options);
+  return result;
+};
+
+/**
+ * Batch translates multiple texts and reports which provider produced each translation
+ * @param {string[]} texts - Array of texts to translate
+ * @param {string|null} sourceLanguage - Source language code, null for auto-detection
+ * @param {string} targetLanguage - Target language code
+ * @param {Object} [options] - Translation context, see runTranslation
+ * @returns {Promise<Array<{text: string, provider: string|null, glossaryHits: Object[]}>>} - Results in input order
+ */
+const translateBatchWithProvider = async (texts, sourceLanguage, targetLanguage, options = {}) => {
+  return runTranslation(texts, sourceLanguage, targetLanguage, options);
 };
 
 /**
  * Batch translates multiple texts at once
  * @param {string[]} texts - Array of texts to translate
- * @param {string} sourceLanguage - Source language code
+ * @param {string|null} sourceLanguage - Source language code, null for auto-detection
  * @param {string} targetLanguage - Target language code
+ * @param {Object} [options] - Translation context, see runTranslation
  * @returns {Promise<string[]>} - Array of translated texts
  */
-const translateBatch = async (texts, sourceLanguage, targetLanguage) => {
-  if (!AZURE_TRANSLATOR_KEY || !AZURE_TRANSLATOR_REGION) {
-    throw new Error('Azure Translator credentials not configured');
+const translateBatch = async (texts, sourceLanguage, targetLanguage, options = {}) => {
+  const results = await translateBatchWithProvider(texts, sourceLanguage, targetLanguage, options);
+  return results.map(result => result.text);
+};
+
+/**
+ * Stores a human-approved translation so identical text in the same room, or from the
+ * same sender in direct messages, is served it instead of machine output. The text is
+ * prepared exactly as runTranslation would prepare it, so the entry lands under the
+ * same cache key plus the room or sender scope; other conversations keep the shared entry.
+ * @param {string} text - Source text
+ * @param {string|null} sourceLanguage - Source language code, null for auto-detection
+ * @param {string} targetLanguage - Target language code
+ * @param {string} translatedText - Approved translation
+ * @param {Object} [options] - Glossary and profile context, as for translateText
+ * @returns {Promise<boolean>} - false without a room or sender, or when the translation could not
+ *   be mapped onto the protected text
+ */
+const recordPreferredTranslation = async (text, sourceLanguage, targetLanguage, translatedText, options = {}) => {
+  const scope = getPreferenceScope(options);
+  if (!scope) {
+    return false;
   }
-  
-  // Early return for same languages
-  if (sourceLanguage === targetLanguage) {
-    return texts;
+  const glossary = await loadGlossary(options);
+  const profile = await loadTranslationProfile(options);
+  const prepared = prepareText(text, glossary, targetLanguage);
+  const result = prepared.protect(translatedText);
+  if (result === null) {
+    return false;
   }
-  
-  // Filter out empty texts and prepare cache lookups
-  const textsToTranslate = [];
-  const cacheResults = [];
-  const indices = [];
-  
-  texts.forEach((text, i) => {
-    if (!text || text.trim().length === 0) {
-      cacheResults[i] = text;
-      return;
-    }
-    
-    const cacheKey = getCacheKey(text, sourceLanguage, targetLanguage);
-    if (translationCache.has(cacheKey)) {
-      const { result, timestamp } = translationCache.get(cacheKey);
-      if (Date.now() - timestamp < CACHE_TTL) {
-        cacheResults[i] = result;
-        return;
-      }
-      translationCache.delete(cacheKey);
-    }
-    
-    textsToTranslate.push(text);
-    indices.push(i);
-  });
-  
-  // If all texts were cached or empty, return early
-  if (textsToTranslate.length === 0) {
-    return cacheResults;
+
+  await cacheTranslations(
+    [{ text: prepared.text, result }],
+    sourceLanguage,
+    targetLanguage,
+    'human',
+    { textType: prepared.rich ? 'html' : 'plain', ...profile, preferred: true, scope }
+  );
+  return true;
+};
+
+/**
+ * Detects the language of a text through the provider chain,
+ * falling back to the local heuristic when every provider fails
+ * @param {string} text - Text to inspect
+ * @returns {Promise<{language: string|null, confidence: number, provider: string}>}
+ */
+const detectLanguage = async (text) => {
+  const cached = detectionCache.get(text);
+  if (cached) {
+    return cached;
   }
-  
+
+  let detection;
   try {
-    // Prepare payload - optimized data structure
-    const data = textsToTranslate.map(text => ({ text }));
-    
-    // Split into chunks if needed (API typically has size limits)
-    const MAX_BATCH_SIZE = 100;
-    const results = [];
-    
-    for (let i = 0; i < data.length; i += MAX_BATCH_SIZE) {
-      const chunk = data.slice(i, i + MAX_BATCH_SIZE);
-      
-      const response = await translatorClient.post('/translate',
-        chunk,
-        {
-          params: {
-            'api-version': '3.0',
-            'from': sourceLanguage,
-            'to': targetLanguage
-          }
-        }
-      );
-      
-      const translations = response.data.map(item => item.translations[0].text);
-      results.push(...translations);
-      
-      // Cache each translation
-      chunk.forEach((item, idx) => {
-        const cacheKey = getCacheKey(item.text, sourceLanguage, targetLanguage);
-        translationCache.set(cacheKey, {
-          result: translations[idx],
-          timestamp: Date.now()
-        });
-      });
-    }
-    
-    // Ensure cache doesn't grow too large
-    ensureCacheSize();
-    
-    // Reconstruct the original array with translations
-    const finalResults = [...cacheResults];
-    indices.forEach((originalIndex, resultIndex) => {
-      finalResults[originalIndex] = results[resultIndex];
+    const { result, provider } = await runWithFailover((p) => p.detect([text]), {
+      capability: 'detect',
+      key: `detect:${text}`,
+      cost: text.length
     });
-    
-    return finalResults;
+    detection = { language: result[0]?.language || null, confidence: result[0]?.confidence || 0, provider };
   } catch (error) {
-    // Handle rate limiting specially
-    if (error.response?.status === 429) {
-      const retryAfter = error.response.headers['retry-after'] || 1;
-      console.log(`Rate limited, retrying after ${retryAfter} seconds`);
-      await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-      return translateBatch(texts, sourceLanguage, targetLanguage);
-    }
-    
-    const errorMessage = error.response?.data?.error?.message || error.message;
-    console.error('Batch translation error:', errorMessage);
-    throw new Error(`Batch translation failed: ${errorMessage}`);
+    console.error('Language detection failed, using heuristic:', error.message);
+    detection = { ...detectLanguageHeuristically(text), provider: 'heuristic' };
   }
+
+  detectionCache.set(text, detection);
+  return detection;
+};
+
+/**
+ * Decides the source language of a message from its content.
+ * Falls back to the sender's preferred language when detection is missing or not confident.
+ * @param {string} text - Message text
+ * @param {string} fallbackLanguage - Sender's preferred language
+ * @returns {Promise<{language: string, detectedLanguage: string|null, confidence: number, uncertain: boolean, translateFrom: string|null}>}
+ *   translateFrom is null for uncertain detections so providers auto-detect per request
+ */
+const resolveMessageLanguage = async (text, fallbackLanguage) => {
+  const detection = await detectLanguage(text);
+
+  if (!detection.language) {
+    return { language: fallbackLanguage, detectedLanguage: null, confidence: 0, uncertain: true, translateFrom: null };
+  }
+
+  const uncertain = detection.confidence < detectionConfidenceThreshold;
+  return {
+    language: uncertain ? fallbackLanguage : detection.language,
+    detectedLanguage: detection.language,
+    confidence: detection.confidence,
+    uncertain,
+    translateFrom: uncertain ? null : detection.language
+  };
+};
+
+/**
+ * Lists the languages supported by the first available provider that can list them
+ * @returns {Promise<Object>} - Map of language code to { name, nativeName, dir }
+ */
+const getSupportedLanguages = async () => {
+  const { result } = await runWithFailover(provider => provider.getLanguages(), {
+    capability: 'getLanguages',
+    key: 'languages'
+  });
+  return result;
 };
 
-module.exports = { translateText, translateBatch };
\ No newline at end of file
+/**
+ * Returns a snapshot of the translation metrics
+ * @returns {Object}
+ */
+const getTranslationMetrics = () => ({
+  ...metrics,
+  provider: getActiveProvider().name,
+  cache: getCacheStats(),
+  providers: getProviderStats(),
+  scheduler: getSchedulerStats()
+});
+
+module.exports = {
+  translateText,
+  translateTextWithProvider,
+  translateBatch,
+  translateBatchWithProvider,
+  translateToMany,
+  recordPreferredTranslation,
+  detectLanguage,
+  resolveMessageLanguage,
+  getSupportedLanguages,
+  getTranslationMetrics
+};
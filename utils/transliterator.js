@@ -0,0 +1,174 @@
+const { runWithFailover } = require('./providers');
+const { createLruCache } = require('./lruCache');
+
+// Native script (ISO 15924) of languages commonly typed in Latin script
+const NATIVE_SCRIPTS = {
+  hi: 'Deva',
+  mr: 'Deva',
+  ne: 'Deva',
+  sa: 'Deva',
+  kok: 'Deva',
+  mai: 'Deva',
+  bn: 'Beng',
+  as: 'Beng',
+  pa: 'Guru',
+  gu: 'Gujr',
+  or: 'Orya',
+  ta: 'Taml',
+  te: 'Telu',
+  kn: 'Knda',
+  ml: 'Mlym',
+  ur: 'Arab'
+};
+
+// Frequent romanized words, used to recognise "kaise ho" style input
+const ROMANIZED_HINTS = {
+  hi: ['hai', 'hain', 'kya', 'kaise', 'ho', 'nahi', 'nahin', 'mein', 'main', 'aap', 'tum', 'acha', 'accha', 'haan', 'kar', 'raha', 'rahi', 'bhai', 'yaar', 'kyun', 'kab', 'kahan', 'theek', 'thik'],
+  mr: ['aahe', 'kay', 'kasa', 'kashi', 'nahi', 'mi', 'tu', 'ahes', 'bara', 'chan', 'kuthe', 'zala'],
+  ta: ['enna', 'epdi', 'irukeenga', 'iruka', 'vanakkam', 'nandri', 'illa', 'seri', 'naan', 'nee', 'romba'],
+  te: ['ela', 'unnaru', 'undi', 'ledu', 'nenu', 'nuvvu', 'emiti', 'baagunnava'],
+  bn: ['kemon', 'acho', 'ami', 'tumi', 'ki', 'na', 'bhalo', 'achi'],
+  gu: ['kem', 'cho', 'majama', 'su', 'che', 'nathi', 'hu', 'tame'],
+  pa: ['ki', 'haal', 'tusi', 'main', 'nahi', 'changa', 'kiddan']
+};
+
+const LATIN_ONLY_REGEX = /^[\p{Script=Latin}\p{N}\p{P}\p{Zs}\p{S}]+$/u;
+
+// Hint words a text needs before it counts as romanized; single words like "main"
+// or "ho" also occur in English
+const MIN_ROMANIZED_HINTS = 2;
+
+// Recently transliterated texts
+const transliterationCache = createLruCache({ max: 2000, ttl: 3600000 });
+
+/**
+ * Returns the native script of a language, or null for Latin-script languages
+ * @param {string} language - Language code
+ * @returns {string|null}
+ */
+const getNativeScript = (language) => NATIVE_SCRIPTS[language] || null;
+
+/**
+ * Heuristically decides whether Latin-script text is a romanized form of a language
+ * @param {string} text - Message text
+ * @param {string} language - Candidate language (usually the sender's preference)
+ * @returns {boolean}
+ */
+const looksRomanized = (text, language) => {
+  if (!getNativeScript(language) || !LATIN_ONLY_REGEX.test(text)) {
+    return false;
+  }
+  const hints = ROMANIZED_HINTS[language] || [];
+  const words = text.toLowerCase().split(/[^a-z]+/).filter(Boolean);
+  return words.filter(word => hints.includes(word)).length >= MIN_ROMANIZED_HINTS;
+};
+
+/**
+ * Converts text between two scripts of one language through the provider chain.
+ * Transliteration is cosmetic, so failures return the input unchanged.
+ * @param {string} text - Text to convert
+ * @param {string} language - Language code
+ * @param {string} fromScript - ISO 15924 script of the input
+ * @param {string} toScript - ISO 15924 script of the output
+ * @returns {Promise<string>}
+ */
+const transliterate = async (text, language, fromScript, toScript) => {
+  if (!text || !text.trim() || fromScript === toScript) {
+    return text;
+  }
+
+  const cacheKey = `${language}:${fromScript}:${toScript}:${text}`;
+  const cached = transliterationCache.get(cacheKey);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  try {
+    const { result } = await runWithFailover(
+      (provider) => provider.transliterate([text], { language, fromScript, toScript }),
+      { capability: 'transliterate', key: `transliterate:${cacheKey}`, cost: text.length }
+    );
+    transliterationCache.set(cacheKey, result[0]);
+    return result[0];
+  } catch (error) {
+    console.error(`Transliteration ${fromScript}->${toScript} failed for ${language}:`, error.message);
+    return text;
+  }
+};
+
+/**
+ * Converts romanized text into the native script of a language
+ * @param {string} text - Latin-script text
+ * @param {string} language - Language code
+ * @returns {Promise<string>}
+ */
+const toNativeScript = (text, language) => {
+  const script = getNativeScript(language);
+  return script ? transliterate(text, language, 'Latn', script) : Promise.resolve(text);
+};
+
+/**
+ * Converts native-script text into Latin script
+ * @param {string} text - Native-script text
+ * @param {string} language - Language code
+ * @returns {Promise<string>}
+ */
+const toLatinScript = (text, language) => {
+  const script = getNativeScript(language);
+  return script ? transliterate(text, language, script, 'Latn') : Promise.resolve(text);
+};
+
+/**
+ * Normalizes an incoming message before translation: romanized input in the
+ * sender's language is converted to native script so providers translate it properly.
+ * A confident detection of a Latin-script language (e.g. English) is kept as it is.
+ * @param {string} text - Message as typed
+ * @param {Object} detection - Result of resolveMessageLanguage
+ * @param {string} senderLanguage - Sender's preferred language
+ * @returns {Promise<{text: string, language: string, isRomanized: boolean}>}
+ */
+const normalizeIncomingMessage = async (text, detection, senderLanguage) => {
+  const unchanged = { text, language: detection.language, isRomanized: false };
+  const confidentNative = !detection.uncertain && getNativeScript(detection.detectedLanguage);
+  if (!detection.uncertain && !confidentNative) {
+    return unchanged;
+  }
+
+  // Trust a confident detection of a native-script language, otherwise assume the sender's own
+  const candidate = confidentNative ? detection.detectedLanguage : senderLanguage;
+  if (!looksRomanized(text, candidate)) {
+    return unchanged;
+  }
+
+  // transliterate hands the input back when the provider fails; translate it as typed then
+  const native = await toNativeScript(text, candidate);
+  if (native === text) {
+    return unchanged;
+  }
+  return { text: native, language: candidate, isRomanized: true };
+};
+
+/**
+ * Builds Latin renderings for every translation written in a non-Latin script
+ * @param {Map<string, string>} translations - Language code to text
+ * @returns {Promise<Map<string, string>>} - Language code to romanized text
+ */
+const buildRomanizations = async (translations) => {
+  const romanizations = new Map();
+  await Promise.all([...translations.entries()].map(async ([language, text]) => {
+    if (getNativeScript(language)) {
+      romanizations.set(language, await toLatinScript(text, language));
+    }
+  }));
+  return romanizations;
+};
+
+module.exports = {
+  getNativeScript,
+  looksRomanized,
+  transliterate,
+  toNativeScript,
+  toLatinScript,
+  normalizeIncomingMessage,
+  buildRomanizations
+};
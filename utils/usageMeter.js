@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const UsageRecord = require('../models/UsageRecord');
+const UsageCounter = require('../models/UsageCounter');
+const { quotas } = require('../config/usage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Metered: translation characters (messages, history, dictionary), speech seconds and
+// synthesized characters. Language detection and transliteration are not: they mostly run
+// on the service's own behalf for every message (resolving its language, romanizing it for
+// readers), their input is text already counted when it is translated, and they are
+// bounded by their caches and the provider rate limit, which the transliteration
+// endpoint shares.
+
+// Counters outlive their period a little so reports on "yesterday" still work
+const COUNTER_RETENTION = {
+  daily: 2 * DAY_MS,
+  monthly: 62 * DAY_MS
+};
+
+/**
+ * Metering needs MongoDB; without it (scripts, outages) usage is neither checked nor recorded
+ * @returns {boolean}
+ */
+const isMeteringAvailable = () => mongoose.connection.readyState === 1;
+
+/**
+ * Returns the UTC day and month keys of a date
+ * @param {Date} [date]
+ * @returns {{daily: string, monthly: string}}
+ */
+const getPeriodKeys = (date = new Date()) => {
+  const iso = date.toISOString();
+  return { daily: iso.slice(0, 10), monthly: iso.slice(0, 7) };
+};
+
+/**
+ * Returns a user's consumption of one kind in the current day and month
+ * @param {string} userId
+ * @param {string} kind - 'translation', 'stt' or 'tts'
+ * @returns {Promise<{daily: number, monthly: number}>}
+ */
+const getCurrentUsage = async (userId, kind) => {
+  const keys = getPeriodKeys();
+  const counters = await UsageCounter.find({
+    user: userId,
+    kind,
+    $or: [
+      { period: 'daily', periodKey: keys.daily },
+      { period: 'monthly', periodKey: keys.monthly }
+    ]
+  }).lean();
+
+  const usage = { daily: 0, monthly: 0 };
+  counters.forEach(counter => {
+    usage[counter.period] = counter.units;
+  });
+  return usage;
+};
+
+/**
+ * Throws when consuming `units` more would take a user over a daily or monthly quota.
+ * The check and the later recordUsage are not atomic, so concurrent requests can
+ * overshoot a quota by one request's worth.
+ * @param {string} userId
+ * @param {string} kind - 'translation', 'stt' or 'tts'
+ * @param {number} units - Characters or seconds about to be consumed
+ * @returns {Promise<void>}
+ */
+const checkQuota = async (userId, kind, units) => {
+  const limits = quotas[kind];
+  if (!userId || !limits || (!limits.daily && !limits.monthly) || !isMeteringAvailable()) {
+    return;
+  }
+
+  let usage;
+  try {
+    usage = await getCurrentUsage(userId, kind);
+  } catch (err) {
+    // Never block users because the meter itself is failing
+    console.error('Failed to read usage counters:', err.message);
+    return;
+  }
+
+  for (const period of ['daily', 'monthly']) {
+    const limit = limits[period];
+    if (limit && usage[period] + units > limit) {
+      const error = new Error(`${period === 'daily' ? 'Daily' : 'Monthly'} ${kind} quota exceeded`);
+      error.code = 'QUOTA_EXCEEDED';
+      error.status = 429;
+      error.details = { kind, period, limit, used: usage[period], requested: units };
+      throw error;
+    }
+  }
+};
+
+/**
+ * Records consumption against a user and room. Failures are logged, never thrown.
+ * @param {Object} usage
+ * @param {string} [usage.userId] - User charged
+ * @param {string} [usage.roomId] - Room the consumption happened in
+ * @param {string} usage.kind - 'translation', 'stt' or 'tts'
+ * @param {number} usage.units - Characters or seconds
+ * @param {string} [usage.provider] - Service that did the work
+ * @param {string} [usage.sourceLanguage]
+ * @param {string} [usage.targetLanguage]
+ * @returns {Promise<void>}
+ */
+const recordUsage = async ({ userId, roomId, kind, units, provider, sourceLanguage, targetLanguage }) => {
+  if (!units || units <= 0 || !isMeteringAvailable()) {
+    return;
+  }
+
+  try {
+    await UsageRecord.create({
+      user: userId,
+      room: roomId,
+      kind,
+      units,
+      provider,
+      sourceLanguage: sourceLanguage || 'auto',
+      targetLanguage
+    });
+
+    if (userId) {
+      const now = Date.now();
+      const keys = getPeriodKeys(new Date(now));
+      await UsageCounter.bulkWrite(['daily', 'monthly'].map(period => ({
+        updateOne: {
+          filter: { user: userId, kind, period, periodKey: keys[period] },
+          update: {
+            $inc: { units },
+            $setOnInsert: { expiresAt: new Date(now + COUNTER_RETENTION[period]) }
+          },
+          upsert: true
+        }
+      })));
+    }
+  } catch (err) {
+    console.error(`Failed to record ${kind} usage:`, err.message);
+  }
+};
+
+/**
+ * Returns a user's current consumption and quotas for every kind
+ * @param {string} userId
+ * @returns {Promise<Object>} - { translation: { daily: { used, limit }, monthly: { used, limit } }, ... }
+ */
+const getUsageSummary = async (userId) => {
+  const summary = {};
+  for (const kind of Object.keys(quotas)) {
+    const usage = await getCurrentUsage(userId, kind);
+    summary[kind] = {
+      daily: { used: usage.daily, limit: quotas[kind].daily || null },
+      monthly: { used: usage.monthly, limit: quotas[kind].monthly || null }
+    };
+  }
+  return summary;
+};
+
+/**
+ * Aggregates consumption between two dates by user, language pair and provider
+ * @param {Object} range
+ * @param {Date} range.from
+ * @param {Date} range.to
+ * @param {number} [range.limit=100] - Maximum number of users listed
+ * @returns {Promise<Object>}
+ */
+const getUsageReport = async ({ from, to, limit = 100 }) => {
+  const [report] = await UsageRecord.aggregate([
+    { $match: { createdAt: { $gte: from, $lt: to } } },
+    {
+      $facet: {
+        totals: [
+          { $group: { _id: '$kind', units: { $sum: '$units' }, requests: { $sum: 1 } } },
+          { $project: { _id: 0, kind: '$_id', units: 1, requests: 1 } }
+        ],
+        byUser: [
+          { $group: { _id: { user: '$user', kind: '$kind' }, units: { $sum: '$units' }, requests: { $sum: 1 } } },
+          {
+            $group: {
+              _id: '$_id.user',
+              usage: { $push: { kind: '$_id.kind', units: '$units', requests: '$requests' } },
+              totalUnits: { $sum: '$units' }
+            }
+          },
+          { $sort: { totalUnits: -1 } },
+          { $limit: limit },
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+          {
+            $project: {
+              _id: 0,
+              userId: '$_id',
+              username: { $arrayElemAt: ['$user.username', 0] },
+              usage: 1
+            }
+          }
+        ],
+        byLanguagePair: [
+          { $match: { kind: 'translation' } },
+          {
+            $group: {
+              _id: { sourceLanguage: '$sourceLanguage', targetLanguage: '$targetLanguage' },
+              characters: { $sum: '$units' },
+              requests: { $sum: 1 }
+            }
+          },
+          { $sort: { characters: -1 } },
+          {
+            $project: {
+              _id: 0,
+              sourceLanguage: '$_id.sourceLanguage',
+              targetLanguage: '$_id.targetLanguage',
+              characters: 1,
+              requests: 1
+            }
+          }
+        ],
+        byProvider: [
+          { $group: { _id: { provider: '$provider', kind: '$kind' }, units: { $sum: '$units' }, requests: { $sum: 1 } } },
+          { $sort: { units: -1 } },
+          { $project: { _id: 0, provider: '$_id.provider', kind: '$_id.kind', units: 1, requests: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  return { from, to, ...report };
+};
+
+module.exports = {
+  checkQuota,
+  recordUsage,
+  getUsageSummary,
+  getUsageReport
+};